@@ -0,0 +1,119 @@
+/**
+ * Fit DEFAULT_CALIBRATION (src/utils/calibration.js)
+ *
+ * The default is the calibration a registry gets before it has been
+ * calibrated on its own animals. It is fitted the same way Calibrate
+ * Matcher fits one (collectCalibrationPairs, then fitCalibration), on a
+ * herd of synthetic muzzle textures: ridge networks drawn as the edges of
+ * a weighted Voronoi diagram, one photo per animal.
+ *
+ *   npm run calibrate:default           print the fitted calibration
+ *   npm run calibrate:default -- --check   exit 1 if it differs from the
+ *                                          checked-in DEFAULT_CALIBRATION
+ *
+ * Rerun it and paste the output into calibration.js whenever the image
+ * pipeline or the comparison fields change.
+ */
+
+import { isDeepStrictEqual } from 'node:util';
+import { DEFAULT_CALIBRATION, fitCalibration } from '../src/utils/calibration';
+import { processMuzzleImageData } from '../src/utils/imageProcessing';
+import { collectCalibrationPairs } from '../src/utils/matching';
+import { canonicalROI } from '../src/utils/roi';
+
+const HERD_SIZE = 24;
+const PHOTO_WIDTH = 400;
+const PHOTO_HEIGHT = 300;
+const CELLS_PER_TEXTURE = 500;
+
+// Cells are bucketed on a grid so each pixel only looks at nearby ones
+const GRID_SIZE = 40;
+
+function lehmer(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+/**
+ * Grey level at (x, y) of a muzzle-like texture: light beads separated by
+ * dark ridges where two weighted Voronoi cells meet
+ */
+function ridgeTexture(seed) {
+  const random = lehmer(seed);
+  const cells = Array.from({ length: CELLS_PER_TEXTURE }, () => [
+    random() * 900 - 50,
+    random() * 700 - 50,
+    0.7 + random() * 0.6
+  ]);
+
+  const grid = new Map();
+  for (const cell of cells) {
+    const gx = Math.floor(cell[0] / GRID_SIZE);
+    const gy = Math.floor(cell[1] / GRID_SIZE);
+    for (let dx = -2; dx <= 2; dx++) {
+      for (let dy = -2; dy <= 2; dy++) {
+        const key = `${gx + dx},${gy + dy}`;
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(cell);
+      }
+    }
+  }
+
+  return (x, y) => {
+    let nearest = Infinity;
+    let second = Infinity;
+    for (const [cx, cy, weight] of grid.get(`${Math.floor(x / GRID_SIZE)},${Math.floor(y / GRID_SIZE)}`) || []) {
+      const distance = Math.hypot(x - cx, y - cy) * weight;
+      if (distance < nearest) {
+        second = nearest;
+        nearest = distance;
+      } else if (distance < second) {
+        second = distance;
+      }
+    }
+    const edge = second - nearest;
+    return 170 - 100 * Math.exp(-edge * edge / 6);
+  };
+}
+
+function texturePhoto(seed) {
+  const texture = ridgeTexture(seed);
+  const data = new Uint8ClampedArray(PHOTO_WIDTH * PHOTO_HEIGHT * 4);
+  for (let y = 0; y < PHOTO_HEIGHT; y++) {
+    for (let x = 0; x < PHOTO_WIDTH; x++) {
+      const value = texture(x, y);
+      data.set([value, value, value, 255], (y * PHOTO_WIDTH + x) * 4);
+    }
+  }
+  return { data, width: PHOTO_WIDTH, height: PHOTO_HEIGHT };
+}
+
+// Enrolled like a Muzzle Mapper crop: the photo is the muzzle region
+function enrollSample(index) {
+  const imageData = texturePhoto(100 + index * 37);
+  const { roi, featureVector, perceptualHash, keypointTemplate, ridgeTemplate } =
+    processMuzzleImageData(imageData, { roi: canonicalROI(true) });
+  return { id: `synthetic-${index}`, imageData, roi, featureVector, perceptualHash, keypointTemplate, ridgeTemplate };
+}
+
+// Four decimals are plenty for a prior and keep the checked-in object readable
+function rounded(value) {
+  if (typeof value === 'number') return Math.round(value * 1e4) / 1e4;
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, rounded(field)]));
+  }
+  return value;
+}
+
+const samples = Array.from({ length: HERD_SIZE }, (_, index) => enrollSample(index));
+const calibration = rounded({ ...fitCalibration(collectCalibrationPairs(samples)), fittedAt: null });
+
+console.log(JSON.stringify(calibration, null, 2));
+
+if (process.argv.includes('--check') && !isDeepStrictEqual(calibration, DEFAULT_CALIBRATION)) {
+  console.error('DEFAULT_CALIBRATION in src/utils/calibration.js is out of date');
+  process.exit(1);
+}
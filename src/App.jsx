@@ -6,6 +6,10 @@ import Enroll from './pages/Enroll';
 import Matcher from './pages/Matcher';
 import CattleList from './pages/CattleList';
 import Certificate from './pages/Certificate';
+import AuditTimeline from './pages/AuditTimeline';
+import Transfer from './pages/Transfer';
+import Reenroll from './pages/Reenroll';
+import ReviewQueue from './pages/ReviewQueue';
 
 function App() {
   return (
@@ -29,6 +33,7 @@ function App() {
               <Link to="/enroll" className="nav-link">Enroll</Link>
               <Link to="/matcher" className="nav-link">Match</Link>
               <Link to="/cattle" className="nav-link">Registry</Link>
+              <Link to="/reviews" className="nav-link">Reviews</Link>
             </nav>
           </div>
         </header>
@@ -41,6 +46,10 @@ function App() {
             <Route path="/matcher" element={<Matcher />} />
             <Route path="/cattle" element={<CattleList />} />
             <Route path="/certificate/:id" element={<Certificate />} />
+            <Route path="/cattle/:id/history" element={<AuditTimeline />} />
+            <Route path="/transfer/:id" element={<Transfer />} />
+            <Route path="/reenroll/:id" element={<Reenroll />} />
+            <Route path="/reviews" element={<ReviewQueue />} />
           </Routes>
         </main>
 
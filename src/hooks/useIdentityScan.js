@@ -0,0 +1,108 @@
+/**
+ * Muzzle scan verifying that a photo shows one enrolled animal, shared by
+ * the pages that change a record on the strength of a scan (Transfer,
+ * Reenroll).
+ *
+ * The photo is analysed in the image worker, the animal's record is
+ * compared along with the scan's nearest enrolled templates (it must beat
+ * them, see verifyIdentity) and the result is kept as `scan`:
+ * { template, verification }. The template keeps the muzzle crop it was
+ * extracted from, so it can be re-extracted once it joins the animal's
+ * set. Starting another scan, or leaving the page, cancels one still
+ * running.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { findMatchCandidates, getCattleById } from '../utils/database';
+import { imageDataFromBlob, imageDataToDataUrl, progressRange } from '../utils/imageProcessing';
+import { isAbortError, runImageJob } from '../utils/imageWorkerClient';
+import { canonicalROI } from '../utils/roi';
+
+export function useIdentityScan(id, calibration) {
+  const [scanImage, setScanImage] = useState(null);
+  const [scan, setScan] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [scanError, setScanError] = useState(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => {
+    return () => {
+      if (scanImage) URL.revokeObjectURL(scanImage);
+    };
+  }, [scanImage]);
+
+  // Stop a verification still running in the image worker when leaving the page
+  useEffect(() => () => {
+    if (controllerRef.current) controllerRef.current.abort();
+  }, []);
+
+  async function startScan(file) {
+    if (!file.type.startsWith('image/')) {
+      setScanError('Please choose an image of the muzzle');
+      return;
+    }
+
+    if (controllerRef.current) controllerRef.current.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setScanImage(URL.createObjectURL(file));
+    setScan(null);
+    setScanError(null);
+    setIsVerifying(true);
+    setProgress(null);
+
+    try {
+      // Purged, or deleted in another tab, since the page loaded
+      const target = await getCattleById(id);
+      if (!target) {
+        setScanError('This animal is no longer on record, so the scan can\'t be checked against it');
+        return;
+      }
+
+      const imageData = await imageDataFromBlob(file);
+      const query = await runImageJob('analyze', { imageData }, {
+        onProgress: progressRange(setProgress, 0, 0.6),
+        signal: controller.signal
+      });
+
+      const { candidates } = await findMatchCandidates({
+        featureVector: query.queryFeatures,
+        perceptualHash: query.queryHash
+      });
+      const cattle = candidates.some(c => c.id === id) ? candidates : [...candidates, target];
+      const verification = await runImageJob(
+        'verify',
+        { query, cattle, cattleId: id, calibration },
+        { onProgress: progressRange(setProgress, 0.6, 1), signal: controller.signal }
+      );
+      // The crop is the whole image, as for Muzzle Mapper captures
+      const template = {
+        ...query.template,
+        image: imageDataToDataUrl(query.muzzle),
+        muzzleRoi: canonicalROI(query.roi.found)
+      };
+      setScan({ template, verification });
+    } catch (err) {
+      if (!isAbortError(err)) {
+        console.error('Verification error:', err);
+        setScanError('Error processing image. Please try again.');
+      }
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsVerifying(false);
+        setProgress(null);
+      }
+    }
+  }
+
+  // Forget the scan once the change it verified has been saved
+  function clearScan() {
+    setScan(null);
+    setScanImage(null);
+  }
+
+  return { scanImage, scan, isVerifying, progress, scanError, startScan, clearScan };
+}
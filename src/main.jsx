@@ -4,15 +4,24 @@ import App from './App.jsx'
 import { initializeDB } from './utils/database.js'
 import './index.css'
 
-// Initialize database before rendering
+const root = ReactDOM.createRoot(document.getElementById('root'))
+
+// Pages read the registry as soon as they mount, so it is opened, migrated
+// and upgraded before the app renders
+root.render(<div className="container app-status">Opening the registry...</div>)
+
 initializeDB().then(() => {
   console.log('Database initialized successfully');
+  root.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>,
+  )
 }).catch((err) => {
   console.error('Failed to initialize database:', err);
+  root.render(
+    <div className="container app-status error">
+      ⚠️ The registry could not be opened: {err.message}. Reload the page to try again.
+    </div>,
+  )
 });
-
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>,
-)
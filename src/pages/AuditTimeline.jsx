@@ -0,0 +1,143 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { getCattleById, getAuditTrail, verifyAuditLog } from '../utils/database';
+import './AuditTimeline.css';
+
+const ACTION_LABELS = {
+  create: '🆕 Enrolled',
+  update: '✏️ Edited',
+  status: '🔖 Status changed',
+  delete: '🗑️ Deleted (archived)',
+  restore: '♻️ Restored',
+  transfer: '🤝 Ownership transferred',
+  purge: '🔥 Purged',
+  import: '📥 Imported',
+  upgrade: '⬆️ Schema upgrade',
+  reenroll: '🔄 Re-enrolled',
+  'adaptive-update': '🌱 Template refreshed',
+  'template-rollback': '↩️ Templates rolled back',
+  review: '🧑‍⚖️ Supervisor review'
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') {
+    const text = JSON.stringify(value);
+    return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+  }
+  return String(value);
+}
+
+// Sample data and localStorage migration entries summarise counts rather than field diffs
+function isFieldDiff(changes) {
+  return Object.values(changes || {}).every(
+    change => change && typeof change === 'object' && 'before' in change && 'after' in change
+  );
+}
+
+function AuditTimeline() {
+  const { id } = useParams();
+  const [cattle, setCattle] = useState(null);
+  const [entries, setEntries] = useState(null);
+  const [verification, setVerification] = useState(null);
+
+  useEffect(() => {
+    Promise.all([getCattleById(id), getAuditTrail(id), verifyAuditLog()]).then(
+      ([found, trail, check]) => {
+        setCattle(found || null);
+        setEntries(trail.slice().reverse());
+        setVerification(check);
+      }
+    );
+  }, [id]);
+
+  if (!entries) {
+    return (
+      <div className="audit-page">
+        <div className="container">
+          <div className="loading-state">Loading audit trail...</div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="audit-page">
+      <div className="container">
+        <div className="page-header">
+          <Link to="/cattle" className="btn btn-secondary">← Registry</Link>
+          <h1>🕓 Audit Trail</h1>
+          {cattle ? (
+            <Link to={`/certificate/${id}`} className="btn btn-secondary">📜 Certificate</Link>
+          ) : (
+            <div className="header-spacer"></div>
+          )}
+        </div>
+
+        <div className="audit-subject card">
+          <h2>{cattle ? cattle.cowName : 'Purged record'}</h2>
+          <p>
+            {cattle
+              ? `${cattle.certificateId} • Owner: ${cattle.ownerName}`
+              : `Record ${id} is no longer in the registry; its history is kept below.`}
+          </p>
+        </div>
+
+        {verification && (
+          <div className={`chain-status ${verification.valid ? 'valid' : 'broken'}`}>
+            {verification.valid
+              ? `🔒 Audit chain verified (${verification.count} entries, no tampering detected)`
+              : `⚠️ Audit chain broken at entry #${verification.brokenAt}: ${verification.problem}`}
+          </div>
+        )}
+
+        {entries.length === 0 ? (
+          <div className="card empty-state">
+            <p>No audit entries recorded for this animal.</p>
+          </div>
+        ) : (
+          <ol className="audit-timeline">
+            {entries.map(entry => (
+              <li key={entry.sequence} className={`audit-entry action-${entry.action}`}>
+                <div className="audit-entry-header">
+                  <span className="audit-action">{ACTION_LABELS[entry.action] || entry.action}</span>
+                  <span className="audit-meta">
+                    #{entry.sequence} • {new Date(entry.timestamp).toLocaleString('en-KE')} • {entry.operator}
+                  </span>
+                </div>
+                {entry.reason && <p className="audit-reason">Reason: {entry.reason}</p>}
+
+                {isFieldDiff(entry.changes) ? (
+                  <table className="audit-diff">
+                    <tbody>
+                      {Object.entries(entry.changes).map(([field, { before, after }]) => (
+                        <tr key={field}>
+                          <th>{field}</th>
+                          <td className="before">{formatValue(before)}</td>
+                          <td className="arrow">→</td>
+                          <td className="after">{formatValue(after)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : (
+                  <p className="audit-summary">
+                    {Object.entries(entry.changes)
+                      .map(([key, value]) => `${key}: ${formatValue(value)}`)
+                      .join(' • ')}
+                  </p>
+                )}
+
+                <code className="audit-hash" title={`Previous: ${entry.prevHash}`}>
+                  {entry.hash.slice(0, 16)}…
+                </code>
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AuditTimeline;
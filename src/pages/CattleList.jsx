@@ -1,19 +1,135 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { Link } from 'react-router-dom';
-import { getAllCattle, getStats, deleteCattle } from '../utils/database';
+import { MIN_PASSPHRASE_LENGTH, isBackupBundle } from '../utils/backupBundle';
+import { parseCertificateId } from '../utils/certificateId';
+import {
+  getAllCattle,
+  getArchivedCattle,
+  getStats,
+  deleteCattle,
+  setCattleStatus,
+  restoreCattle,
+  purgeCattle,
+  canPurge,
+  getPurgeDate,
+  exportDatabase,
+  importDatabase,
+  exportCSV,
+  importCSV,
+  getCalibrationSamples,
+  saveCalibration
+} from '../utils/database';
+import { isAbortError, runImageJob } from '../utils/imageWorkerClient';
+import { requireOperatorName } from '../utils/operator';
 import './CattleList.css';
 
+const STATUS_LABELS = {
+  active: 'Active',
+  stolen: '🚨 Stolen',
+  sold: 'Sold',
+  deceased: 'Deceased',
+  archived: 'Archived'
+};
+
+const IMPORT_MODE_LABELS = {
+  merge: 'Merge by ID',
+  dedupe: 'Merge + skip biometric duplicates',
+  replace: 'Replace entire registry'
+};
+
+function formatDiffValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 60 ? `${text.slice(0, 60)}…` : text;
+}
+
+function isBackupFile(text) {
+  try {
+    return isBackupBundle(JSON.parse(text));
+  } catch {
+    return false;
+  }
+}
+
+function describeRecord(record) {
+  return `${record.cowName} (${record.certificateId || record.id}, owner ${record.ownerName})`;
+}
+
+/**
+ * One import conflict with its resolution choices
+ */
+function ImportConflict({ conflict, onResolve }) {
+  const options = conflict.type === 'duplicate'
+    ? [['skip', 'Skip (already enrolled)'], ['add', 'Add as a separate animal']]
+    : [['existing', 'Keep this device\'s version'], ['incoming', 'Use imported version']];
+
+  return (
+    <li className="import-conflict">
+      <div className="import-conflict-header">
+        <strong>
+          {conflict.type === 'duplicate'
+            ? `🐄 ${describeRecord(conflict.incoming)} has the same muzzle as ${describeRecord(conflict.existing)} (${conflict.similarity.toFixed(1)}%)`
+            : `✏️ ${describeRecord(conflict.incoming)} was edited here and in the backup`}
+        </strong>
+        <select
+          className="select"
+          value={conflict.resolution}
+          onChange={(e) => onResolve(conflict.id, e.target.value)}
+        >
+          {options.map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {conflict.changes && (
+        <table className="import-diff">
+          <thead>
+            <tr><th>Field</th><th>This device</th><th>Imported</th></tr>
+          </thead>
+          <tbody>
+            {Object.entries(conflict.changes).map(([field, { before, after }]) => (
+              <tr key={field}>
+                <td>{field}</td>
+                <td>{formatDiffValue(before)}</td>
+                <td>{formatDiffValue(after)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </li>
+  );
+}
+
 function CattleList() {
   const [cattle, setCattle] = useState([]);
+  const [archivedCattle, setArchivedCattle] = useState([]);
   const [stats, setStats] = useState(null);
+  const [view, setView] = useState('active');
   const [searchTerm, setSearchTerm] = useState('');
   const [filterBreed, setFilterBreed] = useState('all');
   const [filterLocation, setFilterLocation] = useState('all');
+  const [importData, setImportData] = useState(null);
+  const [importPassphrase, setImportPassphrase] = useState('');
+  const [importMode, setImportMode] = useState('merge');
+  const [resolutions, setResolutions] = useState({});
+  const [importPreview, setImportPreview] = useState(null);
+  const [importMessage, setImportMessage] = useState(null);
+  const importInputRef = useRef(null);
+  const [csvData, setCsvData] = useState(null);
+  const [csvPreview, setCsvPreview] = useState(null);
+  const csvInputRef = useRef(null);
+  const [calibrationProgress, setCalibrationProgress] = useState(null);
+  const calibrationControllerRef = useRef(null);
 
-  const loadCattle = useCallback(() => {
-    const allCattle = getAllCattle();
-    const allStats = getStats();
+  const loadCattle = useCallback(async () => {
+    const [allCattle, archived, allStats] = await Promise.all([
+      getAllCattle(),
+      getArchivedCattle(),
+      getStats()
+    ]);
     setCattle(allCattle);
+    setArchivedCattle(archived);
     setStats(allStats);
   }, []);
 
@@ -23,30 +139,240 @@ function CattleList() {
     loadCattle();
   }, [loadCattle]);
 
-  function handleDelete(id) {
-    if (window.confirm('Are you sure you want to delete this cattle record?')) {
-      deleteCattle(id);
-      loadCattle();
+  // Stop a calibration still running in the image worker when leaving the page
+  useEffect(() => () => {
+    if (calibrationControllerRef.current) calibrationControllerRef.current.abort();
+  }, []);
+
+  async function handleDelete(id) {
+    const reason = window.prompt('Reason for removing this record from the registry (required):');
+    if (!reason || !reason.trim()) return;
+
+    const actor = requireOperatorName();
+    if (!actor) return;
+
+    await deleteCattle(id, { reason: reason.trim(), actor });
+    loadCattle();
+  }
+
+  async function handleStatusChange(id, status) {
+    if (status === 'archived') {
+      handleDelete(id);
+      return;
+    }
+
+    const reason = window.prompt(`Reason for marking as ${STATUS_LABELS[status]}:`) || '';
+    const actor = requireOperatorName();
+    if (!actor) return;
+
+    await setCattleStatus(id, status, { reason: reason.trim(), actor });
+    loadCattle();
+  }
+
+  async function handleRestore(id) {
+    const actor = requireOperatorName();
+    if (!actor) return;
+
+    await restoreCattle(id, { actor });
+    loadCattle();
+  }
+
+  async function handlePurge(id) {
+    if (!window.confirm('Permanently erase this record? This cannot be undone.')) return;
+
+    const actor = requireOperatorName();
+    if (!actor) return;
+
+    try {
+      await purgeCattle(id, { actor });
+    } catch (error) {
+      window.alert(error.message);
+    }
+    loadCattle();
+  }
+
+  async function handleExport() {
+    const passphrase = window.prompt(`Passphrase to encrypt the backup (at least ${MIN_PASSPHRASE_LENGTH} characters):`);
+    if (!passphrase) return;
+    if (window.prompt('Enter the passphrase again to confirm:') !== passphrase) {
+      window.alert('Passphrases did not match. Backup not created.');
+      return;
+    }
+
+    try {
+      await exportDatabase({ passphrase });
+    } catch (error) {
+      window.alert(error.message);
+    }
+  }
+
+  // Fit the match calibration on recaptures of enrolled animals
+  async function handleCalibrate() {
+    const actor = requireOperatorName();
+    if (!actor) return;
+
+    const controller = new AbortController();
+    calibrationControllerRef.current = controller;
+    setCalibrationProgress({ label: 'Loading muzzle photos', fraction: 0 });
+
+    try {
+      const samples = await getCalibrationSamples();
+      const fitted = await runImageJob('calibrate', { samples }, {
+        onProgress: setCalibrationProgress,
+        signal: controller.signal
+      });
+      await saveCalibration(fitted, { actor });
+
+      const percent = rate => `${(rate * 100).toFixed(1)}%`;
+      setImportMessage({
+        success: true,
+        text: `Matcher calibrated on ${samples.length} animals (${fitted.genuinePairs} genuine, ${fitted.impostorPairs} impostor pairs): ` +
+          `Good Match from ${percent(fitted.thresholds.good)}, ` +
+          `${percent(fitted.falseAcceptRates.good)} false accepts, ${percent(fitted.falseRejectRates.good)} false rejects`
+      });
+    } catch (error) {
+      if (!isAbortError(error)) {
+        setImportMessage({ success: false, text: `Calibration failed: ${error.message}` });
+      }
+    } finally {
+      if (calibrationControllerRef.current === controller) {
+        calibrationControllerRef.current = null;
+        setCalibrationProgress(null);
+      }
+    }
+  }
+
+  function handleCsvFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async () => {
+      setCsvData(reader.result);
+      setCsvPreview(await importCSV(reader.result, { dryRun: true }));
+      setImportMessage(null);
+    };
+    reader.onerror = () => {
+      setImportMessage({ success: false, text: 'Error reading file. Please try again.' });
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  }
+
+  function cancelCsvImport() {
+    setCsvData(null);
+    setCsvPreview(null);
+  }
+
+  async function applyCsvImport() {
+    const actor = requireOperatorName();
+    if (!actor) return;
+
+    const result = await importCSV(csvData, { actor });
+    setImportMessage({
+      success: true,
+      text: `Spreadsheet imported: ${result.added.length} added (need muzzle capture), ${result.updated.length} updated, ${result.problems.length} row(s) rejected`
+    });
+    cancelCsvImport();
+    loadCattle();
+  }
+
+  // Dry run: show what the import would do before anything is written
+  async function previewImport(data, passphrase, mode, chosen) {
+    const preview = await importDatabase(data, { passphrase, mode, dryRun: true, resolutions: chosen });
+    if (preview.success) {
+      setImportPreview(preview);
+      setImportMessage(null);
+    } else {
+      setImportPreview(null);
+      setImportMessage({ success: false, text: `Import failed: ${preview.error}` });
     }
   }
 
-  function handleExport() {
-    const dataStr = JSON.stringify(cattle, null, 2);
-    const blob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `ufugaji-bioid-registry-${new Date().toISOString().split('T')[0]}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+  function handleImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      let passphrase = '';
+      if (isBackupFile(reader.result)) {
+        passphrase = window.prompt('This backup is encrypted. Enter its passphrase:') || '';
+        if (!passphrase) return;
+      }
+
+      setImportData(reader.result);
+      setImportPassphrase(passphrase);
+      setResolutions({});
+      previewImport(reader.result, passphrase, importMode, {});
+    };
+    reader.onerror = () => {
+      setImportMessage({ success: false, text: 'Error reading file. Please try again.' });
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  }
+
+  function handleImportModeChange(mode) {
+    setImportMode(mode);
+    setResolutions({});
+    previewImport(importData, importPassphrase, mode, {});
+  }
+
+  function handleResolve(id, resolution) {
+    const chosen = { ...resolutions, [id]: resolution };
+    setResolutions(chosen);
+    previewImport(importData, importPassphrase, importMode, chosen);
+  }
+
+  function cancelImport() {
+    setImportData(null);
+    setImportPassphrase('');
+    setImportPreview(null);
+    setResolutions({});
+  }
+
+  async function applyImport() {
+    if (importMode === 'replace' && importPreview.removed.length > 0 &&
+        !window.confirm(`Replacing the registry will delete ${importPreview.removed.length} record(s) that are not in the file (they can be restored from Archived). Continue?`)) {
+      return;
+    }
+
+    const actor = requireOperatorName();
+    if (!actor) return;
+
+    const result = await importDatabase(importData, {
+      actor,
+      passphrase: importPassphrase,
+      mode: importMode,
+      resolutions
+    });
+    if (result.success) {
+      setImportMessage({
+        success: true,
+        text: `Imported: ${result.added.length} added, ${result.updated.length} updated, ${result.skipped.length} skipped` +
+          (result.reissue.length ? `, ${result.reissue.length} certificate ID(s) reissued` : '') +
+          (result.flagged ? `, ${result.flagged} need re-enrollment` : '')
+      });
+      cancelImport();
+      loadCattle();
+    } else {
+      setImportMessage({ success: false, text: `Import failed: ${result.error}` });
+    }
   }
 
+  // A full certificate ID whose check digit doesn't match was mistyped
+  const searchedCertificate = parseCertificateId(searchTerm);
+  const isMistypedCertificate = Boolean(searchedCertificate && !searchedCertificate.valid);
+
   // Filter cattle
-  const filteredCattle = cattle.filter(c => {
+  const listedCattle = view === 'archived' ? archivedCattle : cattle;
+  const filteredCattle = listedCattle.filter(c => {
     const matchesSearch = searchTerm === '' || 
       c.cowName.toLowerCase().includes(searchTerm.toLowerCase()) ||
       c.ownerName.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      c.location.toLowerCase().includes(searchTerm.toLowerCase());
+      c.location.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      (c.certificateId || '').toLowerCase().includes(searchTerm.toLowerCase());
     
     const matchesBreed = filterBreed === 'all' || c.breed === filterBreed;
     const matchesLocation = filterLocation === 'all' || c.location === filterLocation;
@@ -66,14 +392,199 @@ function CattleList() {
           <h1>📜 Cattle Registry</h1>
           <div className="header-actions">
             <button onClick={handleExport} className="btn btn-secondary">
-              📥 Export
+              🔐 Backup
+            </button>
+            <button onClick={() => importInputRef.current.click()} className="btn btn-secondary">
+              📥 Restore
             </button>
+            <button onClick={exportCSV} className="btn btn-secondary">
+              📊 Export CSV
+            </button>
+            <button onClick={() => csvInputRef.current.click()} className="btn btn-secondary">
+              📊 Import CSV
+            </button>
+            <button onClick={handleCalibrate} className="btn btn-secondary" disabled={calibrationProgress !== null}>
+              {calibrationProgress
+                ? `🎯 ${calibrationProgress.label}… ${Math.round(calibrationProgress.fraction * 100)}%`
+                : '🎯 Calibrate Matcher'}
+            </button>
+            <input
+              ref={csvInputRef}
+              type="file"
+              accept="text/csv,.csv"
+              onChange={handleCsvFile}
+              className="file-input"
+              hidden
+            />
+            <input
+              ref={importInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImportFile}
+              className="file-input"
+              hidden
+            />
             <Link to="/enroll" className="btn btn-primary">
               + Enroll New
             </Link>
           </div>
         </div>
 
+        {importMessage && (
+          <div className={`import-message ${importMessage.success ? 'success' : 'error'}`}>
+            {importMessage.success ? '✅' : '⚠️'} {importMessage.text}
+          </div>
+        )}
+
+        {/* Spreadsheet import preview */}
+        {csvPreview && (
+          <div className="import-preview card">
+            <div className="import-preview-header">
+              <h3>📊 Spreadsheet Import Preview</h3>
+            </div>
+
+            <div className="import-counts">
+              <span>➕ {csvPreview.added.length} new (muzzle capture needed)</span>
+              <span>✏️ {csvPreview.updated.length} to update</span>
+              <span>✔️ {csvPreview.unchanged} unchanged</span>
+              <span>❌ {csvPreview.problems.length} rows not mapped</span>
+            </div>
+
+            {csvPreview.unknownColumns.length > 0 && (
+              <p className="import-note">
+                ℹ️ Ignored column(s): {csvPreview.unknownColumns.join(', ')}
+              </p>
+            )}
+
+            {csvPreview.added.length > 0 && (
+              <details>
+                <summary>Animals to add</summary>
+                <ul>{csvPreview.added.map(r => <li key={r.row}>Row {r.row}: {r.cowName} (owner {r.ownerName})</li>)}</ul>
+              </details>
+            )}
+
+            {csvPreview.updated.length > 0 && (
+              <details>
+                <summary>Animals to update</summary>
+                <ul>{csvPreview.updated.map(r => <li key={r.row}>Row {r.row}: {r.cowName} ({r.certificateId})</li>)}</ul>
+              </details>
+            )}
+
+            {csvPreview.problems.length > 0 && (
+              <details open>
+                <summary>Rows that don't map (not imported)</summary>
+                <ul>
+                  {csvPreview.problems.map(p => (
+                    <li key={p.row}>Row {p.row}: {p.errors.join(', ')}</li>
+                  ))}
+                </ul>
+              </details>
+            )}
+
+            <div className="import-actions">
+              <button onClick={cancelCsvImport} className="btn btn-secondary">Cancel</button>
+              <button
+                onClick={applyCsvImport}
+                className="btn btn-primary"
+                disabled={csvPreview.added.length === 0 && csvPreview.updated.length === 0}
+              >
+                Apply Import
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Import preview (dry run) */}
+        {importPreview && (
+          <div className="import-preview card">
+            <div className="import-preview-header">
+              <h3>📥 Import Preview</h3>
+              <select
+                className="select"
+                value={importMode}
+                onChange={(e) => handleImportModeChange(e.target.value)}
+              >
+                {Object.entries(IMPORT_MODE_LABELS).map(([mode, label]) => (
+                  <option key={mode} value={mode}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="import-counts">
+              <span>➕ {importPreview.added.length} to add</span>
+              <span>✏️ {importPreview.updated.length} to update</span>
+              <span>✔️ {importPreview.unchanged.length} unchanged</span>
+              <span>⏭️ {importPreview.skipped.length} skipped</span>
+              {importMode === 'replace' && <span>🗑️ {importPreview.removed.length} to delete</span>}
+              <span>⚔️ {importPreview.conflicts.length} conflicts</span>
+              <span>❌ {importPreview.invalid.length} invalid</span>
+            </div>
+
+            {importPreview.added.length > 0 && (
+              <details>
+                <summary>Records to add</summary>
+                <ul>{importPreview.added.map(r => <li key={r.id}>{describeRecord(r)}</li>)}</ul>
+              </details>
+            )}
+
+            {importPreview.updated.length > 0 && (
+              <details>
+                <summary>Records to update</summary>
+                <ul>{importPreview.updated.map(r => <li key={r.id}>{describeRecord(r)}</li>)}</ul>
+              </details>
+            )}
+
+            {importPreview.removed.length > 0 && (
+              <details open>
+                <summary>Records that will be deleted (moved to Archived)</summary>
+                <ul>{importPreview.removed.map(r => <li key={r.id}>{describeRecord(r)}</li>)}</ul>
+              </details>
+            )}
+
+            {importPreview.reissue.length > 0 && (
+              <p className="import-note">
+                ℹ️ {importPreview.reissue.length} added record(s) carry a certificate ID already used
+                on this device and will be issued a new one.
+              </p>
+            )}
+
+            {importPreview.migrated > 0 && (
+              <p className="import-note">
+                ℹ️ {importPreview.migrated} record(s) from an older version will be upgraded
+                {importPreview.flagged > 0 && `; ${importPreview.flagged} will need re-enrollment`}.
+              </p>
+            )}
+
+            {importPreview.invalid.length > 0 && (
+              <details open>
+                <summary>Invalid records (not imported)</summary>
+                <ul>
+                  {importPreview.invalid.map(r => (
+                    <li key={r.index}>
+                      #{r.index + 1} {r.cowName || r.id || 'unnamed'}: {r.errors.join(', ')}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+
+            {importPreview.conflicts.length > 0 && (
+              <ul className="import-conflicts">
+                {importPreview.conflicts.map(conflict => (
+                  <ImportConflict key={conflict.id} conflict={conflict} onResolve={handleResolve} />
+                ))}
+              </ul>
+            )}
+
+            <div className="import-actions">
+              <button onClick={cancelImport} className="btn btn-secondary">Cancel</button>
+              <button onClick={applyImport} className="btn btn-primary" disabled={importPreview.count === 0 && importPreview.removed.length === 0}>
+                Apply Import
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Stats Overview */}
         {stats && (
           <div className="stats-overview">
@@ -96,6 +607,22 @@ function CattleList() {
           </div>
         )}
 
+        {/* Active / Archived toggle */}
+        <div className="view-toggle">
+          <button
+            className={`view-btn ${view === 'active' ? 'active' : ''}`}
+            onClick={() => setView('active')}
+          >
+            🐄 Active ({cattle.length})
+          </button>
+          <button
+            className={`view-btn ${view === 'archived' ? 'active' : ''}`}
+            onClick={() => setView('archived')}
+          >
+            🗄️ Archived ({archivedCattle.length})
+          </button>
+        </div>
+
         {/* Filters */}
         <div className="filters-section card">
           <div className="filters-grid">
@@ -104,10 +631,15 @@ function CattleList() {
               <input
                 type="text"
                 className="input"
-                placeholder="Search by name, owner, location..."
+                placeholder="Search by name, owner, location, certificate ID..."
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
               />
+              {isMistypedCertificate && (
+                <span className="filter-warning">
+                  ⚠️ Check digit doesn't match - this certificate ID looks mistyped
+                </span>
+              )}
             </div>
             <div className="filter-group">
               <label className="filter-label">🐄 Breed</label>
@@ -146,11 +678,13 @@ function CattleList() {
                 <span className="empty-icon">🐄</span>
                 <h3>No Cattle Found</h3>
                 <p>
-                  {cattle.length === 0 
-                    ? "You haven't enrolled any cattle yet. Start by registering your first cow!"
-                    : "No cattle match your search criteria."}
+                  {view === 'archived'
+                    ? 'No archived records.'
+                    : cattle.length === 0
+                      ? "You haven't enrolled any cattle yet. Start by registering your first cow!"
+                      : "No cattle match your search criteria."}
                 </p>
-                {cattle.length === 0 && (
+                {view === 'active' && cattle.length === 0 && (
                   <Link to="/enroll" className="btn btn-primary">
                     Enroll First Cattle
                   </Link>
@@ -171,15 +705,74 @@ function CattleList() {
                     >
                       📜 Certificate
                     </Link>
-                    <button
-                      onClick={() => handleDelete(cow.id)}
-                      className="btn btn-sm btn-secondary delete-btn"
+                    <Link
+                      to={`/cattle/${cow.id}/history`}
+                      className="btn btn-sm btn-secondary"
+                      title="Audit trail"
                     >
-                      🗑️
-                    </button>
+                      🕓
+                    </Link>
+                    {view === 'archived' ? (
+                      <>
+                        <button
+                          onClick={() => handleRestore(cow.id)}
+                          className="btn btn-sm btn-secondary"
+                        >
+                          ♻️ Restore
+                        </button>
+                        <button
+                          onClick={() => handlePurge(cow.id)}
+                          className="btn btn-sm btn-secondary delete-btn"
+                          disabled={!canPurge(cow)}
+                          title={cow.deletion
+                            ? `Can be purged after ${getPurgeDate(cow).toLocaleDateString()}`
+                            : 'Only deleted records can be purged'}
+                        >
+                          🗑️ Purge
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <Link
+                          to={`/reenroll/${cow.id}`}
+                          className="btn btn-sm btn-secondary"
+                          title="Re-enroll muzzle templates"
+                        >
+                          🔄
+                        </Link>
+                        <select
+                          className="select status-select"
+                          value={cow.status || 'active'}
+                          onChange={(e) => handleStatusChange(cow.id, e.target.value)}
+                          title="Change status"
+                        >
+                          {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                            <option key={status} value={status}>{label}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={() => handleDelete(cow.id)}
+                          className="btn btn-sm btn-secondary delete-btn"
+                          title="Archive record"
+                        >
+                          🗑️
+                        </button>
+                      </>
+                    )}
                   </div>
                 </div>
 
+                {cow.status && cow.status !== 'active' && (
+                  <div className={`status-banner status-${cow.status}`}>
+                    {STATUS_LABELS[cow.status]}
+                    {cow.deletion && (
+                      <span>
+                        {' '}• Deleted {cow.deletion.deletedAt.split('T')[0]} by {cow.deletion.deletedBy}: {cow.deletion.reason}
+                      </span>
+                    )}
+                  </div>
+                )}
+
                 <div className="cattle-image-section">
                   {cow.muzzleImage ? (
                     <img src={cow.muzzleImage} alt={`${cow.cowName} muzzle`} className="cattle-muzzle-img" />
@@ -218,7 +811,11 @@ function CattleList() {
 
                   <div className="cattle-meta">
                     <span>Registered: {cow.registrationDate}</span>
-                    {cow.featureVector && (
+                    {cow.needsReenrollment ? (
+                      <span className="reenroll-badge" title={cow.upgradeIssue}>
+                        ⚠️ Needs Re-enrollment
+                      </span>
+                    ) : cow.featureVector && (
                       <span className="biometric-badge">
                         ✅ Biometric ID Stored
                       </span>
@@ -1,25 +1,28 @@
 import { useState, useEffect, useRef } from 'react';
-import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useParams, Link, useNavigate, useSearchParams } from 'react-router-dom';
 import html2canvas from 'html2canvas';
 import jsPDF from 'jspdf';
 import { getCattleById } from '../utils/database';
+import { getCurrentCertificate, isArchived } from '../utils/schema';
 import './Certificate.css';
 
 function Certificate() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const [cattle, setCattle] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
   const certificateRef = useRef(null);
 
   useEffect(() => {
     if (id) {
-      const found = getCattleById(id);
-      if (found) {
-        setCattle(found);
-      } else {
-        navigate('/cattle');
-      }
+      getCattleById(id).then(found => {
+        if (found) {
+          setCattle(found);
+        } else {
+          navigate('/cattle');
+        }
+      });
     }
   }, [id, navigate]);
 
@@ -47,7 +50,8 @@ function Certificate() {
       const pdfHeight = pdf.internal.pageSize.getHeight();
       
       pdf.addImage(imgData, 'PNG', 0, 0, pdfWidth, pdfHeight);
-      pdf.save(`${cattle.certificateId}-${cattle.cowName}-certificate.pdf`);
+      const suffix = certificate ? `-rev${certificate.revision}` : '';
+      pdf.save(`${cattle.certificateId}${suffix}-${cattle.cowName}-certificate.pdf`);
     } catch (error) {
       console.error('PDF generation error:', error);
       alert('Error generating PDF. Please try again.');
@@ -70,6 +74,13 @@ function Certificate() {
     );
   }
 
+  // A specific revision can be viewed with ?revision=N; defaults to the current one
+  const current = getCurrentCertificate(cattle);
+  const requested = Number(searchParams.get('revision'));
+  const certificate = (cattle.certificateRevisions || []).find(r => r.revision === requested) || current;
+  const superseded = Boolean(certificate && certificate.supersededAt);
+  const canTransfer = !isArchived(cattle) && cattle.status !== 'stolen';
+
   return (
     <div className="certificate-page">
       <div className="container">
@@ -87,6 +98,19 @@ function Certificate() {
             <button onClick={printCertificate} className="btn btn-secondary">
               🖨️ Print
             </button>
+            <Link to={`/cattle/${cattle.id}/history`} className="btn btn-secondary">
+              🕓 History
+            </Link>
+            {canTransfer && (
+              <Link to={`/transfer/${cattle.id}`} className="btn btn-secondary">
+                🤝 Transfer Ownership
+              </Link>
+            )}
+            {!isArchived(cattle) && (
+              <Link to={`/reenroll/${cattle.id}`} className="btn btn-secondary">
+                🔄 Re-enroll
+              </Link>
+            )}
           </div>
         </div>
 
@@ -96,6 +120,21 @@ function Certificate() {
           that can be verified in the national registry.</p>
         </div>
 
+        {cattle.status && cattle.status !== 'active' && (
+          <div className={`certificate-status status-${cattle.status} no-print`}>
+            ⚠️ This animal is recorded as <strong>{cattle.status}</strong>
+            {cattle.deletion && ` (removed from the registry on ${cattle.deletion.deletedAt.split('T')[0]}: ${cattle.deletion.reason})`}
+          </div>
+        )}
+
+        {superseded && (
+          <div className="certificate-status status-superseded no-print">
+            ⚠️ Revision {certificate.revision} was <strong>superseded</strong> on {certificate.supersededAt.split('T')[0]} by
+            revision {certificate.supersededBy} after a change of ownership.{' '}
+            <Link to={`/certificate/${cattle.id}`}>View the current certificate</Link>
+          </div>
+        )}
+
         {/* Certificate Template */}
         <div className="certificate-wrapper">
           <div 
@@ -119,7 +158,10 @@ function Certificate() {
               <div className="cert-body">
                 <div className="cert-section">
                   <div className="cert-label">Certificate ID</div>
-                  <div className="cert-value cert-id">{cattle.certificateId}</div>
+                  <div className="cert-value cert-id">
+                    {cattle.certificateId}
+                    {certificate && <span className="cert-revision"> • Rev. {certificate.revision}</span>}
+                  </div>
                 </div>
 
                 <div className="cert-section main-section">
@@ -130,7 +172,7 @@ function Certificate() {
                 <div className="cert-grid">
                   <div className="cert-section">
                     <div className="cert-label">Owner Name</div>
-                    <div className="cert-value">{cattle.ownerName}</div>
+                    <div className="cert-value">{certificate ? certificate.ownerName : cattle.ownerName}</div>
                   </div>
                   <div className="cert-section">
                     <div className="cert-label">Breed</div>
@@ -198,7 +240,7 @@ function Certificate() {
                   <div className="signature-label">Authorized Signature</div>
                 </div>
                 <div className="cert-date">
-                  <div className="date-display">{new Date().toLocaleDateString('en-KE', { 
+                  <div className="date-display">{new Date(certificate ? certificate.issuedAt : Date.now()).toLocaleDateString('en-KE', { 
                     year: 'numeric', 
                     month: 'long', 
                     day: 'numeric' 
@@ -221,10 +263,31 @@ function Certificate() {
               <div className="cert-watermark">
                 KSEF 2026
               </div>
+
+              {superseded && (
+                <div className="cert-superseded-stamp">SUPERSEDED</div>
+              )}
             </div>
           </div>
         </div>
 
+        {(cattle.certificateRevisions || []).length > 1 && (
+          <div className="certificate-revisions card no-print">
+            <h3>Certificate Revisions</h3>
+            <ol>
+              {cattle.certificateRevisions.map(rev => (
+                <li key={rev.revision} className={rev.revision === certificate.revision ? 'selected' : ''}>
+                  <Link to={`/certificate/${cattle.id}?revision=${rev.revision}`}>
+                    Rev. {rev.revision}
+                  </Link>
+                  {' '}— {rev.ownerName}, issued {rev.issuedAt.split('T')[0]}
+                  {rev.supersededAt ? ` (superseded ${rev.supersededAt.split('T')[0]})` : ' (current)'}
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+
         <div className="certificate-actions no-print">
           <Link to="/cattle" className="btn btn-secondary">
             ← Back to Registry
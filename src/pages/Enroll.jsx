@@ -1,157 +1,34 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import { addCattle, getAllCattle } from '../utils/database';
-import { hammingDistance } from '../utils/imageProcessing';
+import { addCattle, findDuplicateCandidates, getAllCattle, getCalibration, submitReview } from '../utils/database';
+import { isAbortError, runImageJob } from '../utils/imageWorkerClient';
+import { getMatchLabel } from '../utils/matching';
+import { requireOperatorName } from '../utils/operator';
+import { MIN_CAPTURES } from '../utils/templates';
+import { AGES, BREEDS, COLORS, LOCATIONS, SEXES } from '../utils/vocabularies';
 import './Enroll.css';
 
-// Breed options
-const BREEDS = [
-  'Select Breed',
-  'Boran',
-  'Zebu',
-  'Ankole',
-  'Aberdeen Angus',
-  'Hereford',
-  'Charolais',
-  'Limousin',
-  'Simmental',
-  'Sahiwal',
-  'Gyr',
-  'Ayrshire',
-  'Friesian',
-  'Jersey',
-  'Guernsey',
-  'Holstein',
-  'Dexter',
-  'Highland',
-  'Belgian Blue',
-  'Wagyu',
-  'Other'
-];
-
-// Location options (Kenyan counties + regions)
-const LOCATIONS = [
-  'Select Location',
-  'Turkana',
-  'West Pokot',
-  'Kajiado',
-  'Narok',
-  'Samburu',
-  'Isiolo',
-  'Marsabit',
-  'Wajir',
-  'Garissa',
-  'Mandera',
-  'Baringo',
-  'Laikipia',
-  'Nakuru',
-  'Uasin Gishu',
-  'Trans Nzoia',
-  'Elgeyo Marakwet',
-  'Nandi',
-  'Bomet',
-  'Kericho',
-  'Bomet',
-  'Nandi',
-  'Kakamega',
-  'Vihiga',
-  'Bungoma',
-  'Busia',
-  'Siaya',
-  'Kisumu',
-  'Homa Bay',
-  'Migori',
-  'Kisii',
-  'Nyamira',
-  'Nairobi',
-  'Kiambu',
-  'Murang\'a',
-  'Nyeri',
-  'Kirinyaga',
-  'Embu',
-  'Tharaka Nithi',
-  'Meru',
-  'Isiolo',
-  'Machakos',
-  'Makueni',
-  'Kitui',
-  'Kilifi',
-  'Kwale',
-  'Mombasa',
-  'Taita Taveta',
-  'Lamu',
-  'Tana River',
-  'Other'
-];
-
-// Age options
-const AGES = [
-  'Select Age',
-  'Calf (0-6 months)',
-  'Weaner (6-12 months)',
-  'Yearling (1-2 years)',
-  '2 years',
-  '3 years',
-  '4 years',
-  '5 years',
-  '6 years',
-  '7 years',
-  '8 years',
-  '9 years',
-  '10 years',
-  '11 years',
-  '12 years',
-  '13+ years'
-];
-
-// Sex options
-const SEXES = [
-  'Select Sex',
-  'Female (Cow/Heifer)',
-  'Male (Bull/Steer)',
-  'Female (Cow)',
-  'Female (Heifer)',
-  'Male (Bull)',
-  'Male (Steer)',
-  'Calf (Unknown)'
-];
-
-// Color/Markings options (Top 10+ for cattle)
-const COLORS = [
-  'Select Color/Markings',
-  'Solid Black',
-  'Solid Brown',
-  'Solid Red',
-  'Solid White',
-  'Black and White (Piebald)',
-  'Brown and White',
-  'Red and White',
-  'Black with White Face',
-  'Brown with White Face',
-  'Spotted/Speckled',
-  'Brindle',
-  'Roan (Red)',
-  'Roan (Blue)',
-  'Dun',
-  'Gray',
-  'Yellow/Tan',
-  'Belted (Dutch Belt)',
-  'Lineback',
-  'Other'
-];
+const EMPTY_FORM = {
+  cowName: '',
+  ownerName: '',
+  breed: 'Select Breed',
+  age: 'Select Age',
+  location: 'Select Location',
+  sex: 'Select Sex',
+  color: 'Select Color/Markings',
+  notes: ''
+};
+
+// Problems of the captures kept below the photo quality bar
+function poorCaptureProblems(muzzleData) {
+  const qualities = muzzleData?.captureQualities || (muzzleData?.quality ? [muzzleData.quality] : []);
+  const poor = qualities.filter(q => q.level === 'poor');
+  return poor.length ? [...new Set(poor.flatMap(q => q.problems))] : null;
+}
 
 function Enroll() {
   const navigate = useNavigate();
-  const [formData, setFormData] = useState({
-    cowName: '',
-    ownerName: '',
-    breed: 'Select Breed',
-    age: 'Select Age',
-    location: 'Select Location',
-    sex: 'Select Sex',
-    color: 'Select Color/Markings',
-    notes: ''
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
 
   const [pendingMuzzleData, setPendingMuzzleData] = useState(() => {
     const stored = sessionStorage.getItem('pendingMuzzleData');
@@ -159,11 +36,19 @@ function Enroll() {
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [submitResult, setSubmitResult] = useState(null);
-  const [enrolledCattle, setEnrolledCattle] = useState(() => getAllCattle());
+  const [enrolledCattle, setEnrolledCattle] = useState([]);
   const [useSample, setUseSample] = useState(false);
+  const [checkProgress, setCheckProgress] = useState(null);
+  const [duplicateCheck, setDuplicateCheck] = useState(null);
+  const checkControllerRef = useRef(null);
 
   useEffect(() => {
-    setEnrolledCattle(getAllCattle());
+    getAllCattle().then(setEnrolledCattle);
+  }, []);
+
+  // Stop a duplicate check still running in the image worker when leaving the page
+  useEffect(() => () => {
+    if (checkControllerRef.current) checkControllerRef.current.abort();
   }, []);
 
   function handleChange(e) {
@@ -174,7 +59,7 @@ function Enroll() {
     }));
   }
 
-  function handleSubmit(e) {
+  async function handleSubmit(e) {
     e.preventDefault();
 
     if (!formData.cowName || !formData.ownerName) {
@@ -210,64 +95,136 @@ function Enroll() {
       return;
     }
 
-    setIsSubmitting(true);
+    if (pendingMuzzleData && !(pendingMuzzleData.templates?.length >= MIN_CAPTURES)) {
+      setSubmitResult({
+        success: false,
+        message: `Enrollment needs at least ${MIN_CAPTURES} muzzle captures. Please capture them again in the Muzzle Mapper.`
+      });
+      return;
+    }
 
-    // Generate feature vector and metadata
-    let featureVector;
-    let muzzleImage;
-    let perceptualHash;
-    let bioData;
+    if (!pendingMuzzleData && !useSample) {
+      setSubmitResult({
+        success: false,
+        message: 'Please capture a muzzle print or use sample data for demo'
+      });
+      return;
+    }
+
+    setIsSubmitting(true);
+    setDuplicateCheck(null);
 
     if (pendingMuzzleData) {
-      featureVector = pendingMuzzleData.featureVector;
-      muzzleImage = pendingMuzzleData.image;
-      perceptualHash = pendingMuzzleData.perceptualHash;
-
-      // Create bio-data feature vector for latent matching
-      bioData = createBioDataVector(formData);
-
-      // Check for duplicate using perceptual hash
-      const allCattle = getAllCattle();
-      const duplicate = allCattle.find(c => {
-        if (!c.perceptualHash || !perceptualHash) return false;
-        const distance = hammingDistance(c.perceptualHash, perceptualHash);
-        return distance <= 150; // Very similar images
-      });
+      // Score every capture against the registry's nearest animals, archived
+      // ones included: their muzzle is already on record
+      if (checkControllerRef.current) checkControllerRef.current.abort();
+      const controller = new AbortController();
+      checkControllerRef.current = controller;
+
+      let check;
+      try {
+        const [cattle, calibration] = await Promise.all([
+          findDuplicateCandidates(pendingMuzzleData.templates),
+          getCalibration()
+        ]);
+        check = await runImageJob(
+          'duplicates',
+          { templates: pendingMuzzleData.templates, cattle, calibration },
+          { onProgress: setCheckProgress, signal: controller.signal }
+        );
+        check.calibration = calibration;
+      } catch (error) {
+        if (!isAbortError(error)) {
+          console.error('Duplicate check error:', error);
+          setSubmitResult({
+            success: false,
+            message: 'Could not check the registry for this animal. Please try again.'
+          });
+        }
+        return;
+      } finally {
+        if (checkControllerRef.current === controller) {
+          checkControllerRef.current = null;
+          setCheckProgress(null);
+          setIsSubmitting(false);
+        }
+      }
 
-      if (duplicate) {
+      if (check.decision !== 'clear') {
+        setDuplicateCheck(check);
         setSubmitResult({
           success: false,
-          message: `⚠️ Duplicate detected! This muzzle matches "${duplicate.cowName}" (Owner: ${duplicate.ownerName}). Same cow already enrolled.`
+          message: check.decision === 'block'
+            ? `Duplicate detected! This muzzle matches "${check.candidates[0].cowName}" (Owner: ${check.candidates[0].ownerName}). Same cow already enrolled.`
+            : 'This muzzle may belong to an animal already on record. Send it to a supervisor for review before enrollment.'
         });
-        setIsSubmitting(false);
         return;
       }
-    } else if (useSample) {
-      featureVector = Array.from({ length: 28 }, () => Math.random());
-      muzzleImage = null;
-      perceptualHash = null;
-      bioData = createBioDataVector(formData);
-    } else {
+    }
+
+    const problems = poorCaptureProblems(pendingMuzzleData);
+    if (problems) {
       setSubmitResult({
         success: false,
-        message: 'Please capture a muzzle print or use sample data for demo'
+        message: `Some captures are below the photo quality bar. ${problems.join(' ')} Send the enrollment to a supervisor for review, or retake them in the Muzzle Mapper.`,
+        reviewKind: 'quality'
       });
-      setIsSubmitting(false);
       return;
     }
 
-    // Save to database with image, hash, and bio-data
-    const newCattle = addCattle({
-      ...formData,
-      muzzleImage,
-      featureVector,
-      perceptualHash,
-      bioData,
-      bioDataId: `BIO-${Date.now()}`
-    });
+    await saveCattle();
+  }
+
+  // Muzzle templates of the new record: the captured set, or a random
+  // vector for the demo
+  function muzzleFields() {
+    if (!pendingMuzzleData) {
+      return {
+        muzzleImage: null,
+        featureVector: Array.from({ length: 28 }, () => Math.random()),
+        perceptualHash: null
+      };
+    }
+
+    return {
+      muzzleImage: pendingMuzzleData.image,
+      featureVector: pendingMuzzleData.featureVector,
+      perceptualHash: pendingMuzzleData.perceptualHash,
+      keypointTemplate: pendingMuzzleData.keypointTemplate || null,
+      ridgeTemplate: pendingMuzzleData.ridgeTemplate || null,
+      muzzleRoi: pendingMuzzleData.muzzleRoi || null,
+      pipelineVersion: pendingMuzzleData.pipelineVersion || null,
+      templates: pendingMuzzleData.templates
+    };
+  }
 
-    // Clear pending data
+  function resetForm() {
     sessionStorage.removeItem('pendingMuzzleData');
+    setFormData(EMPTY_FORM);
+    setPendingMuzzleData(null);
+    setUseSample(false);
+    setDuplicateCheck(null);
+  }
+
+  async function saveCattle() {
+    setIsSubmitting(true);
+
+    // Save to database with image and templates
+    let newCattle;
+    try {
+      newCattle = await addCattle({
+        ...formData,
+        ...muzzleFields()
+      });
+    } catch (error) {
+      console.error('Enrollment error:', error);
+      setSubmitResult({
+        success: false,
+        message: 'Could not save this record on the device. Please try again.'
+      });
+      setIsSubmitting(false);
+      return;
+    }
 
     setSubmitResult({
       success: true,
@@ -276,27 +233,49 @@ function Enroll() {
     });
 
     setIsSubmitting(false);
-    setEnrolledCattle(getAllCattle());
-
-    // Reset form
-    setFormData({
-      cowName: '',
-      ownerName: '',
-      breed: 'Select Breed',
-      age: 'Select Age',
-      location: 'Select Location',
-      sex: 'Select Sex',
-      color: 'Select Color/Markings',
-      notes: ''
+    setEnrolledCattle(await getAllCattle());
+    resetForm();
+  }
+
+  // Park the enrollment in the supervisor review queue instead of saving it
+  async function sendForReview(kind) {
+    const actor = requireOperatorName();
+    if (!actor) return;
+
+    const problems = poorCaptureProblems(pendingMuzzleData);
+    setIsSubmitting(true);
+    try {
+      await submitReview({
+        kind,
+        note: problems ? `Captures below the quality bar: ${problems.join(' ')}` : '',
+        enrollment: { ...formData, ...muzzleFields() },
+        candidates: kind === 'duplicate' ? duplicateCheck.candidates : []
+      }, { actor });
+    } catch (error) {
+      console.error('Review submission error:', error);
+      setSubmitResult({
+        success: false,
+        message: 'Could not save this enrollment for review. Please try again.'
+      });
+      return;
+    } finally {
+      setIsSubmitting(false);
+    }
+
+    setSubmitResult({
+      success: true,
+      message: `${formData.cowName} was sent to the supervisor review queue. It is enrolled once a supervisor approves it.`,
+      queued: true
     });
-    setPendingMuzzleData(null);
-    setUseSample(false);
+    resetForm();
   }
 
   function handleViewCertificate(id) {
     navigate(`/certificate/${id}`);
   }
 
+  const muzzleWarning = pendingMuzzleData?.quality?.level === 'warning' || Boolean(poorCaptureProblems(pendingMuzzleData));
+
   return (
     <div className="enroll-page">
       <div className="container">
@@ -329,6 +308,74 @@ function Enroll() {
                     📜 View Certificate
                   </button>
                 )}
+                {submitResult.reviewKind && (
+                  <button
+                    onClick={() => sendForReview(submitResult.reviewKind)}
+                    className="btn btn-primary btn-sm"
+                    style={{ marginTop: '0.75rem' }}
+                    disabled={isSubmitting}
+                  >
+                    📥 Send to Supervisor Review
+                  </button>
+                )}
+                {submitResult.queued && (
+                  <Link to="/reviews" className="btn btn-secondary btn-sm" style={{ marginTop: '0.75rem' }}>
+                    📥 Review Queue
+                  </Link>
+                )}
+              </div>
+            )}
+
+            {duplicateCheck && (
+              <div className={`duplicate-review ${duplicateCheck.decision}`}>
+                <h3>
+                  {duplicateCheck.decision === 'block' ? '⛔ Already Enrolled' : '🔎 Possible Duplicate: Supervisor Review'}
+                </h3>
+                {duplicateCheck.candidates.map(candidate => {
+                  const { label } = getMatchLabel(candidate.matchPercentage, duplicateCheck.calibration);
+                  return (
+                    <div key={candidate.id} className="duplicate-compare">
+                      <figure>
+                        <img src={pendingMuzzleData.image} alt="New muzzle capture" />
+                        <figcaption>New capture</figcaption>
+                      </figure>
+                      <figure>
+                        {candidate.muzzleImage ? (
+                          <img src={candidate.muzzleImage} alt={`Muzzle of ${candidate.cowName}`} />
+                        ) : (
+                          <div className="duplicate-no-image">No photo on record</div>
+                        )}
+                        <figcaption>
+                          <Link to={`/certificate/${candidate.id}`}>{candidate.cowName}</Link>
+                          {' '}• {candidate.certificateId} • Owner: {candidate.ownerName}
+                          {candidate.status && candidate.status !== 'active' && ` • ${candidate.status}`}
+                        </figcaption>
+                      </figure>
+                      <div className="duplicate-score">
+                        {candidate.isExactDuplicate
+                          ? 'Same photo'
+                          : `${candidate.matchPercentage.toFixed(1)}% • ${label}`}
+                      </div>
+                    </div>
+                  );
+                })}
+
+                {duplicateCheck.decision === 'review' && (
+                  <div className="supervisor-approval">
+                    <p>
+                      If these are different animals, a supervisor can approve the enrollment from the
+                      review queue, or merge the captures into the animal on record if they are the same.
+                    </p>
+                    <button
+                      type="button"
+                      onClick={() => sendForReview('duplicate')}
+                      className="btn btn-primary btn-sm"
+                      disabled={isSubmitting}
+                    >
+                      📥 Send to Supervisor Review
+                    </button>
+                  </div>
+                )}
               </div>
             )}
 
@@ -477,16 +524,21 @@ function Enroll() {
                 <h4>Muzzle Print Data</h4>
 
                 {pendingMuzzleData ? (
-                  <div className="muzzle-status success">
-                    <span className="status-icon">✅</span>
+                  <div className={`muzzle-status ${muzzleWarning ? 'warning' : 'success'}`}>
+                    <span className="status-icon">{muzzleWarning ? '⚠️' : '✅'}</span>
                     <div>
                       <strong>Muzzle print captured</strong>
-                      <p>Feature vector and biometric hash ready from Muzzle Mapper</p>
+                      <p>{pendingMuzzleData.templates?.length || 1} captures checked against each other and ready from Muzzle Mapper</p>
+                      {pendingMuzzleData.quality?.problems?.map(problem => (
+                        <p key={problem}>{problem}</p>
+                      ))}
                     </div>
                     <button
                       type="button"
                       onClick={() => {
                         setPendingMuzzleData(null);
+                        setDuplicateCheck(null);
+                        setSubmitResult(null);
                         sessionStorage.removeItem('pendingMuzzleData');
                       }}
                       className="btn btn-sm btn-secondary"
@@ -519,7 +571,11 @@ function Enroll() {
                 className="btn btn-success btn-block"
                 disabled={isSubmitting}
               >
-                {isSubmitting ? 'Enrolling...' : '✓ Enroll Cattle'}
+                {isSubmitting
+                  ? checkProgress
+                    ? `Checking the registry... ${Math.round(checkProgress.fraction * 100)}%`
+                    : 'Enrolling...'
+                  : '✓ Enroll Cattle'}
               </button>
             </form>
           </div>
@@ -569,35 +625,4 @@ function Enroll() {
   );
 }
 
-/**
- * Create bio-data feature vector for latent matching
- * Encodes categorical data into numeric features
- */
-function createBioDataVector(formData) {
-  const bioData = {
-    breedId: BREEDS.indexOf(formData.breed),
-    locationId: LOCATIONS.indexOf(formData.location),
-    ageId: AGES.indexOf(formData.age),
-    sexId: SEXES.indexOf(formData.sex),
-    colorId: COLORS.indexOf(formData.color),
-    // Normalized values for matching (0-1 range)
-    breedScore: BREEDS.indexOf(formData.breed) / BREEDS.length,
-    locationScore: LOCATIONS.indexOf(formData.location) / LOCATIONS.length,
-    ageScore: AGES.indexOf(formData.age) / AGES.length,
-    sexScore: SEXES.indexOf(formData.sex) / SEXES.length,
-    colorScore: COLORS.indexOf(formData.color) / COLORS.length
-  };
-
-  // Create combined bio-feature vector (5 features)
-  bioData.vector = [
-    bioData.breedScore,
-    bioData.locationScore,
-    bioData.ageScore,
-    bioData.sexScore,
-    bioData.colorScore
-  ];
-
-  return bioData;
-}
-
 export default Enroll;
@@ -1,22 +1,58 @@
 import { useState, useRef, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { getAllCattle } from '../utils/database';
-import { validateMuzzleImage, toGrayscale, applyGaussianBlur, applyCLAHE, extractFeatureVector, calculateSimilarity, calculatePerceptualHash, hammingDistance } from '../utils/imageProcessing';
+import { getAdaptiveUpdates, setAdaptiveUpdates } from '../utils/adaptiveUpdates';
+import { hasQueryAttributes } from '../utils/attributes';
+import {
+  findMatchCandidates,
+  getAttributeStatistics,
+  getCalibration,
+  refreshCattleTemplate,
+  submitReview
+} from '../utils/database';
+import { imageDataToDataUrl, progressRange } from '../utils/imageProcessing';
+import { isAbortError, runImageJob } from '../utils/imageWorkerClient';
+import { getMatchLabel, matchThresholds } from '../utils/matching';
+import { getOperatorName, requireOperatorName } from '../utils/operator';
+import { canonicalROI } from '../utils/roi';
+import { BREEDS, COLORS, LOCATIONS, SEXES } from '../utils/vocabularies';
 import './Matcher.css';
 
+const QUALITY_ICONS = { pass: '✅', warn: '⚠️', fail: '❌' };
+
+// Attributes the officer can see at a scan; the placeholder means unknown
+const ATTRIBUTE_OPTIONS = [
+  { field: 'breed', label: 'Breed', options: BREEDS, any: 'Any breed' },
+  { field: 'sex', label: 'Sex', options: SEXES, any: 'Any sex' },
+  { field: 'color', label: 'Color/Markings', options: COLORS, any: 'Any color' },
+  { field: 'location', label: 'County', options: LOCATIONS, any: 'Any county' }
+];
+
 function Matcher() {
   const [stream, setStream] = useState(null);
   const [capturedImage, setCapturedImage] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState(null);
   const [matchResults, setMatchResults] = useState(null);
   const [validation, setValidation] = useState(null);
+  const [quality, setQuality] = useState(null);
+  const [roiFrame, setRoiFrame] = useState(null);
   const [error, setError] = useState(null);
   const [captureMode, setCaptureMode] = useState('camera');
   const [cameraUnavailable, setCameraUnavailable] = useState(false);
+  const [adaptiveUpdates, setAdaptiveUpdatesState] = useState(getAdaptiveUpdates);
+  const [attributes, setAttributes] = useState({ breed: '', sex: '', color: '', location: '' });
+  const [attributeMode, setAttributeMode] = useState('soft');
+  const [reviewStatus, setReviewStatus] = useState(null);
   
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const fileInputRef = useRef(null);
+  const scanControllerRef = useRef(null);
+
+  // Stop a scan still running in the image worker when leaving the page
+  useEffect(() => () => {
+    if (scanControllerRef.current) scanControllerRef.current.abort();
+  }, []);
 
   useEffect(() => {
     const initCamera = async () => {
@@ -131,110 +167,164 @@ function Matcher() {
     reader.readAsDataURL(file);
   }
 
-  function processAndMatch(canvas) {
+  async function processAndMatch(canvas) {
     setIsProcessing(true);
+    setProgress({ label: 'Preparing photo', fraction: 0 });
     setError(null);
     setMatchResults(null);
     setValidation(null);
+    setQuality(null);
+    setRoiFrame(null);
+    setReviewStatus(null);
+
+    const controller = new AbortController();
+    scanControllerRef.current = controller;
+
+    try {
+      const ctx = canvas.getContext('2d');
+      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+      const query = await runImageJob('analyze', { imageData }, {
+        onProgress: progressRange(setProgress, 0, 0.6),
+        signal: controller.signal
+      });
+      setValidation(query.validation);
+      setQuality(query.quality);
+      setRoiFrame({ roi: query.roi, width: canvas.width, height: canvas.height });
+
+      // A poor photo would only produce misleading matches
+      if (!query.quality.acceptable) {
+        setError('Photo quality is too low to identify the animal. Fix the problems below and scan again.');
+        return;
+      }
 
-    setTimeout(() => {
-      try {
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-
-        const validationResult = validateMuzzleImage(imageData);
-        setValidation(validationResult);
-
-        if (!validationResult.isValid) {
-          setError('Low confidence: Image may not be a cow muzzle. Results may be inaccurate.');
-        }
-
-        let processed = toGrayscale(imageData);
-        processed = applyGaussianBlur(processed, canvas.width, canvas.height, 1);
-        processed = applyCLAHE(processed, canvas.width, canvas.height, 2.0, 8);
-
-        const queryFeatures = extractFeatureVector(processed, canvas.width, canvas.height);
-        const queryHash = calculatePerceptualHash(imageData);
-
-        const cattle = getAllCattle();
+      if (!query.validation.isValid) {
+        setError('Low confidence: Image may not be a cow muzzle. Results may be inaccurate.');
+      }
 
-        if (cattle.length === 0) {
-          setMatchResults({
-            queryFeatures,
-            matches: [],
-            validation: validationResult
-          });
-          setIsProcessing(false);
-          return;
-        }
+      // The scan's templates keep the muzzle crop they came from, so they
+      // can be re-extracted if they join an animal's set; the crop is the
+      // whole image, as for Muzzle Mapper captures
+      const template = {
+        ...query.template,
+        image: imageDataToDataUrl(query.muzzle),
+        muzzleRoi: canonicalROI(query.roi.found)
+      };
 
-        const results = cattle.map(cattle => {
-          const similarity = calculateSimilarity(queryFeatures, cattle.featureVector);
+      // Only the nearest enrolled templates go through full verification
+      setProgress({ label: 'Searching the registry', fraction: 0.6 });
+      const observed = hasQueryAttributes(attributes);
+      const [{ candidates, unmatchable: unsearchable }, calibration, statistics] = await Promise.all([
+        findMatchCandidates({
+          featureVector: query.queryFeatures,
+          perceptualHash: query.queryHash
+        }),
+        getCalibration(),
+        observed ? getAttributeStatistics() : null
+      ]);
+      const { matches, unmatchable, excluded } = await runImageJob(
+        'score',
+        {
+          query,
+          cattle: [...candidates, ...unsearchable],
+          calibration,
+          attributes: observed ? { values: attributes, mode: attributeMode, statistics } : null
+        },
+        { onProgress: progressRange(setProgress, 0.65, 1), signal: controller.signal }
+      );
+
+      // Adaptive mode keeps a clear, confident match's templates current:
+      // the muzzle alone must be Excellent for the top match and not even a
+      // Possible one for any other animal
+      const [top, ...others] = matches;
+      const thresholds = matchThresholds(calibration);
+      let refreshed = null;
+      if (adaptiveUpdates && query.validation.isValid && top && !top.isExactDuplicate &&
+          top.biometricPercentage >= thresholds.excellent &&
+          others.every(m => m.biometricPercentage < thresholds.possible)) {
+        const updated = await refreshCattleTemplate(top.id, template, {
+          matchPercentage: top.matchPercentage,
+          actor: getOperatorName()
+        });
+        refreshed = updated ? updated.cowName : null;
+      }
 
-          // Check for exact duplicate using perceptual hash
-          let isExactDuplicate = false;
-          let duplicateScore = 0;
-          if (cattle.perceptualHash && queryHash) {
-            const hashMatch = hammingDistance(queryHash, cattle.perceptualHash);
-            duplicateScore = 100 - (hashMatch / 4096 * 100);
-            isExactDuplicate = hashMatch <= 150; // Very close match
-          }
+      setMatchResults({
+        queryFeatures: query.queryFeatures,
+        matches,
+        unmatchable,
+        excluded,
+        validation: query.validation,
+        queryHash: query.queryHash,
+        template,
+        calibration,
+        refreshed
+      });
+    } catch (err) {
+      if (!isAbortError(err)) {
+        setError('Error processing image. Please try again.');
+        console.error('Matching error:', err);
+      }
+    } finally {
+      if (scanControllerRef.current === controller) {
+        scanControllerRef.current = null;
+        setIsProcessing(false);
+        setProgress(null);
+      }
+    }
+  }
 
-          // Latent: Bio-data matching (if available)
-          let bioDataMatch = 0;
-          if (cattle.bioData && cattle.bioData.vector) {
-            // Bio-data contributes to matching (latent enhancement)
-            // This helps when muzzle images are similar but biodata confirms
-            const bioVector = cattle.bioData.vector;
-            let bioSum = 0;
-            for (let i = 0; i < 5; i++) {
-              bioSum += bioVector[i];
-            }
-            bioDataMatch = (bioSum / 5) * 100;
-          }
+  // Only a Possible Match at best: a supervisor decides which animal it is
+  function needsReview(results) {
+    const [top] = results.matches;
+    if (!top || top.isExactDuplicate) return false;
+    const thresholds = matchThresholds(results.calibration);
+    return top.matchPercentage >= thresholds.possible && top.matchPercentage < thresholds.good;
+  }
 
-          // Combined score: 75% muzzle + 25% bio-data (latent enhancement)
-          const hasBioData = cattle.bioData && cattle.bioData.vector;
-          const adjustedSimilarity = isExactDuplicate
-            ? 99.9
-            : hasBioData
-              ? (similarity * 0.75) + (bioDataMatch * 0.25)
-              : validationResult.confidence >= 0.60
-                ? Math.min(100, similarity * 1.05)
-                : similarity;
-
-          return {
-            ...cattle,
-            matchPercentage: adjustedSimilarity,
-            rawPercentage: similarity,
-            bioDataMatch: hasBioData ? Math.round(bioDataMatch) : null,
-            isExactDuplicate,
-            duplicateScore
-          };
-        });
+  async function sendForReview() {
+    const actor = requireOperatorName();
+    if (!actor) return;
+
+    const { possible } = matchThresholds(matchResults.calibration);
+    const [top] = matchResults.matches;
+    setReviewStatus('sending');
+    try {
+      await submitReview({
+        kind: 'match',
+        scan: { image: capturedImage, template: matchResults.template, matchPercentage: top.matchPercentage },
+        candidates: matchResults.matches.filter(m => m.matchPercentage >= possible).slice(0, 3)
+      }, { actor });
+      setReviewStatus('sent');
+    } catch (err) {
+      console.error('Review submission error:', err);
+      setReviewStatus(null);
+      setError('Could not save this scan for review. Please try again.');
+    }
+  }
 
-        results.sort((a, b) => b.matchPercentage - a.matchPercentage);
+  function handleAttributeChange(event) {
+    const { name, value } = event.target;
+    setAttributes(prev => ({ ...prev, [name]: value }));
+  }
 
-        setMatchResults({
-          queryFeatures,
-          matches: results,
-          validation: validationResult,
-          queryHash
-        });
+  function toggleAdaptiveUpdates(event) {
+    setAdaptiveUpdates(event.target.checked);
+    setAdaptiveUpdatesState(event.target.checked);
+  }
 
-        setIsProcessing(false);
-      } catch (err) {
-        setError('Error processing image. Please try again.');
-        setIsProcessing(false);
-        console.error('Matching error:', err);
-      }
-    }, 2000);
+  function cancelScan() {
+    if (scanControllerRef.current) scanControllerRef.current.abort();
   }
 
   function retakePhoto() {
+    cancelScan();
     setCapturedImage(null);
     setMatchResults(null);
     setValidation(null);
+    setQuality(null);
+    setRoiFrame(null);
+    setReviewStatus(null);
     setError(null);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
@@ -247,13 +337,6 @@ function Matcher() {
     }
   }
 
-  function getMatchLabel(percentage) {
-    if (percentage >= 85) return { label: 'Excellent Match', class: 'excellent' };
-    if (percentage >= 70) return { label: 'Good Match', class: 'good' };
-    if (percentage >= 50) return { label: 'Possible Match', class: 'possible' };
-    return { label: 'No Match', class: 'no-match' };
-  }
-
   return (
     <div className="matcher-page">
       <div className="container">
@@ -265,8 +348,60 @@ function Matcher() {
 
         <div className="matcher-info">
           <p><strong>MVP 3:</strong> Scan or upload a cow's muzzle to identify it. The AI validates it's a muzzle print, extracts biometric features, and compares against enrolled cattle.</p>
+          <label className="adaptive-toggle">
+            <input type="checkbox" checked={adaptiveUpdates} onChange={toggleAdaptiveUpdates} />
+            🌱 Adaptive templates: an Excellent, unambiguous match replaces the animal's oldest enrolled template with this scan
+          </label>
         </div>
 
+        <details className="attribute-filter">
+          <summary>🏷️ What can you see? (optional)</summary>
+          <p className="attribute-help">
+            Breed, sex, colour and county observed at the scan narrow the search.
+          </p>
+          <div className="attribute-grid">
+            {ATTRIBUTE_OPTIONS.map(({ field, label, options, any }) => (
+              <div key={field} className="input-group">
+                <label className="input-label" htmlFor={`attribute-${field}`}>{label}</label>
+                <select
+                  id={`attribute-${field}`}
+                  name={field}
+                  className="select"
+                  value={attributes[field]}
+                  onChange={handleAttributeChange}
+                >
+                  <option value="">{any}</option>
+                  {options.slice(1).map((option, idx) => (
+                    <option key={idx} value={option}>{option}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <div className="attribute-modes">
+            <label>
+              <input
+                type="radio"
+                name="attributeMode"
+                value="soft"
+                checked={attributeMode === 'soft'}
+                onChange={() => setAttributeMode('soft')}
+              />
+              Weigh as evidence
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="attributeMode"
+                value="hard"
+                checked={attributeMode === 'hard'}
+                onChange={() => setAttributeMode('hard')}
+              />
+              Only animals recorded with these
+            </label>
+          </div>
+        </details>
+
         {error && (
           <div className={`error-message ${!validation?.isValid ? 'warning' : ''}`}>
             {cameraUnavailable ? '📷' : validation?.isValid ? '⚠️' : '🐄'} {error}
@@ -391,11 +526,58 @@ function Matcher() {
                 </span>
               </div>
 
+              {isProcessing && progress && (
+                <div className="scan-progress">
+                  <div className="scan-progress-header">
+                    <span>🔄 {progress.label}...</span>
+                    <span>{Math.round(progress.fraction * 100)}%</span>
+                  </div>
+                  <div className="scan-progress-bar">
+                    <div className="scan-progress-fill" style={{ width: `${progress.fraction * 100}%` }}></div>
+                  </div>
+                  <button onClick={cancelScan} className="btn btn-sm btn-secondary">
+                    ✖ Cancel
+                  </button>
+                </div>
+              )}
+
               <div className="captured-muzzle">
                 <h4>Scanned Muzzle Print</h4>
-                <img src={capturedImage} alt="Scanned muzzle" />
+                <div className="roi-frame">
+                  <img src={capturedImage} alt="Scanned muzzle" />
+                  {roiFrame && (
+                    <svg
+                      className="roi-overlay"
+                      viewBox={`0 0 ${roiFrame.width} ${roiFrame.height}`}
+                      preserveAspectRatio="none"
+                    >
+                      <polygon points={roiFrame.roi.polygon.map(p => `${p.x},${p.y}`).join(' ')} />
+                    </svg>
+                  )}
+                </div>
+                {roiFrame && !roiFrame.roi.found && (
+                  <p className="roi-note">⚠️ Nostrils not found; the centre of the photo was compared</p>
+                )}
               </div>
 
+              {quality && quality.level !== 'good' && (
+                <div className={`quality-summary ${quality.level}`}>
+                  <h4>{quality.acceptable ? '⚠️ Photo quality could be better' : '❌ Photo quality too low'}</h4>
+                  <ul className="quality-checks">
+                    {quality.checks.filter(check => check.status !== 'pass').map(check => (
+                      <li key={check.id} className={`quality-check ${check.status}`}>
+                        <strong>{QUALITY_ICONS[check.status]} {check.label}:</strong> {check.message}
+                      </li>
+                    ))}
+                  </ul>
+                  {!quality.acceptable && (
+                    <button onClick={retakePhoto} className="btn btn-primary btn-sm">
+                      🔄 Scan Again
+                    </button>
+                  )}
+                </div>
+              )}
+
               {validation && (
                 <div className={`validation-summary ${validation.isValid ? 'valid' : 'invalid'}`}>
                   <div className="validation-header">
@@ -422,15 +604,56 @@ function Matcher() {
                 <div className="results-section">
                   <h3>📊 Match Results</h3>
 
+                  {matchResults.refreshed && (
+                    <div className="adaptive-note">
+                      🌱 {matchResults.refreshed}'s oldest enrolled template was replaced with this scan
+                    </div>
+                  )}
+
+                  {matchResults.excluded > 0 && (
+                    <div className="unmatchable-note">
+                      🏷️ {matchResults.excluded} candidate(s) left out because their recorded attributes differ
+                    </div>
+                  )}
+
+                  {matchResults.unmatchable.length > 0 && (
+                    <div className="unmatchable-note">
+                      ⚠️ {matchResults.unmatchable.length} enrolled animal(s) could not be compared
+                      because their biometric template is outdated and needs re-enrollment:{' '}
+                      {matchResults.unmatchable.map(c => c.cowName).join(', ')}
+                    </div>
+                  )}
+
+                  {needsReview(matchResults) && (
+                    <div className="review-note">
+                      {reviewStatus === 'sent' ? (
+                        <>
+                          📥 Sent to the supervisor review queue. <Link to="/reviews">Open the queue</Link>
+                        </>
+                      ) : (
+                        <>
+                          <span>🧑‍⚖️ The best match is only a Possible Match. A supervisor can compare the photos and decide.</span>
+                          <button
+                            onClick={sendForReview}
+                            className="btn btn-sm btn-primary"
+                            disabled={reviewStatus === 'sending'}
+                          >
+                            📥 Send to Supervisor Review
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  )}
+
                   {matchResults.matches.length === 0 ? (
                     <div className="no-results">
-                      <p>No cattle in database. Enroll some cattle first!</p>
+                      <p>No comparable cattle in database. Enroll some cattle first!</p>
                       <Link to="/enroll" className="btn btn-primary">Enroll Cattle</Link>
                     </div>
                   ) : (
                     <div className="matches-list">
                       {matchResults.matches.slice(0, 5).map((match, index) => {
-                        const { label, class: matchClass } = getMatchLabel(match.matchPercentage);
+                        const { label, class: matchClass } = getMatchLabel(match.matchPercentage, matchResults.calibration);
                         return (
                           <div
                             key={match.id}
@@ -439,7 +662,7 @@ function Matcher() {
                             {match.isExactDuplicate && (
                               <div className="exact-match-badge">✅ Exact Match</div>
                             )}
-                            {index === 0 && match.matchPercentage >= 70 && !match.isExactDuplicate && (
+                            {index === 0 && match.matchPercentage >= matchThresholds(matchResults.calibration).good && !match.isExactDuplicate && (
                               <div className="top-match-badge">🏆 Best Match</div>
                             )}
                             <div className="match-percentage">
@@ -457,8 +680,19 @@ function Matcher() {
                               {match.isExactDuplicate && (
                                 <p className="duplicate-note">⚠️ This is the same animal (image match)</p>
                               )}
-                              {match.bioDataMatch !== null && !match.isExactDuplicate && (
-                                <p className="biodata-note">📊 Bio-data match: {match.bioDataMatch}%</p>
+                              {match.templateCount > 1 && (
+                                <p className="biodata-note">🗂️ Closest of {match.templateCount} enrolled captures: #{match.matchedTemplate + 1}</p>
+                              )}
+                              {match.keypointInliers > 0 && (
+                                <p className="biodata-note">🎯 Keypoints verified: {match.keypointInliers}</p>
+                              )}
+                              {match.beadAlignment !== null && (
+                                <p className="biodata-note">🔘 Beads aligned: {Math.round(match.beadAlignment * 100)}%</p>
+                              )}
+                              {match.attributeRatio !== null && !match.isExactDuplicate && (
+                                <p className="biodata-note">
+                                  🏷️ Muzzle alone: {match.biometricPercentage.toFixed(1)}% • attributes {match.attributeRatio >= 1 ? 'agree' : 'disagree'} (×{match.attributeRatio.toPrecision(2)})
+                                </p>
                               )}
                             </div>
                             <Link
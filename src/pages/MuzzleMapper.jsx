@@ -1,15 +1,70 @@
 import { useState, useRef, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { validateMuzzleImage, toGrayscale, applyGaussianBlur, applyCLAHE, extractFeatureVector, calculatePerceptualHash } from '../utils/imageProcessing';
+import { getCalibration } from '../utils/database';
+import { PIPELINE_VERSION } from '../utils/imageProcessing';
+import { isAbortError, runImageJob } from '../utils/imageWorkerClient';
+import { canonicalROI } from '../utils/roi';
+import { MAX_CAPTURES, MIN_CAPTURES, createTemplate } from '../utils/templates';
 import './MuzzleMapper.css';
 
+const QUALITY_ICONS = { pass: '✅', warn: '⚠️', fail: '❌' };
+
+/**
+ * Draw a pipeline image ({ data, width, height }) on a canvas and return it
+ * as a PNG data URL
+ */
+function imageToDataUrl(canvas, { data, width, height }) {
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Draw the ridge skeleton and bead outlines over a dimmed copy of the
+ * processed image
+ */
+function drawSegmentation(canvas, processed, { skeleton, template }) {
+  const { width, height } = processed;
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const overlay = new ImageData(width, height);
+  for (let i = 0; i < skeleton.length; i++) {
+    const base = processed.data[i * 4] * 0.4;
+    overlay.data[i * 4] = skeleton[i] ? 239 : base;
+    overlay.data[i * 4 + 1] = skeleton[i] ? 68 : base;
+    overlay.data[i * 4 + 2] = skeleton[i] ? 68 : base;
+    overlay.data[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(overlay, 0, 0);
+
+  ctx.strokeStyle = 'rgba(16, 185, 129, 0.9)';
+  ctx.lineWidth = 1;
+  template.beads.forEach(bead => {
+    ctx.beginPath();
+    ctx.ellipse(bead.x, bead.y, Math.max(1, bead.major), Math.max(1, bead.minor), bead.orientation, 0, 2 * Math.PI);
+    ctx.stroke();
+  });
+}
+
 function MuzzleMapper() {
   const [stream, setStream] = useState(null);
   const [capturedImage, setCapturedImage] = useState(null);
   const [processedImage, setProcessedImage] = useState(null);
+  const [pipelineImages, setPipelineImages] = useState([]);
+  const [segmentationImage, setSegmentationImage] = useState(null);
+  const [ridgeTemplate, setRidgeTemplate] = useState(null);
+  const [roiFrame, setRoiFrame] = useState(null);
+  const [quality, setQuality] = useState(null);
   const [featureVector, setFeatureVector] = useState(null);
+  const [capture, setCapture] = useState(null);
+  const [captures, setCaptures] = useState([]);
+  const [consistency, setConsistency] = useState(null);
   const [validation, setValidation] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState(null);
   const [error, setError] = useState(null);
   const [showGuide, setShowGuide] = useState(true);
   const [cameraUnavailable, setCameraUnavailable] = useState(false);
@@ -18,7 +73,14 @@ function MuzzleMapper() {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const processedCanvasRef = useRef(null);
+  const segmentationCanvasRef = useRef(null);
   const fileInputRef = useRef(null);
+  const processControllerRef = useRef(null);
+
+  // Stop processing still running in the image worker when leaving the page
+  useEffect(() => () => {
+    if (processControllerRef.current) processControllerRef.current.abort();
+  }, []);
 
   useEffect(() => {
     const initCamera = async () => {
@@ -137,55 +199,88 @@ function MuzzleMapper() {
     reader.readAsDataURL(file);
   }
 
-  function processImage(canvas) {
+  async function processImage(canvas) {
     setIsProcessing(true);
+    setProgress({ label: 'Preparing photo', fraction: 0 });
     setError(null);
 
-    setTimeout(() => {
-      try {
-        const ctx = canvas.getContext('2d');
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-
-        // Validate muzzle image with AI
-        const validationResult = validateMuzzleImage(imageData);
-        setValidation(validationResult);
-
-        // Image processing pipeline
-        let processed = toGrayscale(imageData);
-        processed = applyGaussianBlur(processed, canvas.width, canvas.height, 1);
-        processed = applyCLAHE(processed, canvas.width, canvas.height, 2.0, 8);
-
-        // Draw processed image
-        const processedCanvas = processedCanvasRef.current;
-        if (processedCanvas) {
-          processedCanvas.width = canvas.width;
-          processedCanvas.height = canvas.height;
-          const processedCtx = processedCanvas.getContext('2d');
-          processedCtx.putImageData(processed, 0, 0);
-          setProcessedImage(processedCanvas.toDataURL('image/png'));
-        }
-
-        // Extract 28-dimensional feature vector and perceptual hash
-        const features = extractFeatureVector(processed, canvas.width, canvas.height);
-        const perceptualHash = calculatePerceptualHash(imageData);
-        setFeatureVector(features);
-
-        // Store hash for later use
-        sessionStorage.setItem('pendingPerceptualHash', perceptualHash);
+    const controller = new AbortController();
+    processControllerRef.current = controller;
+
+    try {
+      const ctx = canvas.getContext('2d');
+      const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+      // Locate, crop and deskew the muzzle, then run the shared pipeline in
+      // the image worker so these templates compare with the Matcher's
+      const result = await runImageJob('process', { imageData }, {
+        onProgress: setProgress,
+        signal: controller.signal
+      });
+      const { roi } = result;
+      setRoiFrame({ roi, width: canvas.width, height: canvas.height });
+
+      // Blurred, badly lit or distant photos make templates that won't match later
+      setQuality(result.quality);
+      if (!result.quality.acceptable) {
+        setError('This photo is not good enough to enroll. Fix the problems listed below and retake it.');
+      }
 
-        setIsProcessing(false);
-      } catch (err) {
+      // Validate muzzle image with AI
+      setValidation(result.validation);
+
+      // Draw each pipeline stage; the enrolled image is the unprocessed
+      // crop, so migrations can re-run the pipeline on it
+      const processedCanvas = processedCanvasRef.current;
+      setPipelineImages(result.stages.map(({ stage, imageData: stageImage }) => ({
+        stage,
+        url: imageToDataUrl(processedCanvas, stageImage)
+      })));
+      setProcessedImage(imageToDataUrl(processedCanvas, result.processedData));
+
+      // Draw the segmented ridges and beads for inspection
+      setRidgeTemplate(result.ridgeTemplate);
+      const segmentationCanvas = segmentationCanvasRef.current;
+      drawSegmentation(segmentationCanvas, result.processedData, result.segmentation);
+      setSegmentationImage(segmentationCanvas.toDataURL('image/png'));
+
+      // 28-dimensional feature vector
+      setFeatureVector(result.featureVector);
+
+      // Keep the templates until the capture is added to the enrollment set
+      setCapture({
+        image: imageToDataUrl(processedCanvas, result.muzzle),
+        template: createTemplate(result, new Date().toISOString()),
+        // The enrolled image is the crop, so its region is the whole image
+        muzzleRoi: canonicalROI(roi.found),
+        validation: result.validation,
+        quality: { level: result.quality.level, problems: result.quality.problems }
+      });
+    } catch (err) {
+      if (!isAbortError(err)) {
         setError('Error processing image. Please try again.');
-        setIsProcessing(false);
         console.error('Processing error:', err);
       }
-    }, 100);
+    } finally {
+      if (processControllerRef.current === controller) {
+        processControllerRef.current = null;
+        setIsProcessing(false);
+        setProgress(null);
+      }
+    }
   }
 
   function retakePhoto() {
+    if (processControllerRef.current) processControllerRef.current.abort();
     setCapturedImage(null);
     setProcessedImage(null);
+    setPipelineImages([]);
+    setSegmentationImage(null);
+    setRidgeTemplate(null);
+    setRoiFrame(null);
+    setQuality(null);
     setFeatureVector(null);
+    setCapture(null);
     setValidation(null);
     setError(null);
     if (fileInputRef.current) {
@@ -193,17 +288,69 @@ function MuzzleMapper() {
     }
   }
 
-  function useForEnrollment() {
-    if (featureVector) {
-      const perceptualHash = sessionStorage.getItem('pendingPerceptualHash');
+  // Add the current photo to the enrollment set and start the next one. A
+  // photo below the quality bar can only be kept for a supervisor to review.
+  function keepCapture({ forReview = false } = {}) {
+    if (!capture || !(quality?.acceptable || forReview) || captures.length >= MAX_CAPTURES) return;
+    setCaptures(prev => [...prev, capture]);
+    setConsistency(null);
+    retakePhoto();
+  }
+
+  function removeCapture(index) {
+    setCaptures(prev => prev.filter((_, i) => i !== index));
+    setConsistency(null);
+    setError(null);
+  }
+
+  // The captures must agree with each other before they become the
+  // animal's templates; the best agreeing one is the enrolled photo
+  async function useForEnrollment() {
+    if (captures.length < MIN_CAPTURES) return;
+
+    setIsProcessing(true);
+    setError(null);
+    const controller = new AbortController();
+    processControllerRef.current = controller;
+
+    try {
+      const report = await runImageJob('consistency', {
+        templates: captures.map(c => c.template),
+        calibration: await getCalibration()
+      }, { onProgress: setProgress, signal: controller.signal });
+      setConsistency(report);
+
+      if (!report.consistent) {
+        const numbers = report.outliers.map(i => i + 1).join(', ');
+        setError(`Capture ${numbers} doesn't match the others. Remove it and take another photo of the same animal.`);
+        return;
+      }
+
+      const reference = captures[report.reference];
       sessionStorage.setItem('pendingMuzzleData', JSON.stringify({
-        image: processedImage,
-        featureVector,
-        validation,
+        ...reference.template,
+        image: reference.image,
+        validation: reference.validation,
         captureMode,
-        perceptualHash
+        muzzleRoi: reference.muzzleRoi,
+        pipelineVersion: PIPELINE_VERSION,
+        quality: reference.quality,
+        captureQualities: captures.map(c => c.quality),
+        // Each capture keeps its photo so a new pipeline can re-extract it
+        templates: captures.map(c => ({ ...c.template, image: c.image, muzzleRoi: c.muzzleRoi }))
       }));
       window.location.href = '/enroll';
+    } catch (err) {
+      if (!isAbortError(err)) {
+        setError('Error comparing captures. Please try again.');
+        console.error('Consistency check error:', err);
+      }
+    } finally {
+      if (processControllerRef.current === controller) {
+        processControllerRef.current = null;
+        setIsProcessing(false);
+        setProgress(null);
+      }
     }
   }
 
@@ -238,6 +385,49 @@ function MuzzleMapper() {
           </div>
         )}
 
+        <div className="capture-set card">
+          <div className="capture-set-header">
+            <h3>🗂️ Enrollment Captures ({captures.length} of {MIN_CAPTURES}–{MAX_CAPTURES})</h3>
+            <button
+              onClick={useForEnrollment}
+              className="btn btn-primary"
+              disabled={captures.length < MIN_CAPTURES || isProcessing}
+            >
+              ✓ Proceed to Enrollment
+            </button>
+          </div>
+          <p className="capture-set-help">
+            Take {MIN_CAPTURES} to {MAX_CAPTURES} photos of the same muzzle, moving the camera a little
+            between them. They are checked against each other before enrollment.
+          </p>
+          {captures.length > 0 && (
+            <div className="capture-thumbnails">
+              {captures.map((c, index) => (
+                <figure
+                  key={c.template.capturedAt}
+                  className={[
+                    consistency?.outliers.includes(index) ? 'outlier' : '',
+                    c.quality.level === 'poor' ? 'flagged' : ''
+                  ].join(' ').trim()}
+                >
+                  <img src={c.image} alt={`Capture ${index + 1}`} />
+                  <figcaption>
+                    #{index + 1}
+                    {consistency && ` • ${Math.round(consistency.captures[index].meanProbability * 100)}% agreement`}
+                    {c.quality.level === 'poor' && ' • ⚠️ needs review'}
+                  </figcaption>
+                  <button onClick={() => removeCapture(index)} className="btn btn-sm btn-secondary" disabled={isProcessing}>
+                    ✖ Remove
+                  </button>
+                </figure>
+              ))}
+            </div>
+          )}
+          {!capturedImage && isProcessing && progress && (
+            <p className="capture-set-help">{progress.label} • {Math.round(progress.fraction * 100)}%</p>
+          )}
+        </div>
+
         <div className="mapper-container">
           {!capturedImage ? (
             <>
@@ -381,7 +571,7 @@ function MuzzleMapper() {
                       <li>Capture from 6-12 inches distance</li>
                       <li>Ensure even lighting (no harsh shadows)</li>
                       <li>Clean the muzzle if dirty for better ridge visibility</li>
-                      <li>Take multiple photos and select the clearest one</li>
+                      <li>Take {MIN_CAPTURES}–{MAX_CAPTURES} photos; all of them are kept as the animal's templates</li>
                     </ul>
                   </div>
                 </div>
@@ -399,25 +589,98 @@ function MuzzleMapper() {
               <div className="image-comparison">
                 <div className="image-panel">
                   <h4>Original (Grayscale)</h4>
-                  <img src={capturedImage} alt="Captured muzzle" />
+                  <div className="roi-frame">
+                    <img src={capturedImage} alt="Captured muzzle" />
+                    {roiFrame && (
+                      <svg
+                        className="roi-overlay"
+                        viewBox={`0 0 ${roiFrame.width} ${roiFrame.height}`}
+                        preserveAspectRatio="none"
+                      >
+                        <polygon points={roiFrame.roi.polygon.map(p => `${p.x},${p.y}`).join(' ')} />
+                        {roiFrame.roi.nostrils.map((n, idx) => (
+                          <circle key={idx} cx={n.x} cy={n.y} r={n.radius} />
+                        ))}
+                      </svg>
+                    )}
+                  </div>
+                  {roiFrame && (
+                    <p className="segmentation-summary">
+                      {roiFrame.roi.found
+                        ? '🎯 Muzzle located between the nostrils'
+                        : '⚠️ Nostrils not found; using the centre of the photo'}
+                    </p>
+                  )}
                 </div>
                 <div className="image-panel">
-                  <h4>After CLAHE Enhancement</h4>
+                  <h4>Muzzle Region, After CLAHE</h4>
                   {isProcessing ? (
                     <div className="processing-overlay">
                       <div className="spinner"></div>
                       <p>Processing image...</p>
-                      <p className="processing-sub">Applying AI enhancement</p>
+                      <p className="processing-sub">
+                        {progress ? `${progress.label} • ${Math.round(progress.fraction * 100)}%` : 'Applying AI enhancement'}
+                      </p>
+                      <button onClick={retakePhoto} className="btn btn-sm btn-secondary">
+                        ✖ Cancel
+                      </button>
                     </div>
                   ) : (
                     <>
-                      <img src={processedImage} alt="Processed muzzle" />
-                      <canvas ref={processedCanvasRef} style={{ display: 'none' }} />
+                      {processedImage && <img src={processedImage} alt="Processed muzzle" />}
+                      {pipelineImages.length > 0 && (
+                        <div className="pipeline-stages">
+                          {pipelineImages.map(({ stage, url }) => (
+                            <figure key={stage}>
+                              <img src={url} alt={`After ${stage}`} />
+                              <figcaption>{stage}</figcaption>
+                            </figure>
+                          ))}
+                        </div>
+                      )}
                     </>
                   )}
+                  <canvas ref={processedCanvasRef} style={{ display: 'none' }} />
+                </div>
+                <div className="image-panel">
+                  <h4>Ridges &amp; Beads</h4>
+                  {isProcessing ? (
+                    <div className="processing-overlay">
+                      <div className="spinner"></div>
+                      <p>Segmenting pattern...</p>
+                    </div>
+                  ) : (
+                    <>
+                      {segmentationImage && <img src={segmentationImage} alt="Ridge skeleton and bead outlines" />}
+                      {ridgeTemplate && (
+                        <p className="segmentation-summary">
+                          {ridgeTemplate.beads.length} beads • {ridgeTemplate.bifurcations.length} ridge branches • {(ridgeTemplate.ridgeDensity * 100).toFixed(0)}% ridge
+                        </p>
+                      )}
+                    </>
+                  )}
+                  <canvas ref={segmentationCanvasRef} style={{ display: 'none' }} />
                 </div>
               </div>
 
+              {quality && (
+                <div className={`quality-result ${quality.level}`}>
+                  <h4>
+                    {quality.level === 'good'
+                      ? '✅ Photo Quality Good'
+                      : quality.acceptable ? '⚠️ Photo Quality Could Be Better' : '❌ Photo Quality Too Low'}
+                  </h4>
+                  <div className="quality-checks">
+                    {quality.checks.map(check => (
+                      <div key={check.id} className={`quality-check ${check.status}`}>
+                        <span className="quality-label">{QUALITY_ICONS[check.status]} {check.label}</span>
+                        <span className="quality-message">{check.message}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {validation && (
                 <div className={`validation-result ${getValidationColor(validation.confidence)}`}>
                   <div className="validation-header">
@@ -502,13 +765,23 @@ function MuzzleMapper() {
                 <button onClick={retakePhoto} className="btn btn-secondary">
                   🔄 Retake / New Upload
                 </button>
-                <button 
-                  onClick={useForEnrollment} 
+                <button
+                  onClick={() => keepCapture()}
                   className="btn btn-primary"
-                  disabled={!featureVector}
+                  disabled={!capture || !quality?.acceptable || captures.length >= MAX_CAPTURES}
                 >
-                  ✓ Proceed to Enrollment
+                  ➕ Keep Capture {captures.length + 1} of {MAX_CAPTURES}
                 </button>
+                {capture && quality && !quality.acceptable && (
+                  <button
+                    onClick={() => keepCapture({ forReview: true })}
+                    className="btn btn-secondary"
+                    disabled={captures.length >= MAX_CAPTURES}
+                    title="The enrollment will be sent to a supervisor instead of being saved"
+                  >
+                    ⚠️ Keep for Supervisor Review
+                  </button>
+                )}
               </div>
             </div>
           )}
@@ -533,28 +806,38 @@ function MuzzleMapper() {
             <div className="pipeline-arrow">→</div>
             <div className="pipeline-step">
               <span className="step-badge">2</span>
-              <span>AI Validation</span>
+              <span>Muzzle ROI Crop</span>
             </div>
             <div className="pipeline-arrow">→</div>
             <div className="pipeline-step">
               <span className="step-badge">3</span>
-              <span>Grayscale</span>
+              <span>AI Validation</span>
             </div>
             <div className="pipeline-arrow">→</div>
             <div className="pipeline-step">
               <span className="step-badge">4</span>
-              <span>Gaussian Blur</span>
+              <span>Grayscale</span>
             </div>
             <div className="pipeline-arrow">→</div>
             <div className="pipeline-step">
               <span className="step-badge">5</span>
-              <span>CLAHE</span>
+              <span>Gaussian Blur</span>
             </div>
             <div className="pipeline-arrow">→</div>
             <div className="pipeline-step">
               <span className="step-badge">6</span>
+              <span>CLAHE</span>
+            </div>
+            <div className="pipeline-arrow">→</div>
+            <div className="pipeline-step">
+              <span className="step-badge">7</span>
               <span>Feature Extract (28-D)</span>
             </div>
+            <div className="pipeline-arrow">→</div>
+            <div className="pipeline-step">
+              <span className="step-badge">8</span>
+              <span>Ridge &amp; Bead Segmentation</span>
+            </div>
           </div>
           
           <div className="algorithm-details">
@@ -576,6 +859,14 @@ function MuzzleMapper() {
                 <strong>Contrast Distribution</strong>
                 <p>Validates proper lighting conditions. Optimal muzzle images have standard deviation between 40-80 in grayscale histogram.</p>
               </div>
+              <div className="algo-item">
+                <strong>Muzzle Region Detection</strong>
+                <p>Finds the two nostrils as the largest dark blobs side by side, then crops the planum nasale between them, levelled and resized to 400×300, so background and camera tilt don't affect the analysis.</p>
+              </div>
+              <div className="algo-item">
+                <strong>Ridge &amp; Bead Segmentation</strong>
+                <p>Adaptive thresholding separates dark ridges from the raised beads between them. Ridges are thinned to a skeleton and each bead is measured for area, centroid and orientation.</p>
+              </div>
             </div>
           </div>
 
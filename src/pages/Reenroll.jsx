@@ -0,0 +1,233 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useIdentityScan } from '../hooks/useIdentityScan';
+import { DEFAULT_CALIBRATION } from '../utils/calibration';
+import { getCalibration, getCattleById, reenrollCattle, rollbackCattleTemplates } from '../utils/database';
+import { matchThresholds } from '../utils/matching';
+import { requireOperatorName } from '../utils/operator';
+import { isArchived } from '../utils/schema';
+import { MAX_CAPTURES } from '../utils/templates';
+import './Reenroll.css';
+
+const REVISION_LABELS = {
+  enroll: '🆕 Enrolled',
+  're-enroll': '🔄 Re-enrolled',
+  adaptive: '🌱 Adaptive update',
+  merge: '🔀 Merged by review',
+  rollback: '↩️ Rolled back'
+};
+
+function formatDate(value) {
+  return value ? value.split('T')[0] : 'unknown date';
+}
+
+function Reenroll() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [cattle, setCattle] = useState(null);
+  const [calibration, setCalibration] = useState(DEFAULT_CALIBRATION);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const { scanImage, scan, isVerifying, progress, scanError, startScan, clearScan } = useIdentityScan(id, calibration);
+
+  useEffect(() => {
+    getCattleById(id).then(found => {
+      if (found) {
+        setCattle(found);
+      } else {
+        navigate('/cattle');
+      }
+    });
+  }, [id, navigate]);
+
+  useEffect(() => {
+    getCalibration().then(setCalibration);
+  }, []);
+
+  function handleScan(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setError(null);
+    setMessage(null);
+    startScan(file);
+  }
+
+  async function handleReenroll() {
+    const actor = requireOperatorName();
+    if (!actor) return;
+
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const updated = await reenrollCattle(id, scan.template, { verification: scan.verification, actor });
+      setCattle(updated);
+      clearScan();
+      setMessage(`Added the scan to ${updated.cowName}'s templates (revision ${updated.templateRevisions.length})`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  }
+
+  async function handleRollback(revision) {
+    if (!window.confirm(`Restore the templates of revision ${revision}? The current set is kept in the history.`)) {
+      return;
+    }
+
+    const actor = requireOperatorName();
+    if (!actor) return;
+
+    setError(null);
+    setMessage(null);
+    try {
+      const updated = await rollbackCattleTemplates(id, revision, { actor });
+      setCattle(updated);
+      setMessage(`Restored the templates of revision ${revision}`);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  if (!cattle) {
+    return (
+      <div className="reenroll-page">
+        <div className="container">
+          <div className="loading-state">Loading...</div>
+        </div>
+      </div>
+    );
+  }
+
+  const templates = cattle.templates || [];
+  const revisions = cattle.templateRevisions || [];
+  const currentRevision = revisions.length;
+  const capturedAt = new Map(
+    [...(cattle.retiredTemplates || []), ...templates].map(t => [t.id, t.capturedAt])
+  );
+
+  return (
+    <div className="reenroll-page">
+      <div className="container">
+        <div className="page-header">
+          <Link to={`/certificate/${id}`} className="btn btn-secondary">← Certificate</Link>
+          <h1>🔄 Re-enroll Muzzle</h1>
+          <div className="header-spacer"></div>
+        </div>
+
+        <div className="reenroll-subject card">
+          <h2>{cattle.cowName}</h2>
+          <p>{cattle.certificateId} • Owner: {cattle.ownerName}</p>
+        </div>
+
+        {(error || scanError) && <div className="error-message">⚠️ {error || scanError}</div>}
+        {message && <div className="reenroll-message">✅ {message}</div>}
+
+        {isArchived(cattle) ? (
+          <div className="error-message">
+            ⚠️ This animal is recorded as <strong>{cattle.status}</strong> and cannot be re-enrolled.
+          </div>
+        ) : (
+          <div className="reenroll-section card">
+            <h3 className="section-title">Add a Fresh Capture</h3>
+            <p className="section-help">
+              Muzzles change as animals grow. Scan the animal now: once the scan matches this record
+              at {matchThresholds(calibration).good.toFixed(1)}% or better, and better than any other
+              enrolled animal, it is added to the record&apos;s templates. The set keeps
+              the {MAX_CAPTURES} newest captures.
+            </p>
+
+            <label className="btn btn-primary scan-btn">
+              📷 {scanImage ? 'Rescan Muzzle' : 'Scan Muzzle'}
+              <input
+                type="file"
+                accept="image/*"
+                capture="environment"
+                onChange={handleScan}
+                className="file-input"
+              />
+            </label>
+
+            {scanImage && (
+              <div className="scan-preview">
+                <img src={scanImage} alt="Scanned muzzle" />
+              </div>
+            )}
+
+            {isVerifying && (
+              <p className="verify-status">
+                🔄 {progress ? `${progress.label}... ${Math.round(progress.fraction * 100)}%` : 'Comparing against the registry...'}
+              </p>
+            )}
+
+            {scan && (
+              <div className={`verify-status ${scan.verification.verified ? 'verified' : 'rejected'}`}>
+                {scan.verification.verified
+                  ? `✅ Identity confirmed (${scan.verification.matchPercentage.toFixed(1)}% match)`
+                  : `❌ Not verified: ${scan.verification.reason}`}
+              </div>
+            )}
+
+            <div className="reenroll-actions">
+              <button
+                onClick={handleReenroll}
+                className="btn btn-primary"
+                disabled={!scan?.verification.verified || isSaving}
+              >
+                {isSaving ? '⏳ Saving...' : '➕ Add to Templates'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="reenroll-section card">
+          <h3 className="section-title">Current Templates</h3>
+          {templates.length === 0 ? (
+            <p className="section-help">No muzzle templates are enrolled for this animal.</p>
+          ) : (
+            <ul className="template-list">
+              {templates.map(t => (
+                <li key={t.id}>
+                  <strong>{t.id}</strong> captured {formatDate(t.capturedAt)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="reenroll-section card">
+          <h3 className="section-title">Template History</h3>
+          <ol className="revision-list">
+            {[...revisions].reverse().map(entry => (
+              <li key={entry.revision} className={entry.revision === currentRevision ? 'current' : ''}>
+                <div className="revision-header">
+                  <strong>Revision {entry.revision}</strong>
+                  <span>{REVISION_LABELS[entry.action] || entry.action}</span>
+                  <span className="revision-date">{formatDate(entry.at)}</span>
+                </div>
+                {entry.reason && <p className="revision-reason">{entry.reason}</p>}
+                <p className="revision-templates">
+                  {entry.templateIds.length
+                    ? entry.templateIds.map(t => `${t} (${formatDate(capturedAt.get(t))})`).join(', ')
+                    : 'No templates'}
+                </p>
+                {entry.revision === currentRevision ? (
+                  <span className="revision-current">Current</span>
+                ) : !isArchived(cattle) && (
+                  <button onClick={() => handleRollback(entry.revision)} className="btn btn-sm btn-secondary">
+                    ↩️ Roll Back
+                  </button>
+                )}
+              </li>
+            ))}
+          </ol>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Reenroll;
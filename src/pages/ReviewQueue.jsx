@@ -0,0 +1,256 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { decideReview, getCattleById, getReviews } from '../utils/database';
+import { getOperatorName, requireOperatorName } from '../utils/operator';
+import { isEnrollmentReview, isOwnReview } from '../utils/reviews';
+import './ReviewQueue.css';
+
+const KIND_LABELS = {
+  duplicate: '🔎 Possible duplicate enrollment',
+  quality: '📷 Low-quality enrollment captures',
+  match: '🔍 Low-confidence match'
+};
+
+const STATUS_LABELS = {
+  approved: '✅ Approved',
+  rejected: '⛔ Rejected',
+  merged: '🔀 Merged'
+};
+
+function formatDate(value) {
+  return value ? value.replace('T', ' ').slice(0, 16) : 'unknown date';
+}
+
+// Button labels: an enrollment is approved or refused, a scan confirmed or dismissed
+function decisionLabels(review) {
+  return isEnrollmentReview(review)
+    ? { approve: '✅ Approve & Enroll', reject: '⛔ Reject Enrollment', merge: '🔀 Merge into Selected Animal' }
+    : { approve: '✅ Confirm Selected Animal', reject: '⛔ None of These', merge: '🔀 Add Scan to Selected Animal' };
+}
+
+function ReviewQueue() {
+  const [filter, setFilter] = useState('pending');
+  const [reviews, setReviews] = useState(null);
+  const [candidateImages, setCandidateImages] = useState({});
+  const [selected, setSelected] = useState({});
+  const [reasons, setReasons] = useState({});
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const load = useCallback(async () => {
+    const all = await getReviews({ status: filter === 'pending' ? 'pending' : null });
+    const shown = filter === 'pending' ? all : all.filter(r => r.status !== 'pending');
+    setReviews(shown);
+
+    // Photos of the animals on record, for the side-by-side comparison
+    const ids = [...new Set(shown.flatMap(r => r.candidates.map(c => c.id)))];
+    const records = await Promise.all(ids.map(id => getCattleById(id)));
+    setCandidateImages(Object.fromEntries(
+      records.filter(Boolean).map(record => [record.id, record.muzzleImage || null])
+    ));
+    setSelected(prev => Object.fromEntries(
+      shown.map(r => [r.id, prev[r.id] || r.candidates[0]?.id || null])
+    ));
+  }, [filter]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function handleDecision(review, decision) {
+    const actor = requireOperatorName();
+    if (!actor) return;
+
+    setBusyId(review.id);
+    setError(null);
+    setMessage(null);
+    try {
+      const decided = await decideReview(review.id, {
+        decision,
+        targetId: selected[review.id],
+        reason: (reasons[review.id] || '').trim()
+      }, { actor });
+      setMessage(`Review ${decided.status}`);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <div className="review-page">
+      <div className="container">
+        <div className="page-header">
+          <Link to="/" className="btn btn-secondary">← Home</Link>
+          <h1>🧑‍⚖️ Supervisor Review</h1>
+          <div className="header-spacer"></div>
+        </div>
+
+        <div className="review-info">
+          <p>
+            Suspected duplicates, enrollments with low-quality captures and low-confidence matches wait
+            here. Compare the photos, then approve, reject or merge; the decision and its reason are kept
+            on every record it concerns.
+          </p>
+          <div className="review-filter">
+            {['pending', 'decided'].map(value => (
+              <button
+                key={value}
+                onClick={() => setFilter(value)}
+                className={`btn btn-sm ${filter === value ? 'btn-primary' : 'btn-secondary'}`}
+              >
+                {value === 'pending' ? '⏳ Pending' : '📁 Decided'}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error && <div className="error-message">⚠️ {error}</div>}
+        {message && <div className="review-message">✅ {message}</div>}
+
+        {reviews === null ? (
+          <div className="loading-state">Loading...</div>
+        ) : reviews.length === 0 ? (
+          <div className="empty-state card">
+            <p>{filter === 'pending' ? 'Nothing is waiting for review.' : 'No reviews have been decided yet.'}</p>
+          </div>
+        ) : (
+          <div className="review-list">
+            {reviews.map(review => {
+              const labels = decisionLabels(review);
+              const image = isEnrollmentReview(review) ? review.enrollment.muzzleImage : review.scan.image;
+              const target = review.candidates.find(c => c.id === selected[review.id]);
+              const isPending = review.status === 'pending';
+              const isOwn = isOwnReview(review, getOperatorName());
+              return (
+                <div key={review.id} className={`review-card card ${review.kind}`}>
+                  <div className="review-header">
+                    <strong>{KIND_LABELS[review.kind]}</strong>
+                    <span className="review-meta">
+                      Submitted {formatDate(review.submittedAt)} by {review.submittedBy}
+                    </span>
+                  </div>
+
+                  {isEnrollmentReview(review) && (
+                    <p className="review-subject">
+                      New animal: <strong>{review.enrollment.cowName}</strong> • Owner: {review.enrollment.ownerName}
+                      {' '}• {review.enrollment.breed} • {review.enrollment.location}
+                    </p>
+                  )}
+                  {review.kind === 'match' && (
+                    <p className="review-subject">
+                      Best match {review.scan.matchPercentage.toFixed(1)}%
+                    </p>
+                  )}
+                  {review.note && <p className="review-note-text">{review.note}</p>}
+
+                  <div className="review-compare">
+                    <figure>
+                      {image ? (
+                        <img src={image} alt="Muzzle under review" />
+                      ) : (
+                        <div className="review-no-image">No photo</div>
+                      )}
+                      <figcaption>{isEnrollmentReview(review) ? 'New capture' : 'Scan'}</figcaption>
+                    </figure>
+                    {target && (
+                      <figure>
+                        {candidateImages[target.id] ? (
+                          <img src={candidateImages[target.id]} alt={`Muzzle of ${target.cowName}`} />
+                        ) : (
+                          <div className="review-no-image">
+                            {target.id in candidateImages ? 'No photo on record' : 'No longer on record'}
+                          </div>
+                        )}
+                        <figcaption>
+                          <Link to={`/certificate/${target.id}`}>{target.cowName}</Link> • {target.certificateId}
+                        </figcaption>
+                      </figure>
+                    )}
+                  </div>
+
+                  {review.candidates.length > 0 && (
+                    <div className="review-candidates">
+                      {review.candidates.map(candidate => (
+                        <label key={candidate.id} className="review-candidate">
+                          <input
+                            type="radio"
+                            name={`candidate-${review.id}`}
+                            checked={selected[review.id] === candidate.id}
+                            onChange={() => setSelected(prev => ({ ...prev, [review.id]: candidate.id }))}
+                          />
+                          <span>
+                            {candidate.cowName} • {candidate.certificateId} • Owner: {candidate.ownerName} •{' '}
+                            {candidate.isExactDuplicate ? 'Same photo' : `${candidate.matchPercentage.toFixed(1)}%`}
+                          </span>
+                        </label>
+                      ))}
+                    </div>
+                  )}
+
+                  {isPending ? (
+                    <div className="review-decision">
+                      {isOwn && (
+                        <p className="review-note-text">You submitted this review; another supervisor must decide it.</p>
+                      )}
+                      <div className="input-group">
+                        <label className="input-label" htmlFor={`reason-${review.id}`}>Reason *</label>
+                        <input
+                          id={`reason-${review.id}`}
+                          className="input"
+                          value={reasons[review.id] || ''}
+                          onChange={(e) => setReasons(prev => ({ ...prev, [review.id]: e.target.value }))}
+                          placeholder="e.g., Checked both animals in person"
+                        />
+                      </div>
+                      <div className="review-actions">
+                        <button
+                          onClick={() => handleDecision(review, 'approve')}
+                          className="btn btn-sm btn-primary"
+                          disabled={isOwn || busyId === review.id || (review.kind === 'match' && !target)}
+                        >
+                          {labels.approve}
+                        </button>
+                        <button
+                          onClick={() => handleDecision(review, 'reject')}
+                          className="btn btn-sm btn-secondary"
+                          disabled={isOwn || busyId === review.id}
+                        >
+                          {labels.reject}
+                        </button>
+                        {review.candidates.length > 0 && (
+                          <button
+                            onClick={() => handleDecision(review, 'merge')}
+                            className="btn btn-sm btn-secondary"
+                            disabled={isOwn || busyId === review.id || !target}
+                          >
+                            {labels.merge}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ) : (
+                    <div className={`review-outcome ${review.status}`}>
+                      <strong>{STATUS_LABELS[review.status]}</strong> by {review.decision.by} on{' '}
+                      {formatDate(review.decision.at)}: {review.decision.reason}
+                      {review.decision.cattleId && (
+                        <>
+                          {' '}• <Link to={`/certificate/${review.decision.cattleId}`}>View record</Link>
+                        </>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ReviewQueue;
@@ -0,0 +1,232 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useIdentityScan } from '../hooks/useIdentityScan';
+import { DEFAULT_CALIBRATION } from '../utils/calibration';
+import { getCalibration, getCattleById, transferOwnership } from '../utils/database';
+import { matchThresholds } from '../utils/matching';
+import { requireOperatorName } from '../utils/operator';
+import { isArchived } from '../utils/schema';
+import './Transfer.css';
+
+function Transfer() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [cattle, setCattle] = useState(null);
+  const [calibration, setCalibration] = useState(DEFAULT_CALIBRATION);
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [formData, setFormData] = useState({
+    sellerName: '',
+    sellerPhone: '',
+    sellerIdNumber: '',
+    buyerName: '',
+    buyerPhone: '',
+    buyerIdNumber: '',
+    market: '',
+    price: ''
+  });
+  const { scanImage, scan, isVerifying, progress, scanError, startScan } = useIdentityScan(id, calibration);
+  const verification = scan ? scan.verification : null;
+
+  useEffect(() => {
+    getCattleById(id).then(found => {
+      if (found) {
+        setCattle(found);
+        setFormData(prev => ({ ...prev, sellerName: found.ownerName }));
+      } else {
+        navigate('/cattle');
+      }
+    });
+  }, [id, navigate]);
+
+  useEffect(() => {
+    getCalibration().then(setCalibration);
+  }, []);
+
+  function handleScan(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setError(null);
+    startScan(file);
+  }
+
+  function handleChange(e) {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  }
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+
+    if (!verification || !verification.verified) {
+      setError('Scan the animal\'s muzzle to verify it before transferring');
+      return;
+    }
+
+    const actor = requireOperatorName();
+    if (!actor) return;
+
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      await transferOwnership(id, {
+        seller: {
+          name: formData.sellerName.trim(),
+          phone: formData.sellerPhone.trim(),
+          idNumber: formData.sellerIdNumber.trim()
+        },
+        buyer: {
+          name: formData.buyerName,
+          phone: formData.buyerPhone.trim(),
+          idNumber: formData.buyerIdNumber.trim()
+        },
+        market: formData.market.trim(),
+        price: formData.price ? Number(formData.price) : null,
+        verification
+      }, { actor });
+      navigate(`/certificate/${id}`);
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  }
+
+  if (!cattle) {
+    return (
+      <div className="transfer-page">
+        <div className="container">
+          <div className="loading-state">Loading...</div>
+        </div>
+      </div>
+    );
+  }
+
+  const blocked = isArchived(cattle) || cattle.status === 'stolen';
+
+  return (
+    <div className="transfer-page">
+      <div className="container">
+        <div className="page-header">
+          <Link to={`/certificate/${id}`} className="btn btn-secondary">← Certificate</Link>
+          <h1>🤝 Transfer Ownership</h1>
+          <div className="header-spacer"></div>
+        </div>
+
+        <div className="transfer-subject card">
+          <h2>{cattle.cowName}</h2>
+          <p>{cattle.certificateId} • Current owner: {cattle.ownerName}</p>
+        </div>
+
+        {(error || scanError) && <div className="error-message">⚠️ {error || scanError}</div>}
+
+        {blocked ? (
+          <div className="error-message">
+            ⚠️ This animal is recorded as <strong>{cattle.status}</strong> and cannot be transferred.
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="transfer-section card">
+              <h3 className="section-title">1. Verify the Animal</h3>
+              <p className="section-help">
+                Scan the muzzle of the animal being sold. It must match this record
+                at {matchThresholds(calibration).good.toFixed(1)}% or better, and better than any other enrolled animal.
+              </p>
+
+              <label className="btn btn-primary scan-btn">
+                📷 {scanImage ? 'Rescan Muzzle' : 'Scan Muzzle'}
+                <input
+                  type="file"
+                  accept="image/*"
+                  capture="environment"
+                  onChange={handleScan}
+                  className="file-input"
+                />
+              </label>
+
+              {scanImage && (
+                <div className="scan-preview">
+                  <img src={scanImage} alt="Scanned muzzle" />
+                </div>
+              )}
+
+              {isVerifying && (
+                <p className="verify-status">
+                  🔄 {progress ? `${progress.label}... ${Math.round(progress.fraction * 100)}%` : 'Comparing against the registry...'}
+                </p>
+              )}
+
+              {verification && (
+                <div className={`verify-status ${verification.verified ? 'verified' : 'rejected'}`}>
+                  {verification.verified
+                    ? `✅ Identity confirmed (${verification.matchPercentage.toFixed(1)}% match)`
+                    : `❌ Not verified: ${verification.reason}`}
+                </div>
+              )}
+            </div>
+
+            <div className="transfer-section card">
+              <h3 className="section-title">2. Seller</h3>
+              <div className="transfer-grid">
+                <div className="input-group">
+                  <label className="input-label" htmlFor="sellerName">Name</label>
+                  <input id="sellerName" name="sellerName" className="input" value={formData.sellerName} onChange={handleChange} />
+                </div>
+                <div className="input-group">
+                  <label className="input-label" htmlFor="sellerPhone">Phone</label>
+                  <input id="sellerPhone" name="sellerPhone" type="tel" className="input" value={formData.sellerPhone} onChange={handleChange} placeholder="e.g., 0712 345678" />
+                </div>
+                <div className="input-group">
+                  <label className="input-label" htmlFor="sellerIdNumber">National ID</label>
+                  <input id="sellerIdNumber" name="sellerIdNumber" className="input" value={formData.sellerIdNumber} onChange={handleChange} />
+                </div>
+              </div>
+            </div>
+
+            <div className="transfer-section card">
+              <h3 className="section-title">3. Buyer</h3>
+              <div className="transfer-grid">
+                <div className="input-group">
+                  <label className="input-label" htmlFor="buyerName">Name *</label>
+                  <input id="buyerName" name="buyerName" className="input" value={formData.buyerName} onChange={handleChange} placeholder="e.g., Mary Wanjiku" required />
+                </div>
+                <div className="input-group">
+                  <label className="input-label" htmlFor="buyerPhone">Phone</label>
+                  <input id="buyerPhone" name="buyerPhone" type="tel" className="input" value={formData.buyerPhone} onChange={handleChange} placeholder="e.g., 0712 345678" />
+                </div>
+                <div className="input-group">
+                  <label className="input-label" htmlFor="buyerIdNumber">National ID</label>
+                  <input id="buyerIdNumber" name="buyerIdNumber" className="input" value={formData.buyerIdNumber} onChange={handleChange} />
+                </div>
+              </div>
+
+              <div className="transfer-grid">
+                <div className="input-group">
+                  <label className="input-label" htmlFor="market">Market / Place of Sale</label>
+                  <input id="market" name="market" className="input" value={formData.market} onChange={handleChange} placeholder="e.g., Kajiado Livestock Market" />
+                </div>
+                <div className="input-group">
+                  <label className="input-label" htmlFor="price">Price (KES)</label>
+                  <input id="price" name="price" type="number" min="0" className="input" value={formData.price} onChange={handleChange} />
+                </div>
+              </div>
+            </div>
+
+            <div className="transfer-actions">
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={!verification?.verified || isSubmitting}
+              >
+                {isSubmitting ? '⏳ Transferring...' : '📜 Transfer & Reissue Certificate'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Transfer;
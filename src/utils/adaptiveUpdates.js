@@ -0,0 +1,20 @@
+/**
+ * Opt-in adaptive template updates
+ * When on, confident Matcher hits refresh the animal's oldest enrolled
+ * template (see refreshCattleTemplate); kept per device in localStorage
+ */
+
+const ADAPTIVE_UPDATES_KEY = 'ufugaji-bioid-adaptive-updates';
+
+export function getAdaptiveUpdates() {
+  if (typeof localStorage === 'undefined') return false;
+  return localStorage.getItem(ADAPTIVE_UPDATES_KEY) === 'on';
+}
+
+export function setAdaptiveUpdates(enabled) {
+  if (enabled) {
+    localStorage.setItem(ADAPTIVE_UPDATES_KEY, 'on');
+  } else {
+    localStorage.removeItem(ADAPTIVE_UPDATES_KEY);
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Matching on recorded attributes
+ *
+ * An officer scanning an animal can often see its breed, sex and colour and
+ * knows which county it is in. Those observations narrow the search:
+ *   hard - animals recorded with a different value aren't considered
+ *   soft - each observation multiplies the odds of a biometric match by its
+ *          likelihood ratio: how much more likely the observation is if the
+ *          scan shows this animal than if it shows some other animal
+ * An animal's own recorded value is observed again with probability
+ * 1 - ATTRIBUTE_ERROR_RATES[field]; any other animal shows a value as often
+ * as the registry does. Unrecorded, "Other" and sex-unknown values carry no
+ * evidence either way.
+ */
+
+import { BREEDS, COLORS, LOCATIONS, SEXES } from './vocabularies';
+
+export const QUERY_ATTRIBUTES = ['breed', 'sex', 'color', 'location'];
+
+// Chance that an observation differs from the record for the same animal:
+// breeds and colours are judged by eye, and animals move between counties
+const ATTRIBUTE_ERROR_RATES = {
+  breed: 0.1,
+  sex: 0.02,
+  color: 0.1,
+  location: 0.2
+};
+
+// Sex is compared as female or male; the vocabulary's finer entries agree
+const SEX_GROUPS = {
+  'Female (Cow/Heifer)': 'female',
+  'Female (Cow)': 'female',
+  'Female (Heifer)': 'female',
+  'Male (Bull/Steer)': 'male',
+  'Male (Bull)': 'male',
+  'Male (Steer)': 'male'
+};
+
+// Known categories of each attribute, for smoothing the registry frequencies
+const knownValues = list => new Set(list.slice(1).filter(value => value !== 'Other'));
+const CATEGORIES = {
+  breed: knownValues(BREEDS),
+  sex: new Set(Object.values(SEX_GROUPS)),
+  color: knownValues(COLORS),
+  location: knownValues(LOCATIONS)
+};
+
+// Keep probabilities away from 0 and 1 so any evidence can still move them
+const PROBABILITY_LIMIT = 1e-6;
+
+/**
+ * Category an attribute value is compared by, or null when it carries no
+ * evidence (unrecorded, placeholder, "Other" or unknown sex)
+ */
+export function attributeCategory(field, value) {
+  const category = field === 'sex' ? SEX_GROUPS[value] : value;
+  return category && CATEGORIES[field].has(category) ? category : null;
+}
+
+/**
+ * Whether a query ({ breed, sex, color, location }) observes anything
+ */
+export function hasQueryAttributes(query) {
+  return Boolean(query) && QUERY_ATTRIBUTES.some(field => attributeCategory(field, query[field]) !== null);
+}
+
+/**
+ * How often each attribute category occurs in the registry:
+ * { [field]: { counts: { [category]: n }, total } }
+ */
+export function attributeStatistics(records) {
+  const statistics = {};
+  QUERY_ATTRIBUTES.forEach(field => {
+    const counts = {};
+    let total = 0;
+    records.forEach(record => {
+      const category = attributeCategory(field, record[field]);
+      if (category !== null) {
+        counts[category] = (counts[category] || 0) + 1;
+        total++;
+      }
+    });
+    statistics[field] = { counts, total };
+  });
+  return statistics;
+}
+
+/**
+ * Hard filter: no observed attribute contradicts the record
+ */
+export function attributesCompatible(record, query) {
+  return QUERY_ATTRIBUTES.every(field => {
+    const observed = attributeCategory(field, query[field]);
+    const recorded = attributeCategory(field, record[field]);
+    return observed === null || recorded === null || observed === recorded;
+  });
+}
+
+/**
+ * Soft filter: likelihood ratio of the observed attributes for the record
+ * against any other animal in the registry (1 when nothing is observed)
+ */
+export function attributeLikelihoodRatio(record, query, statistics) {
+  return QUERY_ATTRIBUTES.reduce((ratio, field) => {
+    const observed = attributeCategory(field, query[field]);
+    const recorded = attributeCategory(field, record[field]);
+    if (observed === null || recorded === null) return ratio;
+
+    // Laplace-smoothed share of the registry showing the observed value
+    const { counts, total } = statistics[field];
+    const categories = CATEGORIES[field].size;
+    const chance = ((counts[observed] || 0) + 1) / (total + categories);
+
+    const error = ATTRIBUTE_ERROR_RATES[field];
+    const sameAnimal = observed === recorded ? 1 - error : error / (categories - 1);
+    return ratio * (sameAnimal / chance);
+  }, 1);
+}
+
+/**
+ * Update a match probability (0-1) with an attribute likelihood ratio
+ */
+export function applyLikelihoodRatio(probability, ratio) {
+  const p = Math.min(1 - PROBABILITY_LIMIT, Math.max(PROBABILITY_LIMIT, probability));
+  const odds = (p / (1 - p)) * ratio;
+  return odds / (1 + odds);
+}
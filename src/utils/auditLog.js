@@ -0,0 +1,142 @@
+/**
+ * Append-only, hash-chained audit log entries for registry mutations
+ *
+ * Each entry stores the SHA-256 hash of the previous entry (`prevHash`) and
+ * its own hash over all of its other fields, so editing, removing or
+ * reordering any stored entry breaks the chain from that point on.
+ * Storage lives in database.js; this module only builds and checks entries.
+ */
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Longer strings (base64 images, bit-string hashes) and large objects
+// (ridge templates) are summarised in diffs
+const MAX_INLINE_LENGTH = 200;
+const MAX_INLINE_OBJECT_LENGTH = 2000;
+
+function summariseValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'string' && value.length > MAX_INLINE_LENGTH) {
+    return `[${value.length} characters]`;
+  }
+  if (value && typeof value === 'object') {
+    const length = JSON.stringify(value).length;
+    if (length > MAX_INLINE_OBJECT_LENGTH) return `[${length} characters]`;
+  }
+  return value;
+}
+
+/**
+ * Field-by-field diff of two record snapshots: { field: { before, after } }.
+ * `before` is null for creations and `after` is null for removals.
+ */
+export function diffRecords(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  // Values are compared in full; only what is written to the entry is
+  // summarised, so a long value edited to one of the same length still shows
+  fields.forEach(field => {
+    const beforeValue = before ? before[field] : undefined;
+    const afterValue = after ? after[field] : undefined;
+    if (canonicalJSON(beforeValue) !== canonicalJSON(afterValue)) {
+      changes[field] = { before: summariseValue(beforeValue), after: summariseValue(afterValue) };
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * JSON with object keys sorted, so equal entries always hash the same
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${fields.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * SHA-256 (hex) of a value's canonical JSON
+ */
+export function hashContent(value) {
+  return sha256Hex(canonicalJSON(value));
+}
+
+/**
+ * Hash of an entry over every field except `hash` itself
+ */
+export function hashAuditEntry(entry) {
+  const { hash: _hash, ...content } = entry;
+  return hashContent(content);
+}
+
+/**
+ * Build the next entry in the chain
+ */
+export async function createAuditEntry({
+  sequence,
+  prevHash,
+  action,
+  cattleId = null,
+  cattleIds = null,
+  operator,
+  reason = '',
+  changes,
+  timestamp = new Date().toISOString()
+}) {
+  const entry = {
+    sequence,
+    timestamp,
+    action,
+    cattleId,
+    cattleIds,
+    operator,
+    reason,
+    changes,
+    prevHash
+  };
+  return { ...entry, hash: await hashAuditEntry(entry) };
+}
+
+/**
+ * Check a full log (in sequence order) for gaps, reordering and tampering.
+ * Returns { valid, count, brokenAt, problem } where brokenAt is the
+ * sequence number of the first bad entry.
+ */
+export async function verifyAuditChain(entries) {
+  let prevHash = GENESIS_HASH;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    let problem = null;
+
+    if (entry.sequence !== i + 1) {
+      problem = `Expected entry #${i + 1} but found #${entry.sequence}`;
+    } else if (entry.prevHash !== prevHash) {
+      problem = 'Link to the previous entry is broken';
+    } else if ((await hashAuditEntry(entry)) !== entry.hash) {
+      problem = 'Entry contents were modified after it was written';
+    }
+
+    if (problem) {
+      return { valid: false, count: entries.length, brokenAt: entry.sequence, problem };
+    }
+    prevHash = entry.hash;
+  }
+
+  return { valid: true, count: entries.length, brokenAt: null, problem: null };
+}
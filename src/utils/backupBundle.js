@@ -0,0 +1,223 @@
+/**
+ * Encrypted backup bundles
+ *
+ * A bundle is a small JSON envelope around an AES-GCM encrypted payload.
+ * The key is derived from a passphrase with PBKDF2. The payload holds the
+ * records, their muzzle images and capture photos (base64) and a manifest
+ * with SHA-256 checksums of every record and image, so a bundle that was
+ * edited, truncated or only partly restored is refused rather than
+ * imported.
+ * Storage lives in database.js; this module only packs and unpacks.
+ */
+
+import { captureImageKey } from './templates';
+
+export const BUNDLE_FORMAT = 'ufugaji-bioid-backup';
+const BUNDLE_VERSION = 1;
+
+const PBKDF2_ITERATIONS = 250000;
+
+// Iteration counts a bundle may ask for. The count is read from the file
+// before anything is verified, so it is bounded: too few would make the
+// passphrase cheap to guess, too many would hang the page.
+const MIN_PBKDF2_ITERATIONS = PBKDF2_ITERATIONS / 2;
+const MAX_PBKDF2_ITERATIONS = PBKDF2_ITERATIONS * 4;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  // Chunked so large images don't overflow the argument list
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Whether parsed file contents look like a backup bundle
+ */
+export function isBackupBundle(data) {
+  return Boolean(data) && typeof data === 'object' && data.format === BUNDLE_FORMAT;
+}
+
+/**
+ * Pack records and their image blobs into an encrypted bundle (JSON text).
+ * `images` maps record id, or captureImageKey for a capture's photo, to
+ * Blob; records must not carry inline images.
+ */
+export async function createBackupBundle(records, images, passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Backup passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const imageEntries = {};
+  const manifestImages = [];
+  for (const [id, blob] of images) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    imageEntries[id] = { type: blob.type, data: bytesToBase64(bytes) };
+    manifestImages.push({ id, type: blob.type, size: bytes.length, sha256: await sha256Hex(bytes) });
+  }
+
+  const manifestRecords = [];
+  for (const record of records) {
+    manifestRecords.push({ id: record.id, sha256: await sha256Hex(JSON.stringify(record)) });
+  }
+
+  const payload = JSON.stringify({
+    manifest: {
+      createdAt: new Date().toISOString(),
+      recordCount: records.length,
+      imageCount: manifestImages.length,
+      records: manifestRecords,
+      images: manifestImages
+    },
+    records,
+    images: imageEntries
+  });
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(payload)
+  );
+
+  return JSON.stringify({
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+  });
+}
+
+/**
+ * Check decrypted contents against the manifest, returning the first problem
+ */
+async function findManifestProblem({ manifest, records, images }) {
+  if (!manifest || !Array.isArray(records) || !images || typeof images !== 'object') {
+    return 'Backup contents are incomplete';
+  }
+  if (records.length !== manifest.recordCount || manifest.records.length !== manifest.recordCount) {
+    return `Backup should contain ${manifest.recordCount} records but has ${records.length}`;
+  }
+  if (Object.keys(images).length !== manifest.imageCount || manifest.images.length !== manifest.imageCount) {
+    return `Backup should contain ${manifest.imageCount} images but has ${Object.keys(images).length}`;
+  }
+
+  for (let i = 0; i < records.length; i++) {
+    const expected = manifest.records[i];
+    if (records[i].id !== expected.id || (await sha256Hex(JSON.stringify(records[i]))) !== expected.sha256) {
+      return `Record ${expected.id} does not match its checksum`;
+    }
+  }
+
+  for (const expected of manifest.images) {
+    const image = images[expected.id];
+    const bytes = image ? base64ToBytes(image.data) : null;
+    if (!bytes || bytes.length !== expected.size || (await sha256Hex(bytes)) !== expected.sha256) {
+      return `Muzzle image for ${expected.id} does not match its checksum`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Decrypt and verify a parsed bundle. Resolves to the records with their
+ * images inlined as data URLs, ready for importDatabase; throws an Error
+ * describing why a bundle was refused.
+ */
+export async function openBackupBundle(bundle, passphrase) {
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw new Error(`Unsupported backup version ${bundle.version}`);
+  }
+  if (!passphrase) {
+    throw new Error('This backup is encrypted; enter its passphrase');
+  }
+  if (!bundle.kdf || !bundle.cipher || typeof bundle.ciphertext !== 'string') {
+    throw new Error('Backup file is incomplete or corrupted');
+  }
+  const { iterations } = bundle.kdf;
+  if (!Number.isInteger(iterations) || iterations < MIN_PBKDF2_ITERATIONS || iterations > MAX_PBKDF2_ITERATIONS) {
+    throw new Error('Backup file has an unsupported key derivation setting');
+  }
+
+  let plaintext;
+  try {
+    const key = await deriveKey(passphrase, base64ToBytes(bundle.kdf.salt), iterations);
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: base64ToBytes(bundle.cipher.iv) },
+      key,
+      base64ToBytes(bundle.ciphertext)
+    );
+  } catch {
+    // AES-GCM can't tell a wrong key from modified ciphertext
+    throw new Error('Wrong passphrase, or the backup file was modified or truncated');
+  }
+
+  let contents;
+  try {
+    contents = JSON.parse(new TextDecoder().decode(plaintext));
+  } catch {
+    throw new Error('Backup contents are corrupted');
+  }
+
+  const problem = await findManifestProblem(contents);
+  if (problem) {
+    throw new Error(`Backup failed integrity check: ${problem}`);
+  }
+
+  const dataUrl = key => {
+    const image = contents.images[key];
+    return image ? `data:${image.type};base64,${image.data}` : null;
+  };
+  const withCaptureImages = (record, templates) => templates.map(template => {
+    const image = dataUrl(captureImageKey(record.id, template.id));
+    return image ? { ...template, image } : template;
+  });
+
+  return contents.records.map(record => {
+    const restored = { ...record };
+    const image = dataUrl(record.id);
+    if (image) restored.muzzleImage = image;
+    ['templates', 'retiredTemplates'].forEach(field => {
+      if (Array.isArray(record[field])) restored[field] = withCaptureImages(record, record[field]);
+    });
+    return restored;
+  });
+}
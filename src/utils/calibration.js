@@ -0,0 +1,215 @@
+/**
+ * Match score calibration
+ *
+ * Turns the raw evidence from comparing a scan with an enrolled template
+ * into a calibrated probability that both come from the same animal. Each
+ * field is normalised to a z-score against the pairs the model was fitted
+ * on, then combined by logistic regression:
+ *   vector    - calculateSimilarity of the feature vectors (0-1)
+ *   ridges    - bead signature similarity (0-1; missing counts as average)
+ *   keypoints - RANSAC-verified keypoint inliers, log(1 + n)
+ *   hash      - perceptual hash similarity (0-1; missing counts as average)
+ *
+ * The model is fitted on labelled genuine (same animal) and impostor
+ * (different animals) pairs, and the match label thresholds are set from
+ * the impostor scores so each label keeps to its target false-accept rate.
+ */
+
+export const CALIBRATION_VERSION = 1;
+
+export const CALIBRATION_FIELDS = ['vector', 'ridges', 'keypoints', 'hash'];
+
+// Share of impostor pairs allowed to reach each label
+export const TARGET_FALSE_ACCEPT_RATES = {
+  excellent: 0.001,
+  good: 0.01,
+  possible: 0.05
+};
+
+// A label also needs the match to be at least this likely: the impostors
+// seen in fitting may all score far below a real match
+const MIN_LABEL_PROBABILITY = {
+  excellent: 0.9,
+  good: 0.5,
+  possible: 0
+};
+
+const MIN_PAIRS_PER_CLASS = 5;
+
+// Logistic regression training
+const ITERATIONS = 3000;
+const LEARNING_RATE = 0.1;
+const L2_PENALTY = 0.01;
+
+/**
+ * Prior used until the matcher is calibrated on the registry: fitted with
+ * collectCalibrationPairs on 24 synthetic muzzle textures by
+ * scripts/fitDefaultCalibration.js (`npm run calibrate:default`)
+ */
+export const DEFAULT_CALIBRATION = {
+  version: CALIBRATION_VERSION,
+  fittedAt: null,
+  genuinePairs: 48,
+  impostorPairs: 384,
+  fields: {
+    vector: { mean: 0.9385, std: 0.018 },
+    ridges: { mean: 0.8218, std: 0.0411 },
+    keypoints: { mean: 2.0798, std: 0.6829 },
+    hash: { mean: 0.522, std: 0.0682 }
+  },
+  weights: { vector: 0.1419, ridges: 0.1928, keypoints: 2.2343, hash: 0.829 },
+  bias: -3.2997,
+  thresholds: { excellent: 0.9, good: 0.5, possible: 0.0444 },
+  falseAcceptRates: { excellent: 0, good: 0, possible: 0.0495 },
+  falseRejectRates: { excellent: 0, good: 0, possible: 0 }
+};
+
+export function isCalibration(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    value.version === CALIBRATION_VERSION &&
+    CALIBRATION_FIELDS.every(field =>
+      Number.isFinite(value.weights?.[field]) &&
+      Number.isFinite(value.fields?.[field]?.mean) &&
+      value.fields[field].std > 0
+    ) &&
+    Number.isFinite(value.bias) &&
+    ['excellent', 'good', 'possible'].every(label => Number.isFinite(value.thresholds?.[label]));
+}
+
+/**
+ * Raw calibration fields of one comparison (see compareTemplates)
+ */
+export function comparisonFields({ vectorSimilarity, ridgeSimilarity, keypointInliers, hashSimilarity }) {
+  return {
+    vector: vectorSimilarity / 100,
+    ridges: ridgeSimilarity === null ? null : ridgeSimilarity / 100,
+    keypoints: Math.log1p(keypointInliers),
+    hash: hashSimilarity === null ? null : hashSimilarity / 100
+  };
+}
+
+// Z-scores of a comparison's fields; missing fields sit at the mean
+function normalise(model, fields) {
+  return CALIBRATION_FIELDS.map(field => {
+    const value = fields[field];
+    if (value === null || value === undefined) return 0;
+    const { mean, std } = model.fields[field];
+    return (value - mean) / std;
+  });
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+/**
+ * Probability (0-1) that a comparison's fields come from the same animal
+ */
+export function matchProbability(model, fields) {
+  const z = normalise(model, fields).reduce(
+    (sum, value, i) => sum + value * model.weights[CALIBRATION_FIELDS[i]],
+    model.bias
+  );
+  return sigmoid(z);
+}
+
+function fieldStatistics(pairs) {
+  const statistics = {};
+  CALIBRATION_FIELDS.forEach(field => {
+    const values = pairs.map(p => p.fields[field]).filter(v => v !== null && v !== undefined);
+    const mean = values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+    const variance = values.length
+      ? values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length
+      : 0;
+    statistics[field] = { mean, std: Math.sqrt(variance) || 1 };
+  });
+  return statistics;
+}
+
+/**
+ * Lowest probability reached by no more than `rate` of the impostor
+ * scores. With too few impostor pairs to measure `rate` the threshold sits
+ * just above the highest impostor score.
+ */
+function thresholdForRate(impostorScores, rate) {
+  const sorted = [...impostorScores].sort((a, b) => b - a);
+  const allowed = Math.floor(rate * sorted.length);
+  return Math.min(1, sorted[Math.min(allowed, sorted.length - 1)] + 1e-6);
+}
+
+function shareAtLeast(scores, threshold) {
+  return scores.filter(s => s >= threshold).length / scores.length;
+}
+
+/**
+ * Fit a calibration on labelled pairs ([{ fields, genuine }], fields from
+ * comparisonFields). Returns a model for matchProbability and the label
+ * thresholds, with the false-accept and false-reject rates measured on the
+ * pairs at each threshold.
+ */
+export function fitCalibration(pairs, { now = new Date() } = {}) {
+  const genuine = pairs.filter(p => p.genuine);
+  const impostor = pairs.filter(p => !p.genuine);
+  if (genuine.length < MIN_PAIRS_PER_CLASS || impostor.length < MIN_PAIRS_PER_CLASS) {
+    throw new Error(
+      `Calibration needs at least ${MIN_PAIRS_PER_CLASS} genuine and ${MIN_PAIRS_PER_CLASS} impostor pairs ` +
+      `(got ${genuine.length} and ${impostor.length})`
+    );
+  }
+
+  const model = {
+    version: CALIBRATION_VERSION,
+    fittedAt: now.toISOString(),
+    genuinePairs: genuine.length,
+    impostorPairs: impostor.length,
+    fields: fieldStatistics(pairs),
+    weights: Object.fromEntries(CALIBRATION_FIELDS.map(field => [field, 0])),
+    bias: 0
+  };
+
+  // Each class carries half the weight, however many pairs it has
+  const samples = pairs.map(p => ({
+    x: normalise(model, p.fields),
+    y: p.genuine ? 1 : 0,
+    weight: 0.5 / (p.genuine ? genuine.length : impostor.length)
+  }));
+
+  const weights = new Array(CALIBRATION_FIELDS.length).fill(0);
+  let bias = 0;
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    const gradient = weights.map(w => L2_PENALTY * w);
+    let biasGradient = 0;
+    samples.forEach(({ x, y, weight }) => {
+      const error = (sigmoid(x.reduce((z, v, i) => z + v * weights[i], bias)) - y) * weight;
+      x.forEach((v, i) => { gradient[i] += error * v; });
+      biasGradient += error;
+    });
+    weights.forEach((_, i) => { weights[i] -= LEARNING_RATE * gradient[i]; });
+    bias -= LEARNING_RATE * biasGradient;
+  }
+
+  CALIBRATION_FIELDS.forEach((field, i) => { model.weights[field] = weights[i]; });
+  model.bias = bias;
+
+  const genuineScores = genuine.map(p => matchProbability(model, p.fields));
+  const impostorScores = impostor.map(p => matchProbability(model, p.fields));
+
+  // Stricter labels never sit below looser ones
+  const threshold = label => Math.max(
+    MIN_LABEL_PROBABILITY[label],
+    thresholdForRate(impostorScores, TARGET_FALSE_ACCEPT_RATES[label])
+  );
+  const possible = threshold('possible');
+  const good = Math.max(possible, threshold('good'));
+  const excellent = Math.max(good, threshold('excellent'));
+  model.thresholds = { excellent, good, possible };
+
+  model.falseAcceptRates = {};
+  model.falseRejectRates = {};
+  Object.entries(model.thresholds).forEach(([label, threshold]) => {
+    model.falseAcceptRates[label] = shareAtLeast(impostorScores, threshold);
+    model.falseRejectRates[label] = 1 - shareAtLeast(genuineScores, threshold);
+  });
+
+  return model;
+}
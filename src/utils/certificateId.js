@@ -0,0 +1,72 @@
+/**
+ * Certificate ID format: UFUGAJI-YYYY-NNN-C
+ *   YYYY - year of issue
+ *   NNN  - per-year sequence number (zero padded to 3 digits, grows as needed)
+ *   C    - Luhn check digit over the year and sequence digits, so a single
+ *          mistyped digit or most swapped neighbouring digits are detected
+ *
+ * IDs issued before check digits were introduced (UFUGAJI-YYYY-NNN) are
+ * still recognised as legacy IDs.
+ */
+
+const PREFIX = 'UFUGAJI';
+const ID_PATTERN = /^UFUGAJI-(\d{4})-(\d{3,})(?:-(\d))?$/;
+
+/**
+ * Luhn check digit for a string of digits
+ */
+export function luhnCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    // Double every second digit counting from the right, the check digit's neighbour first
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+function padSequence(sequence) {
+  return String(sequence).padStart(3, '0');
+}
+
+/**
+ * Build a certificate ID from a year and sequence number
+ */
+export function formatCertificateId(year, sequence) {
+  const sequenceDigits = padSequence(sequence);
+  const check = luhnCheckDigit(`${year}${sequenceDigits}`);
+  return `${PREFIX}-${year}-${sequenceDigits}-${check}`;
+}
+
+/**
+ * Parse a certificate ID. Returns null when it isn't in the UFUGAJI format.
+ * `valid` is false when the check digit doesn't match (a mistyped ID).
+ */
+export function parseCertificateId(certificateId) {
+  const match = ID_PATTERN.exec(String(certificateId || '').trim().toUpperCase());
+  if (!match) {
+    return null;
+  }
+
+  const [, yearDigits, sequenceDigits, checkDigit] = match;
+  const legacy = checkDigit === undefined;
+
+  return {
+    year: Number(yearDigits),
+    sequence: Number(sequenceDigits),
+    legacy,
+    valid: legacy || luhnCheckDigit(`${yearDigits}${sequenceDigits}`) === Number(checkDigit)
+  };
+}
+
+/**
+ * Whether a string is a well-formed certificate ID with a correct check digit
+ */
+export function isValidCertificateId(certificateId) {
+  const parsed = parseCertificateId(certificateId);
+  return Boolean(parsed && parsed.valid);
+}
@@ -0,0 +1,211 @@
+/**
+ * CSV export/import of registry metadata for spreadsheet users
+ * Biometric data (feature vectors, hashes, images) is never included;
+ * use the JSON backup for full transfers between devices.
+ */
+
+import { AGES, BREEDS, COLORS, LOCATIONS, SEXES, matchVocabulary } from './vocabularies';
+
+export const CSV_COLUMNS = [
+  { key: 'certificateId', label: 'Certificate ID' },
+  { key: 'cowName', label: 'Cow Name' },
+  { key: 'ownerName', label: 'Owner Name' },
+  { key: 'breed', label: 'Breed' },
+  { key: 'age', label: 'Age' },
+  { key: 'sex', label: 'Sex' },
+  { key: 'color', label: 'Color/Markings' },
+  { key: 'location', label: 'Location' },
+  { key: 'registrationDate', label: 'Registration Date' },
+  { key: 'status', label: 'Status' }
+];
+
+// Columns mapped onto a vocabulary on import; breed and location are
+// required, as on the enrollment form
+const VOCABULARY_COLUMNS = {
+  breed: { list: BREEDS, required: true },
+  location: { list: LOCATIONS, required: true },
+  age: { list: AGES, required: false },
+  sex: { list: SEXES, required: false },
+  color: { list: COLORS, required: false }
+};
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+function formatCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows of objects as CSV with a header row (RFC 4180 quoting)
+ */
+export function toCSV(rows, columns = CSV_COLUMNS) {
+  const lines = [columns.map(c => formatCell(c.label)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(c => formatCell(row[c.key])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of cell strings)
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function normalizeHeader(text) {
+  return text.toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// Column key for a header cell, by label ("Cow Name") or key ("cowName")
+function columnForHeader(header) {
+  const wanted = normalizeHeader(header);
+  const column = CSV_COLUMNS.find(c =>
+    normalizeHeader(c.label) === wanted || normalizeHeader(c.key) === wanted
+  );
+  return column ? column.key : null;
+}
+
+function cleanCell(value) {
+  const text = (value || '').trim();
+  return text.startsWith('\'') && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+// "3" -> "3 years", "15" -> "13+ years", "1" -> yearling, "0" -> calf
+function ageFromNumber(text) {
+  if (!/^\d+$/.test(text)) return text;
+  const years = Number(text);
+  if (years >= 13) return '13+ years';
+  if (years >= 2) return `${years} years`;
+  return years === 1 ? 'Yearling (1-2 years)' : 'Calf (0-6 months)';
+}
+
+/**
+ * Map CSV text onto record fields. Returns { rows, problems, unknownColumns }
+ * where rows are { row, fields } for rows that mapped cleanly and problems
+ * are { row, errors } (row numbers count the header as row 1).
+ * A file with the same certificate ID on two rows maps no rows at all.
+ */
+export function mapCSVRecords(text) {
+  const [header, ...lines] = parseCSV(text);
+  if (!header) {
+    return { rows: [], problems: [{ row: 1, errors: ['File is empty'] }], unknownColumns: [] };
+  }
+
+  const keys = header.map(columnForHeader);
+  const unknownColumns = header.filter((_, i) => !keys[i]);
+  const missing = ['cowName', 'ownerName', 'breed', 'location'].filter(key => !keys.includes(key));
+  if (missing.length > 0) {
+    const labels = missing.map(key => CSV_COLUMNS.find(c => c.key === key).label);
+    return { rows: [], problems: [{ row: 1, errors: [`Missing column(s): ${labels.join(', ')}`] }], unknownColumns };
+  }
+
+  const rows = [];
+  const problems = [];
+  const rowsByCertificate = new Map();
+
+  lines.forEach((cells, index) => {
+    const values = {};
+    keys.forEach((key, i) => {
+      if (key) values[key] = cleanCell(cells[i]);
+    });
+
+    const fields = {
+      certificateId: values.certificateId || null,
+      cowName: values.cowName,
+      ownerName: values.ownerName
+    };
+    const errors = [];
+
+    if (!fields.cowName) errors.push('Missing cow name');
+    if (!fields.ownerName) errors.push('Missing owner name');
+
+    Object.entries(VOCABULARY_COLUMNS).forEach(([key, { list, required }]) => {
+      const raw = key === 'age' ? ageFromNumber(values[key] || '') : values[key] || '';
+      if (!raw) {
+        if (required) errors.push(`Missing ${key}`);
+        fields[key] = null;
+        return;
+      }
+
+      const mapped = matchVocabulary(list, raw);
+      if (mapped) {
+        fields[key] = mapped;
+      } else {
+        errors.push(`Unrecognised ${key} "${values[key]}"`);
+      }
+    });
+
+    const row = index + 2;
+    if (fields.certificateId) {
+      const key = fields.certificateId.toUpperCase();
+      rowsByCertificate.set(key, [...(rowsByCertificate.get(key) || []), row]);
+    }
+    if (errors.length > 0) {
+      problems.push({ row, errors });
+    } else {
+      rows.push({ row, fields });
+    }
+  });
+
+  const repeated = [...rowsByCertificate].filter(([, certificateRows]) => certificateRows.length > 1);
+  if (repeated.length > 0) {
+    repeated.forEach(([certificateId, certificateRows]) => {
+      const error = `Certificate ID ${certificateId} is on rows ${certificateRows.join(', ')}`;
+      certificateRows.forEach(row => {
+        const problem = problems.find(p => p.row === row);
+        if (problem) problem.errors.push(error);
+        else problems.push({ row, errors: [error] });
+      });
+    });
+    problems.sort((a, b) => a.row - b.row);
+    return { rows: [], problems, unknownColumns };
+  }
+
+  return { rows, problems, unknownColumns };
+}
@@ -1,158 +1,1570 @@
 /**
- * Database utilities for local storage
- * Simulates database operations using localStorage
+ * Database utilities for offline storage
+ * Cattle records, their muzzle image blobs and the photos of their
+ * captures live in separate stores of a pluggable storage adapter
+ * (IndexedDB by default, see storageAdapters.js)
  */
 
-const STORAGE_KEY = 'ufugaji-bioid-db';
+import { v4 as uuidv4 } from 'uuid';
+import { GENESIS_HASH, createAuditEntry, diffRecords, verifyAuditChain } from './auditLog';
+import { attributeStatistics } from './attributes';
+import { createBackupBundle, isBackupBundle, openBackupBundle } from './backupBundle';
+import { DEFAULT_CALIBRATION, isCalibration } from './calibration';
+import { formatCertificateId, parseCertificateId } from './certificateId';
+import { mapCSVRecords, toCSV } from './csv';
+import { PHASH_DUPLICATE_DISTANCE, PIPELINE_VERSION, imageDataFromBlob, isImageHash } from './imageProcessing';
+import { runImageJob } from './imageWorkerClient';
+import { planImport, stampRevision } from './importPlan';
+import { getOperatorName } from './operator';
+import { DECIDED_STATUSES, REVIEW_KINDS, isEnrollmentReview, validateDecision } from './reviews';
+import {
+  CURRENT_SCHEMA_VERSION,
+  RECORD_STATUSES,
+  getCurrentCertificate,
+  hasCurrentFeatureVector,
+  initialOwnership,
+  isArchived,
+  needsMigration,
+  validateRecord
+} from './schema';
+import { createTemplateIndex } from './searchIndex';
+import {
+  createIndexedDBAdapter,
+  createLocalStorageAdapter,
+  createMemoryAdapter
+} from './storageAdapters';
+import {
+  addTemplate,
+  captureImageKey,
+  mergeTemplates,
+  refreshOldestTemplate,
+  rollbackTemplates,
+  startTemplateHistory
+} from './templates';
+
+const DB_NAME = 'ufugaji-bioid';
+const DB_VERSION = 4;
+
+const STORES = {
+  CATTLE: 'cattle',
+  IMAGES: 'images',
+  CAPTURES: 'captures',
+  META: 'meta',
+  AUDIT: 'audit',
+  REVIEWS: 'reviews'
+};
+
+const AUDIT_HEAD_KEY = 'auditHead';
+const CALIBRATION_KEY = 'matchCalibration';
+
+// Deleted (archived) records are kept at least this long before they can be purged
+export const RETENTION_DAYS = 365;
+
+// Pre-IndexedDB versions kept the whole registry under this localStorage key
+const LEGACY_STORAGE_KEY = 'ufugaji-bioid-db';
+
+let adapterPromise = null;
+
+// Registry writes run one at a time so audit entries chain in order
+let writeQueue = Promise.resolve();
+
+// Object URLs handed out for stored image blobs, keyed by cattle id
+const imageUrls = new Map();
+
+// Nearest feature vectors findMatchCandidates returns for verification
+export const MATCH_CANDIDATES = 50;
+
+// Enrolled animals whose photos are used to calibrate the matcher
+export const CALIBRATION_SAMPLES = 30;
+
+// Search index over the registry's templates, built on first use and then
+// updated by every committed change
+let templateIndex = null;
+let templateIndexPromise = null;
+
+/**
+ * Create a storage adapter by name ('indexeddb', 'localstorage' or 'memory')
+ */
+export async function createStorageAdapter(type) {
+  const storeNames = Object.values(STORES);
+
+  switch (type) {
+    case 'indexeddb':
+      return createIndexedDBAdapter(storeNames, { name: DB_NAME, version: DB_VERSION });
+    case 'localstorage':
+      return createLocalStorageAdapter(storeNames, DB_NAME);
+    case 'memory':
+      return createMemoryAdapter(storeNames);
+    default:
+      throw new Error(`Unknown storage adapter "${type}"`);
+  }
+}
+
+// IndexedDB when the browser has it, localStorage otherwise. A failure to
+// open IndexedDB is reported instead: falling back to an empty localStorage
+// registry would silently fork the records
+async function createDefaultAdapter() {
+  if (typeof indexedDB === 'undefined' && typeof localStorage !== 'undefined') {
+    console.warn('IndexedDB unavailable, falling back to localStorage');
+    return createStorageAdapter('localstorage');
+  }
+  return createStorageAdapter('indexeddb');
+}
+
+function getAdapter() {
+  if (!adapterPromise) {
+    adapterPromise = createDefaultAdapter();
+    adapterPromise.catch(() => {
+      adapterPromise = null;
+    });
+  }
+  return adapterPromise;
+}
+
+function setActiveAdapter(adapter) {
+  [...imageUrls.keys()].forEach(releaseImageUrl);
+  adapterPromise = Promise.resolve(adapter);
+  templateIndex = null;
+  templateIndexPromise = null;
+}
+
+function isDataUrl(value) {
+  return typeof value === 'string' && value.startsWith('data:');
+}
+
+async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl);
+  return response.blob();
+}
+
+/**
+ * Split inline base64 images off a record so they can be stored as blobs:
+ * the muzzle image (`blob`) and the photos of its captures (`captures`,
+ * keyed by captureImageKey)
+ */
+async function splitImages(record) {
+  let split = record;
+  let blob = null;
+  const captures = new Map();
+
+  if (isDataUrl(record.muzzleImage)) {
+    blob = await dataUrlToBlob(record.muzzleImage);
+    split = { ...split, muzzleImage: null, hasStoredImage: true };
+  }
+
+  const splitCaptures = async templates => Promise.all(templates.map(async template => {
+    if (!isDataUrl(template.image)) return template;
+
+    const { image, ...rest } = template;
+    captures.set(captureImageKey(record.id, template.id), await dataUrlToBlob(image));
+    return { ...rest, hasStoredImage: true };
+  }));
+  for (const field of ['templates', 'retiredTemplates']) {
+    if (Array.isArray(record[field])) {
+      split = { ...split, [field]: await splitCaptures(record[field]) };
+    }
+  }
+
+  return { record: split, blob, captures };
+}
+
+// Storage keys of the capture photos a stored record refers to
+function storedCaptureKeys(record) {
+  return [...(record.templates || []), ...(record.retiredTemplates || [])]
+    .filter(t => t.hasStoredImage)
+    .map(t => captureImageKey(record.id, t.id));
+}
+
+function releaseImageUrl(id) {
+  const url = imageUrls.get(id);
+  if (url) {
+    URL.revokeObjectURL(url);
+    imageUrls.delete(id);
+  }
+}
+
+/**
+ * Point a stored record's muzzleImage at its blob via a cached object URL
+ */
+function attachImage(record, blob) {
+  if (!record.hasStoredImage) {
+    return record;
+  }
+
+  if (!imageUrls.has(record.id)) {
+    if (!blob) return record;
+    imageUrls.set(record.id, URL.createObjectURL(blob));
+  }
+  return { ...record, muzzleImage: imageUrls.get(record.id) };
+}
+
+function byCreation(a, b) {
+  const aKey = a.createdAt || a.registrationDate || '';
+  const bKey = b.createdAt || b.registrationDate || '';
+  return aKey < bKey ? -1 : aKey > bKey ? 1 : 0;
+}
+
+/**
+ * Write records (and their image blobs) in a single transaction, each
+ * stamped with the hash of its new content (see stampRevision).
+ * `beforeWrite(tx, records)` runs inside the transaction (with `extraStores`
+ * also open) and may return adjusted records to write instead.
+ */
+async function putCattleRecords(records, { extraStores = [], beforeWrite } = {}) {
+  const prepared = await Promise.all(records.map(async record => splitImages(await stampRevision(record))));
+  const adapter = await getAdapter();
+  let written = prepared.map(({ record }) => record);
+
+  await adapter.transaction(
+    [STORES.CATTLE, STORES.IMAGES, STORES.CAPTURES, ...extraStores],
+    'readwrite',
+    async tx => {
+      if (beforeWrite) {
+        written = await beforeWrite(tx, written);
+      }
+
+      for (let i = 0; i < written.length; i++) {
+        await tx.put(STORES.CATTLE, written[i].id, written[i]);
+        if (prepared[i].blob) {
+          await tx.put(STORES.IMAGES, written[i].id, prepared[i].blob);
+        }
+        for (const [key, capture] of prepared[i].captures) {
+          await tx.put(STORES.CAPTURES, key, capture);
+        }
+      }
+    }
+  );
+
+  prepared.forEach(({ blob, record }) => {
+    if (blob) releaseImageUrl(record.id);
+  });
+
+  return written;
+}
+
+function sequenceKey(year) {
+  return `certificateSequence:${year}`;
+}
+
+/**
+ * Take the next certificate number for a year. The per-year counter only
+ * ever moves forward, so numbers are never reissued after deletes or imports.
+ */
+async function allocateCertificateId(year) {
+  const adapter = await getAdapter();
+  return adapter.transaction([STORES.META], 'readwrite', async tx => {
+    const key = sequenceKey(year);
+    const next = ((await tx.get(STORES.META, key)) || 0) + 1;
+    await tx.put(STORES.META, key, next);
+    return formatCertificateId(year, next);
+  });
+}
+
+/**
+ * Move per-year counters past every certificate number already in use
+ */
+async function syncCertificateSequences(records) {
+  const highest = {};
+  records.forEach(record => {
+    const parsed = parseCertificateId(record.certificateId);
+    if (parsed) {
+      highest[parsed.year] = Math.max(highest[parsed.year] || 0, parsed.sequence);
+    }
+  });
+
+  const adapter = await getAdapter();
+  await adapter.transaction([STORES.META], 'readwrite', async tx => {
+    for (const [year, sequence] of Object.entries(highest)) {
+      const current = (await tx.get(STORES.META, sequenceKey(year))) || 0;
+      if (sequence > current) {
+        await tx.put(STORES.META, sequenceKey(year), sequence);
+      }
+    }
+  });
+}
+
+async function getMeta(key) {
+  const adapter = await getAdapter();
+  return adapter.get(STORES.META, key);
+}
+
+async function setMeta(key, value) {
+  const adapter = await getAdapter();
+  await adapter.put(STORES.META, key, value);
+}
+
+function auditKey(sequence) {
+  return String(sequence).padStart(10, '0');
+}
+
+/**
+ * Build chained audit entries for a batch of changes, continuing from the
+ * current head of the log. Each change is
+ * { action, cattleId, cattleIds, before, after, changes, actor, reason }.
+ */
+async function prepareAuditEntries(changes) {
+  let head = (await getMeta(AUDIT_HEAD_KEY)) || { sequence: 0, hash: GENESIS_HASH };
+  const entries = [];
+
+  for (const change of changes) {
+    const entry = await createAuditEntry({
+      sequence: head.sequence + 1,
+      prevHash: head.hash,
+      action: change.action,
+      cattleId: change.cattleId,
+      cattleIds: change.cattleIds,
+      operator: change.actor || getOperatorName() || 'unknown',
+      reason: change.reason,
+      changes: change.changes || diffRecords(change.before, change.after)
+    });
+    entries.push(entry);
+    head = { sequence: entry.sequence, hash: entry.hash };
+  }
+
+  return entries;
+}
+
+async function appendAuditEntries(tx, entries) {
+  const head = (await tx.get(STORES.META, AUDIT_HEAD_KEY)) || { sequence: 0, hash: GENESIS_HASH };
+  if (entries.length > 0 && entries[0].prevHash !== head.hash) {
+    throw new Error('Audit log was changed by another window, please retry');
+  }
+
+  for (const entry of entries) {
+    await tx.put(STORES.AUDIT, auditKey(entry.sequence), entry);
+  }
+  const last = entries[entries.length - 1];
+  if (last) {
+    await tx.put(STORES.META, AUDIT_HEAD_KEY, { sequence: last.sequence, hash: last.hash });
+  }
+}
+
+/**
+ * Apply record writes/removals and their audit entries in one transaction,
+ * along with any review queue items (`reviews`) the change settles.
+ * Only call this from inside the write queue (see enqueueWrite).
+ */
+async function applyChange({ put = [], remove = [], reviews = [] }, audits) {
+  const entries = await prepareAuditEntries(audits);
+  const written = await putCattleRecords(put, {
+    extraStores: [STORES.AUDIT, STORES.META, ...(reviews.length ? [STORES.REVIEWS] : [])],
+    beforeWrite: async (tx, records) => {
+      for (const id of remove) {
+        const stored = await tx.get(STORES.CATTLE, id);
+        for (const key of stored ? storedCaptureKeys(stored) : []) {
+          await tx.delete(STORES.CAPTURES, key);
+        }
+        await tx.delete(STORES.CATTLE, id);
+        await tx.delete(STORES.IMAGES, id);
+      }
+      for (const review of reviews) {
+        await tx.put(STORES.REVIEWS, review.id, review);
+      }
+      await appendAuditEntries(tx, entries);
+      return records;
+    }
+  });
+  remove.forEach(releaseImageUrl);
+  syncTemplateIndex({ written, remove });
+  return written;
+}
+
+// Run `task` once every write queued before it has settled
+function enqueueWrite(task) {
+  const result = writeQueue.then(task, task);
+  writeQueue = result.catch(() => {});
+  return result;
+}
 
 /**
- * Initialize database with sample data if empty
+ * Queue a change built from data that is already known (see applyChange)
  */
-export async function initializeDB() {
-  const existing = localStorage.getItem(STORAGE_KEY);
-  
-  if (!existing) {
+function commitChange(change, audits) {
+  return enqueueWrite(() => applyChange(change, audits));
+}
+
+/**
+ * Queue a change that depends on what is stored. `prepare` runs in the write
+ * queue, so nothing it reads can change before the commit; it returns
+ * { put, remove, reviews, audits, result }, or null to write nothing, and the
+ * promise resolves with `result`.
+ */
+function commitPreparedChange(prepare) {
+  return enqueueWrite(async () => {
+    const change = await prepare();
+    if (!change) {
+      return null;
+    }
+    await applyChange(change, change.audits);
+    return change.result;
+  });
+}
+
+/**
+ * Apply a committed change to the template index, if it has been built
+ */
+function syncTemplateIndex({ written, remove }) {
+  if (!templateIndex) return;
+
+  remove.forEach(id => templateIndex.remove(id));
+  written.forEach(record => templateIndex.put(record));
+}
+
+/**
+ * Template index of the whole registry. It's built in the write queue so no
+ * change can land between reading the records and the index being in place.
+ */
+function getTemplateIndex() {
+  if (!templateIndexPromise) {
+    const build = async () => {
+      const adapter = await getAdapter();
+      const index = createTemplateIndex();
+      (await adapter.list(STORES.CATTLE)).forEach(record => index.put(record));
+      templateIndex = index;
+      return index;
+    };
+    const promise = writeQueue.then(build, build);
+    templateIndexPromise = promise;
+    writeQueue = promise.catch(() => {
+      if (templateIndexPromise === promise) templateIndexPromise = null;
+    });
+  }
+  return templateIndexPromise;
+}
+
+/**
+ * Move registry data written by the localStorage version into IndexedDB (runs once)
+ */
+async function migrateFromLocalStorage() {
+  if (await getMeta('migratedFromLocalStorage')) {
+    return false;
+  }
+
+  const legacy = typeof localStorage !== 'undefined'
+    ? localStorage.getItem(LEGACY_STORAGE_KEY)
+    : null;
+  if (legacy) {
+    const parsed = JSON.parse(legacy);
+    const records = Array.isArray(parsed) ? parsed : [];
+    await commitChange({ put: records }, [{
+      action: 'import',
+      cattleIds: records.map(r => r.id),
+      changes: { added: records.length },
+      reason: 'Migrated from localStorage'
+    }]);
+    await setMeta('seeded', true);
+  }
+
+  await setMeta('migratedFromLocalStorage', true);
+  if (legacy) {
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
+  }
+  return Boolean(legacy);
+}
+
+/**
+ * Decode a record's muzzle image (stored blob, data URL or path) for re-extraction
+ */
+async function loadRecordImageData(record) {
+  let blob = record.hasStoredImage ? await getCattleImage(record.id) : null;
+
+  if (!blob && record.muzzleImage) {
+    const response = await fetch(record.muzzleImage);
+    if (!response.ok) return null;
+    blob = await response.blob();
+  }
+
+  return blob ? imageDataFromBlob(blob) : null;
+}
+
+/**
+ * Run the schema migrations over `records` in the image worker, since they
+ * decode and re-extract muzzle images. Stored image blobs, keyed by record
+ * id and the captures' by captureImageKey, are read here and handed over
+ * with the records.
+ */
+async function migrateInWorker(records) {
+  const adapter = await getAdapter();
+  const images = new Map();
+  for (const record of records) {
+    const blob = record.hasStoredImage ? await getCattleImage(record.id) : null;
+    if (blob) images.set(record.id, blob);
+    for (const key of storedCaptureKeys(record)) {
+      const capture = await adapter.get(STORES.CAPTURES, key);
+      if (capture) images.set(key, capture);
+    }
+  }
+  return runImageJob('migrate', { records, images });
+}
+
+/**
+ * Upgrade stored records written with an older schema version
+ */
+async function upgradeStoredRecords() {
+  const adapter = await getAdapter();
+  const outdated = (await adapter.list(STORES.CATTLE)).filter(needsMigration);
+
+  if (outdated.length === 0) {
+    return { migrated: 0, flagged: 0 };
+  }
+
+  const { records, migrated, flagged } = await migrateInWorker(outdated);
+  await commitChange({ put: records }, records.map((record, i) => ({
+    action: 'upgrade',
+    cattleId: record.id,
+    before: outdated[i],
+    after: record,
+    reason: `Schema upgrade to v${CURRENT_SCHEMA_VERSION}`
+  })));
+
+  if (flagged > 0) {
+    console.warn(`${flagged} cattle record(s) need muzzle re-enrollment after schema upgrade`);
+  }
+  return { migrated, flagged };
+}
+
+/**
+ * Initialize database: select the storage adapter, migrate legacy
+ * localStorage data, load sample data the first time the registry
+ * is opened, then upgrade records to the current schema version.
+ *
+ * Options:
+ *   adapter - 'indexeddb' | 'localstorage' | 'memory' or an adapter object
+ *             (defaults to IndexedDB with a localStorage fallback)
+ *   seed    - load the db.json sample herd into an empty registry (default true)
+ */
+export async function initializeDB({ adapter, seed = true } = {}) {
+  if (adapter) {
+    setActiveAdapter(typeof adapter === 'string' ? await createStorageAdapter(adapter) : adapter);
+  }
+
+  await migrateFromLocalStorage();
+
+  if (seed && !(await getMeta('seeded'))) {
     // Load sample data from db.json
     try {
       const response = await fetch('/db.json');
       const data = await response.json();
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(data.cattle || []));
-      return data.cattle || [];
+      const records = data.cattle || [];
+      await commitChange({ put: records }, [{
+        action: 'import',
+        cattleIds: records.map(r => r.id),
+        changes: { added: records.length },
+        reason: 'Sample data'
+      }]);
     } catch (error) {
       console.error('Failed to load sample data:', error);
-      localStorage.setItem(STORAGE_KEY, JSON.stringify([]));
-      return [];
     }
+    await setMeta('seeded', true);
   }
-  
-  return JSON.parse(existing);
+
+  await upgradeStoredRecords();
+
+  await syncCertificateSequences(await getAllCattle({ includeArchived: true }));
+  return getAllCattle();
 }
 
 /**
  * Get all cattle from database
+ * Archived, sold, deceased and deleted records are left out unless
+ * `includeArchived` is set
+ */
+export async function getAllCattle({ includeArchived = false } = {}) {
+  const adapter = await getAdapter();
+  const { records, blobs } = await adapter.transaction(
+    [STORES.CATTLE, STORES.IMAGES],
+    'readonly',
+    async tx => {
+      const records = (await tx.list(STORES.CATTLE))
+        .filter(r => includeArchived || !isArchived(r));
+      const blobs = await Promise.all(
+        records.map(r =>
+          r.hasStoredImage && !imageUrls.has(r.id) ? tx.get(STORES.IMAGES, r.id) : null
+        )
+      );
+      return { records, blobs };
+    }
+  );
+
+  return records
+    .map((record, i) => attachImage(record, blobs[i]))
+    .sort(byCreation);
+}
+
+/**
+ * Get archived, sold, deceased and deleted records
  */
-export function getAllCattle() {
-  const data = localStorage.getItem(STORAGE_KEY);
-  return data ? JSON.parse(data) : [];
+export async function getArchivedCattle() {
+  const cattle = await getAllCattle({ includeArchived: true });
+  return cattle.filter(isArchived);
 }
 
 /**
  * Get cattle by ID
  */
-export function getCattleById(id) {
-  const cattle = getAllCattle();
-  return cattle.find(c => c.id === id);
+export async function getCattleById(id) {
+  const adapter = await getAdapter();
+  const { record, blob } = await adapter.transaction(
+    [STORES.CATTLE, STORES.IMAGES],
+    'readonly',
+    async tx => {
+      const record = await tx.get(STORES.CATTLE, id);
+      const blob = record?.hasStoredImage ? await tx.get(STORES.IMAGES, id) : null;
+      return { record, blob };
+    }
+  );
+
+  return record ? attachImage(record, blob) : undefined;
+}
+
+// Records (with images) for a list of ids, in enrollment order
+async function getCattleByIds(ids) {
+  if (ids.length === 0) return [];
+
+  const adapter = await getAdapter();
+  const loaded = await adapter.transaction(
+    [STORES.CATTLE, STORES.IMAGES],
+    'readonly',
+    async tx => Promise.all(ids.map(async id => {
+      const record = await tx.get(STORES.CATTLE, id);
+      const blob = record?.hasStoredImage && !imageUrls.has(id) ? await tx.get(STORES.IMAGES, id) : null;
+      return { record, blob };
+    }))
+  );
+
+  return loaded
+    .filter(({ record }) => record)
+    .map(({ record, blob }) => attachImage(record, blob))
+    .sort(byCreation);
 }
 
 /**
- * Add new cattle to database
+ * Enrolled animals worth verifying a scan against, looked up in the template
+ * index instead of comparing the scan with the whole registry: the `limit`
+ * records with the nearest feature vectors plus every record whose pHash is
+ * within PHASH_DUPLICATE_DISTANCE. Records without a comparable feature
+ * vector can't be searched and are returned as `unmatchable`.
  */
-export function addCattle(cattleData) {
-  const cattle = getAllCattle();
-  const newCattle = {
+export async function findMatchCandidates(
+  { featureVector = null, perceptualHash = null },
+  { limit = MATCH_CANDIDATES, includeArchived = false } = {}
+) {
+  const index = await getTemplateIndex();
+
+  const ids = new Set();
+  if (featureVector) {
+    index.nearestVectors(featureVector, limit, { includeArchived }).forEach(({ id }) => ids.add(id));
+  }
+  if (isImageHash(perceptualHash)) {
+    index.nearHashes(perceptualHash.phash, PHASH_DUPLICATE_DISTANCE, { includeArchived }).forEach(id => ids.add(id));
+  }
+
+  const [candidates, unmatchable] = await Promise.all([
+    getCattleByIds([...ids]),
+    getCattleByIds(index.unindexedIds({ includeArchived }))
+  ]);
+  return { candidates, unmatchable };
+}
+
+/**
+ * Enrolled animals, archived ones included, that a new animal's enrollment
+ * captures could duplicate: the match candidates of every capture
+ */
+export async function findDuplicateCandidates(templates) {
+  const found = new Map();
+  for (const template of templates) {
+    const { candidates } = await findMatchCandidates(template, { includeArchived: true });
+    candidates.forEach(c => found.set(c.id, c));
+  }
+  return [...found.values()].sort(byCreation);
+}
+
+/**
+ * Templates of up to `limit` recently enrolled animals, for fitting a
+ * match calibration (collectCalibrationPairs). Each sample carries the
+ * animal's current-pipeline captures; animals with fewer than two also
+ * carry their photo, for simulated recaptures. Animals whose templates are
+ * outdated, or who need a photo that can't be loaded, are skipped.
+ */
+export async function getCalibrationSamples({ limit = CALIBRATION_SAMPLES } = {}) {
+  const cattle = (await getAllCattle()).filter(hasCurrentFeatureVector).reverse();
+  const samples = [];
+
+  for (const record of cattle) {
+    if (samples.length >= limit) break;
+
+    const templates = (record.templates || [])
+      .filter(t => t.pipelineVersion === PIPELINE_VERSION);
+    let imageData = null;
+    if (templates.length < 2) {
+      try {
+        imageData = await loadRecordImageData(record);
+      } catch (error) {
+        console.warn(`Could not load muzzle image for ${record.id}:`, error);
+      }
+      if (!imageData) continue;
+    }
+
+    const { id, muzzleRoi, featureVector, perceptualHash, keypointTemplate, ridgeTemplate } = record;
+    samples.push({ id, imageData, roi: muzzleRoi, featureVector, perceptualHash, keypointTemplate, ridgeTemplate, templates });
+  }
+
+  return samples;
+}
+
+/**
+ * The match calibration fitted on this registry, or DEFAULT_CALIBRATION when
+ * none has been fitted for the current image pipeline
+ */
+export async function getCalibration() {
+  const stored = await getMeta(CALIBRATION_KEY);
+  return isCalibration(stored) && stored.pipelineVersion === PIPELINE_VERSION ? stored : DEFAULT_CALIBRATION;
+}
+
+/**
+ * Store a calibration from fitCalibration for matching on this device
+ */
+export async function saveCalibration(calibration, { actor = '' } = {}) {
+  if (!isCalibration(calibration)) {
+    throw new Error('Not a match calibration');
+  }
+  const saved = { ...calibration, fittedBy: actor || getOperatorName() || 'unknown' };
+  await setMeta(CALIBRATION_KEY, saved);
+  return saved;
+}
+
+/**
+ * How often each breed, sex, colour and county occurs among active records,
+ * for weighing attributes observed at a scan (see attributes.js)
+ */
+export async function getAttributeStatistics() {
+  return attributeStatistics(await getAllCattle());
+}
+
+/**
+ * Get the stored muzzle image blob for a cattle record
+ */
+export async function getCattleImage(id) {
+  const adapter = await getAdapter();
+  const blob = await adapter.get(STORES.IMAGES, id);
+  return blob || null;
+}
+
+// Fresh record with its id, certificate ID and lifecycle fields filled in
+async function createRecord(cattleData, now = new Date()) {
+  return {
+    templates: [],
+    reviewDecisions: [],
     ...cattleData,
-    id: Date.now().toString(),
-    registrationDate: new Date().toISOString().split('T')[0],
-    certificateId: `UFUGAJI-${new Date().getFullYear()}-${String(cattle.length + 1).padStart(3, '0')}`
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    status: 'active',
+    statusHistory: [],
+    deletion: null,
+    ...initialOwnership(cattleData.ownerName, now.toISOString()),
+    ...startTemplateHistory(cattleData.templates || [], now.toISOString()),
+    id: uuidv4(),
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    registrationDate: now.toISOString().split('T')[0],
+    certificateId: await allocateCertificateId(now.getFullYear())
   };
-  
-  cattle.push(newCattle);
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(cattle));
-  
-  return newCattle;
+}
+
+/**
+ * Add new cattle to database
+ */
+export async function addCattle(cattleData, { actor, reason } = {}) {
+  const newCattle = await createRecord(cattleData);
+
+  await commitChange({ put: [newCattle] }, [{
+    action: 'create',
+    cattleId: newCattle.id,
+    before: null,
+    after: newCattle,
+    actor,
+    reason
+  }]);
+  return getCattleById(newCattle.id);
+}
+
+// Stored form of a fetched record: drop the object URL handed out for its image
+function toStoredRecord(record) {
+  const { muzzleImage, ...rest } = record;
+  return rest.hasStoredImage ? rest : { ...rest, muzzleImage };
+}
+
+/**
+ * Merge updates into a record and audit the change under `action`.
+ * `updates` may be a function of the stored record returning them (or null to
+ * leave it alone), and `reason` one returning the reason; both run in the
+ * write queue, so they see the record as it is when the change is written.
+ * Returns the updated record, or null when nothing was changed.
+ */
+async function changeCattle(id, updates, { action, actor, reason }) {
+  const changed = await commitPreparedChange(async () => {
+    const existing = await getCattleById(id);
+    if (!existing) {
+      return null;
+    }
+
+    const changes = typeof updates === 'function' ? await updates(existing) : updates;
+    if (!changes) {
+      return null;
+    }
+
+    const before = toStoredRecord(existing);
+    const after = { ...before, ...changes, id, updatedAt: new Date().toISOString() };
+    const why = typeof reason === 'function' ? reason(existing) : reason;
+    return { put: [after], audits: [{ action, cattleId: id, before, after, actor, reason: why }], result: true };
+  });
+
+  return changed ? getCattleById(id) : null;
 }
 
 /**
  * Update cattle data
  */
-export function updateCattle(id, updates) {
-  const cattle = getAllCattle();
-  const index = cattle.findIndex(c => c.id === id);
-  
-  if (index === -1) {
-    return null;
+export function updateCattle(id, updates, { actor, reason } = {}) {
+  return changeCattle(id, updates, { action: 'update', actor, reason });
+}
+
+function statusEntry(status, { reason = '', actor = '' } = {}) {
+  return { status, reason, by: actor, at: new Date().toISOString() };
+}
+
+/**
+ * Change a record's lifecycle status (see RECORD_STATUSES)
+ */
+export async function setCattleStatus(id, status, { reason, actor } = {}) {
+  if (!RECORD_STATUSES.includes(status)) {
+    throw new Error(`Unknown status "${status}"`);
   }
-  
-  cattle[index] = { ...cattle[index], ...updates };
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(cattle));
-  
-  return cattle[index];
+
+  return changeCattle(id, existing => ({
+    status,
+    statusHistory: [...(existing.statusHistory || []), statusEntry(status, { reason, actor })]
+  }), { action: 'status', actor, reason });
 }
 
 /**
  * Delete cattle from database
+ * The record is archived with a tombstone (reason, time, actor) rather than
+ * removed, so ownership evidence survives; see purgeCattle
+ */
+export async function deleteCattle(id, { reason = '', actor = '' } = {}) {
+  await changeCattle(id, existing => {
+    const entry = statusEntry('archived', { reason, actor });
+    return {
+      status: 'archived',
+      statusHistory: [...(existing.statusHistory || []), entry],
+      deletion: { reason, deletedAt: entry.at, deletedBy: actor }
+    };
+  }, { action: 'delete', actor, reason });
+
+  return getAllCattle();
+}
+
+/**
+ * Bring an archived or deleted record back into the active registry
+ */
+export async function restoreCattle(id, { actor = '' } = {}) {
+  return changeCattle(id, existing => ({
+    status: 'active',
+    statusHistory: [
+      ...(existing.statusHistory || []),
+      statusEntry('active', { reason: 'Restored', actor })
+    ],
+    deletion: null
+  }), { action: 'restore', actor, reason: 'Restored' });
+}
+
+/**
+ * Throw unless `verification` (from verifyIdentity) is a passing scan of
+ * animal `id` whose match probability still reaches this registry's Good
+ * Match threshold. `action` names the change for the error message.
+ */
+async function requireVerifiedScan(id, verification, action) {
+  if (!verification || !verification.verified) {
+    throw new Error(`${action} requires a verified muzzle scan`);
+  }
+  if (verification.cattleId !== id) {
+    throw new Error('The verified muzzle scan is of a different animal');
+  }
+
+  const required = (await getCalibration()).thresholds.good;
+  if (!Number.isFinite(verification.probability) || verification.probability < required) {
+    throw new Error(`The scan's match probability is below the ${(required * 100).toFixed(1)}% required`);
+  }
+}
+
+/**
+ * Transfer an animal to a new owner after a verified muzzle scan.
+ * Closes the seller's ownership entry, opens one for the buyer and reissues
+ * the certificate as a new revision, marking the previous one superseded.
+ * verification is the result of verifyIdentity (see matching.js) for this
+ * animal.
+ */
+export async function transferOwnership(id, { seller = {}, buyer, market = '', price = null, verification }, { actor = '' } = {}) {
+  const buyerName = (buyer.name || '').trim();
+
+  return changeCattle(id, async existing => {
+    if (isArchived(existing) || existing.status === 'stolen') {
+      throw new Error(`Cannot transfer an animal recorded as ${existing.status}`);
+    }
+    await requireVerifiedScan(id, verification, 'Ownership transfer');
+
+    if (!buyerName) {
+      throw new Error('Buyer name is required');
+    }
+    if (buyerName === existing.ownerName) {
+      throw new Error('Buyer is already the registered owner');
+    }
+
+    const now = new Date().toISOString();
+    const current = getCurrentCertificate(existing);
+    const revision = (current ? current.revision : 0) + 1;
+
+    const history = (existing.ownershipHistory || []).map(entry => (
+      entry.to ? entry : { ...entry, to: now }
+    ));
+    const revisions = (existing.certificateRevisions || []).map(entry => (
+      entry.supersededAt ? entry : { ...entry, supersededAt: now, supersededBy: revision }
+    ));
+
+    return {
+      ownerName: buyerName,
+      ownershipHistory: [...history, {
+        ownerName: buyerName,
+        ownerPhone: buyer.phone || '',
+        ownerIdNumber: buyer.idNumber || '',
+        from: now,
+        to: null,
+        transfer: {
+          seller: {
+            name: seller.name || existing.ownerName,
+            phone: seller.phone || '',
+            idNumber: seller.idNumber || ''
+          },
+          market,
+          price,
+          matchPercentage: verification.matchPercentage,
+          certificateRevision: revision,
+          recordedBy: actor
+        }
+      }],
+      certificateRevisions: [...revisions, {
+        revision,
+        ownerName: buyerName,
+        issuedAt: now,
+        supersededAt: null,
+        supersededBy: null
+      }]
+    };
+  }, { action: 'transfer', actor, reason: existing => `Sold by ${existing.ownerName} to ${buyerName}` });
+}
+
+/**
+ * Add a fresh capture to an animal's template set once a scan has verified
+ * its identity (see verifyIdentity and requireVerifiedScan), so matching
+ * keeps up as its muzzle changes. A full set retires its oldest template.
+ */
+export async function reenrollCattle(id, template, { verification, actor = '', reason = '' } = {}) {
+  let note = reason;
+
+  return changeCattle(id, async existing => {
+    if (isArchived(existing)) {
+      throw new Error(`Cannot re-enroll an animal recorded as ${existing.status}`);
+    }
+    await requireVerifiedScan(id, verification, 'Re-enrollment');
+
+    note = reason || `Verified at ${verification.matchPercentage.toFixed(1)}% match`;
+    return addTemplate(existing, template, { at: new Date().toISOString(), reason: note });
+  }, { action: 'reenroll', actor, reason: () => note });
+}
+
+/**
+ * Adaptive update from a confident Matcher hit: replace the animal's oldest
+ * template with the scan's. Returns null, changing nothing, when no
+ * template is old enough to replace (see ADAPTIVE_MIN_AGE_DAYS).
+ */
+export async function refreshCattleTemplate(id, template, { matchPercentage, actor = '' } = {}) {
+  const reason = `Matched at ${matchPercentage.toFixed(1)}%`;
+
+  return changeCattle(id, existing => (
+    isArchived(existing) ? null : refreshOldestTemplate(existing, template, { at: new Date().toISOString(), reason })
+  ), { action: 'adaptive-update', actor, reason });
+}
+
+/**
+ * Restore the template set an animal had at an earlier revision
+ */
+export async function rollbackCattleTemplates(id, revision, { actor = '', reason = '' } = {}) {
+  return changeCattle(id, existing => (
+    rollbackTemplates(existing, revision, { at: new Date().toISOString(), reason })
+  ), {
+    action: 'template-rollback',
+    actor,
+    reason: reason || `Rolled back to template revision ${revision}`
+  });
+}
+
+/**
+ * Park a borderline case for a supervisor (see reviews.js). `candidates`
+ * are the animals on record it may be.
+ */
+export async function submitReview({ kind, note = '', enrollment = null, scan = null, candidates = [] }, { actor = '' } = {}) {
+  if (!REVIEW_KINDS.includes(kind)) {
+    throw new Error(`Unknown review kind "${kind}"`);
+  }
+
+  const review = {
+    id: uuidv4(),
+    kind,
+    status: 'pending',
+    submittedAt: new Date().toISOString(),
+    submittedBy: actor || getOperatorName() || 'unknown',
+    note,
+    enrollment,
+    scan,
+    candidates: candidates.map(({ id, cowName, certificateId, ownerName, matchPercentage, isExactDuplicate = false }) => (
+      { id, cowName, certificateId, ownerName, matchPercentage, isExactDuplicate }
+    )),
+    decision: null
+  };
+
+  const adapter = await getAdapter();
+  await adapter.put(STORES.REVIEWS, review.id, review);
+  return review;
+}
+
+/**
+ * Review queue items, newest first; all of them when `status` is null
+ */
+export async function getReviews({ status = 'pending' } = {}) {
+  const adapter = await getAdapter();
+  const reviews = await adapter.list(STORES.REVIEWS);
+  return reviews
+    .filter(r => status === null || r.status === status)
+    .sort((a, b) => (a.submittedAt < b.submittedAt ? 1 : -1));
+}
+
+/**
+ * Settle a review with a supervisor's decision ('approve', 'reject' or
+ * 'merge', see reviews.js). Records are created or updated, the decision is
+ * added to each record's `reviewDecisions` and the review is closed, all in
+ * one audited change. Returns the decided review.
+ */
+export async function decideReview(id, { decision, targetId = null, reason = '' }, { actor = '' } = {}) {
+  // Read and checked in the write queue so two decisions on one review can't
+  // both pass as pending
+  return commitPreparedChange(async () => {
+    const adapter = await getAdapter();
+    const review = await adapter.get(STORES.REVIEWS, id);
+    if (!review) {
+      return null;
+    }
+
+    const by = actor || getOperatorName() || 'unknown';
+    const problem = validateDecision(review, { decision, targetId, reason }, by);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const now = new Date();
+    const at = now.toISOString();
+    const entry = relatedId => ({ reviewId: id, kind: review.kind, decision, by, at, reason, relatedId });
+    const note = `Review ${DECIDED_STATUSES[decision]}: ${reason}`;
+
+    const put = [];
+    const audits = [];
+    const change = (before, after, action) => {
+      put.push(after);
+      audits.push({ action, cattleId: after.id, before, after, actor: by, reason: note });
+    };
+    const recordDecision = (record, relatedId, updates = {}) => {
+      const before = toStoredRecord(record);
+      change(before, {
+        ...before,
+        ...updates,
+        reviewDecisions: [...(record.reviewDecisions || []), entry(relatedId)],
+        updatedAt: at
+      }, 'review');
+    };
+
+    const candidates = (await Promise.all(review.candidates.map(c => getCattleById(c.id)))).filter(Boolean);
+    const target = candidates.find(c => c.id === targetId) || null;
+    let cattleId = null;
+
+    if (decision === 'merge') {
+      if (!target) {
+        throw new Error('The chosen animal is no longer on record');
+      }
+      const templates = isEnrollmentReview(review) ? review.enrollment.templates : [review.scan.template];
+      recordDecision(target, null, mergeTemplates(target, templates, { at, reason: note }));
+      cattleId = target.id;
+    } else if (decision === 'approve' && isEnrollmentReview(review)) {
+      const created = await createRecord({
+        ...review.enrollment,
+        reviewDecisions: [entry(candidates[0]?.id || null)]
+      }, now);
+      change(null, created, 'create');
+      candidates.forEach(c => recordDecision(c, created.id));
+      cattleId = created.id;
+    } else if (decision === 'approve') {
+      if (!target) {
+        throw new Error('The chosen animal is no longer on record');
+      }
+      recordDecision(target, null);
+      cattleId = target.id;
+    } else {
+      candidates.forEach(c => recordDecision(c, null));
+    }
+
+    const decided = {
+      ...review,
+      status: DECIDED_STATUSES[decision],
+      decision: { decision, by, at, reason, cattleId }
+    };
+    return { put, reviews: [decided], audits, result: decided };
+  });
+}
+
+/**
+ * Date after which a deleted record may be purged, or null if it isn't deleted
+ */
+export function getPurgeDate(record) {
+  if (!record.deletion) {
+    return null;
+  }
+
+  const purgeDate = new Date(record.deletion.deletedAt);
+  purgeDate.setDate(purgeDate.getDate() + RETENTION_DAYS);
+  return purgeDate;
+}
+
+export function canPurge(record, now = new Date()) {
+  const purgeDate = getPurgeDate(record);
+  return Boolean(purgeDate && purgeDate <= now);
+}
+
+/**
+ * Permanently remove a deleted record once its retention period has passed
+ */
+export async function purgeCattle(id, { actor, now = new Date() } = {}) {
+  const purged = await commitPreparedChange(async () => {
+    const existing = await getCattleById(id);
+    if (!existing) {
+      return null;
+    }
+    if (!canPurge(existing, now)) {
+      throw new Error(`Record can't be purged until ${RETENTION_DAYS} days after deletion`);
+    }
+
+    return {
+      remove: [id],
+      audits: [{
+        action: 'purge',
+        cattleId: id,
+        before: toStoredRecord(existing),
+        after: null,
+        actor,
+        reason: `Retention period of ${RETENTION_DAYS} days elapsed`
+      }],
+      result: true
+    };
+  });
+
+  return Boolean(purged);
+}
+
+/**
+ * Purge every deleted record whose retention period has passed
  */
-export function deleteCattle(id) {
-  const cattle = getAllCattle();
-  const filtered = cattle.filter(c => c.id !== id);
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
-  
-  return filtered;
+export async function purgeExpiredCattle({ actor, now = new Date() } = {}) {
+  const expired = (await getArchivedCattle()).filter(c => canPurge(c, now));
+  for (const record of expired) {
+    await purgeCattle(record.id, { actor, now });
+  }
+  return expired.length;
 }
 
 /**
- * Search cattle by owner name or cow name
+ * Search cattle by owner name, cow name, location or certificate ID
  */
-export function searchCattle(query) {
-  const cattle = getAllCattle();
+export async function searchCattle(query) {
+  const cattle = await getAllCattle();
   const lowerQuery = query.toLowerCase();
-  
-  return cattle.filter(c => 
+
+  return cattle.filter(c =>
     c.ownerName.toLowerCase().includes(lowerQuery) ||
     c.cowName.toLowerCase().includes(lowerQuery) ||
-    c.location.toLowerCase().includes(lowerQuery)
+    c.location.toLowerCase().includes(lowerQuery) ||
+    (c.certificateId || '').toLowerCase().includes(lowerQuery)
   );
 }
 
 /**
  * Get statistics
  */
-export function getStats() {
-  const cattle = getAllCattle();
-  
+export async function getStats() {
+  const cattle = await getAllCattle();
+
   const breedCount = {};
   const locationCount = {};
-  
+
   cattle.forEach(c => {
     breedCount[c.breed] = (breedCount[c.breed] || 0) + 1;
     locationCount[c.location] = (locationCount[c.location] || 0) + 1;
   });
-  
+
+  const archived = await getArchivedCattle();
+
   return {
     total: cattle.length,
+    archived: archived.length,
+    stolen: cattle.filter(c => c.status === 'stolen').length,
     breedCount,
     locationCount
   };
 }
 
+// A stored capture without the flag for its photo, which travels beside it
+function withoutStoredImage(template) {
+  const { hasStoredImage: _hasStoredImage, ...rest } = template;
+  return rest;
+}
+
+/**
+ * Stored records (images stripped) and their image blobs, for backups.
+ * Capture photos are keyed by captureImageKey.
+ */
+async function getBackupContents() {
+  const adapter = await getAdapter();
+  const cattle = await getAllCattle({ includeArchived: true });
+  const images = new Map();
+
+  for (const c of cattle) {
+    if (c.hasStoredImage) {
+      const blob = await getCattleImage(c.id);
+      if (blob) images.set(c.id, blob);
+    }
+    for (const key of storedCaptureKeys(c)) {
+      const blob = await adapter.get(STORES.CAPTURES, key);
+      if (blob) images.set(key, blob);
+    }
+  }
+
+  const records = cattle.map(c => {
+    const { muzzleImage, hasStoredImage: _hasStoredImage, ...rest } = c;
+    ['templates', 'retiredTemplates'].forEach(field => {
+      if (Array.isArray(rest[field])) rest[field] = rest[field].map(withoutStoredImage);
+    });
+    // Images that aren't stored as blobs (e.g. sample paths) stay inline
+    return c.hasStoredImage ? rest : { ...rest, muzzleImage };
+  });
+
+  return { records, images };
+}
+
 /**
- * Export database as JSON
+ * Export database as an encrypted backup bundle (see backupBundle.js)
  */
-export function exportDatabase() {
-  const data = getAllCattle();
-  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+export async function exportDatabase({ passphrase } = {}) {
+  const { records, images } = await getBackupContents();
+  const bundle = await createBackupBundle(records, images, passphrase);
+  const blob = new Blob([bundle], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
-  
+
   const a = document.createElement('a');
   a.href = url;
-  a.download = `ufugaji-bioid-backup-${new Date().toISOString().split('T')[0]}.json`;
+  a.download = `ufugaji-bioid-backup-${new Date().toISOString().split('T')[0]}.bioid.json`;
   a.click();
-  
+
   URL.revokeObjectURL(url);
 }
 
 /**
- * Import database from JSON file
+ * Export registry metadata (no biometrics) as a CSV spreadsheet
  */
-export function importDatabase(jsonData) {
+export async function exportCSV() {
+  const cattle = await getAllCattle({ includeArchived: true });
+  // Byte order mark so Excel reads the file as UTF-8
+  const blob = new Blob(['\uFEFF', toCSV(cattle)], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `ufugaji-bioid-registry-${new Date().toISOString().split('T')[0]}.csv`;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
+
+// Metadata columns a CSV row may change on an existing record
+const CSV_EDITABLE_FIELDS = ['cowName', 'breed', 'age', 'sex', 'color', 'location'];
+
+/**
+ * Import registry metadata from CSV
+ * Rows with a certificate ID update that animal's details; rows without one
+ * are enrolled as new animals flagged for a muzzle capture. Ownership can't
+ * change here (use transferOwnership), and status and registration date
+ * columns are export-only. With `dryRun` nothing is written.
+ */
+export async function importCSV(text, { actor, dryRun = false } = {}) {
+  const { rows, problems, unknownColumns } = mapCSVRecords(text);
+  const existing = await getAllCattle({ includeArchived: true });
+  const byCertificate = new Map(existing.map(c => [c.certificateId, c]));
+
+  const updates = [];
+  const additions = [];
+  let unchanged = 0;
+
+  rows.forEach(({ row, fields }) => {
+    if (!fields.certificateId) {
+      additions.push({ row, fields });
+      return;
+    }
+
+    const current = byCertificate.get(fields.certificateId);
+    if (!current) {
+      problems.push({ row, errors: [`Certificate ID ${fields.certificateId} is not in the registry`] });
+      return;
+    }
+    if (fields.ownerName !== current.ownerName) {
+      problems.push({ row, errors: [`Owner differs from the registry (${current.ownerName}); use Transfer Ownership`] });
+      return;
+    }
+
+    const before = toStoredRecord(current);
+    const changed = {};
+    CSV_EDITABLE_FIELDS.forEach(field => {
+      if (fields[field] !== (before[field] ?? null)) changed[field] = fields[field];
+    });
+
+    if (Object.keys(changed).length === 0) {
+      unchanged++;
+    } else {
+      updates.push({ row, before, after: { ...before, ...changed, updatedAt: new Date().toISOString() } });
+    }
+  });
+
+  problems.sort((a, b) => a.row - b.row);
+  const result = {
+    success: true,
+    dryRun,
+    added: additions.map(({ row, fields }) => ({ row, cowName: fields.cowName, ownerName: fields.ownerName })),
+    updated: updates.map(({ row, after }) => ({ row, cowName: after.cowName, certificateId: after.certificateId })),
+    unchanged,
+    problems,
+    unknownColumns
+  };
+
+  if (dryRun || (updates.length === 0 && additions.length === 0)) {
+    return result;
+  }
+
+  const created = [];
+  for (const { fields } of additions) {
+    const { certificateId: _certificateId, ...data } = fields;
+    created.push(await createRecord({
+      ...data,
+      notes: '',
+      featureVector: null,
+      perceptualHash: null,
+      muzzleImage: null,
+      needsReenrollment: true,
+      upgradeIssue: 'Imported from a spreadsheet without a muzzle print'
+    }));
+  }
+
+  const put = [...updates.map(u => u.after), ...created];
+  await commitChange({ put }, [
+    ...updates.map(({ before, after }) => ({
+      action: 'update', cattleId: after.id, before, after, actor, reason: 'Spreadsheet import'
+    })),
+    ...created.map(record => ({
+      action: 'create', cattleId: record.id, before: null, after: record, actor, reason: 'Spreadsheet import'
+    }))
+  ]);
+
+  return result;
+}
+
+// Deletion reason of records a replacing import leaves out
+const REPLACED_REASON = 'Not in the restored backup';
+
+/**
+ * Validate the records in an import file, dropping invalid ones and any
+ * repeated ids (the first copy wins)
+ */
+function validateImportRecords(data) {
+  const valid = [];
+  const invalid = [];
+  const seen = new Set();
+
+  data.forEach((record, index) => {
+    const errors = validateRecord(record);
+    if (errors.length === 0 && seen.has(record.id)) {
+      errors.push('Duplicate id within the file');
+    }
+
+    if (errors.length > 0) {
+      invalid.push({ index, id: record && record.id, cowName: record && record.cowName, errors });
+    } else {
+      seen.add(record.id);
+      valid.push(record);
+    }
+  });
+
+  return { valid, invalid };
+}
+
+/**
+ * Import database from an encrypted backup bundle or a plain JSON array
+ * (older exports). Bundles are decrypted with `passphrase` and refused if
+ * they fail the manifest check.
+ * Records from older builds are upgraded to the current schema first.
+ * `mode` is 'replace', 'merge' or 'dedupe' (see importPlan.js). With
+ * `dryRun` nothing is written and the returned plan is a preview;
+ * `resolutions` settles the conflicts that preview listed.
+ */
+export async function importDatabase(jsonData, { actor, passphrase, mode = 'replace', dryRun = false, resolutions = {} } = {}) {
   try {
-    const data = JSON.parse(jsonData);
-    if (Array.isArray(data)) {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
-      return { success: true, count: data.length };
+    let data;
+    try {
+      data = JSON.parse(jsonData);
+    } catch {
+      return { success: false, error: 'File is not valid JSON; it may be incomplete or corrupted' };
     }
-    return { success: false, error: 'Invalid format' };
+
+    if (isBackupBundle(data)) {
+      data = await openBackupBundle(data, passphrase);
+    } else if (!Array.isArray(data)) {
+      return { success: false, error: 'Invalid format' };
+    }
+
+    const { valid, invalid } = validateImportRecords(data);
+    const outdated = valid.filter(needsMigration);
+    const upgrade = outdated.length > 0
+      ? await migrateInWorker(outdated)
+      : { records: [], migrated: 0 };
+    const upgraded = new Map(upgrade.records.map(record => [record.id, record]));
+    const records = valid.map(record => upgraded.get(record.id) || record);
+    const { migrated } = upgrade;
+    const flagged = records.filter(record => record.needsReenrollment).length;
+
+    const existing = await Promise.all(
+      (await getAllCattle({ includeArchived: true })).map(record => stampRevision(toStoredRecord(record)))
+    );
+    const plan = planImport(existing, await Promise.all(records.map(stampRevision)), { mode, resolutions });
+    const { put: toWrite, ...preview } = plan;
+    const result = { success: true, dryRun, ...preview, invalid, migrated, flagged, count: toWrite.length };
+
+    if (dryRun) {
+      return result;
+    }
+
+    // Added records holding a certificate ID already issued here get a new
+    // one, numbered after every ID in the file
+    await syncCertificateSequences(toWrite);
+    const reissueIds = new Set(plan.reissue.map(r => r.id));
+    const put = [];
+    for (const record of toWrite) {
+      if (reissueIds.has(record.id)) {
+        const certificateId = await allocateCertificateId(new Date(record.createdAt || Date.now()).getFullYear());
+        put.push({ ...record, certificateId, previousCertificateId: record.certificateId });
+      } else {
+        put.push(record);
+      }
+    }
+
+    // Records a restore leaves out are deleted the usual way, with a
+    // tombstone, so they can still be restored or purged later
+    const removedIds = new Set(plan.removed.map(r => r.id));
+    const tombstones = existing
+      .filter(record => removedIds.has(record.id))
+      .map(before => {
+        const entry = statusEntry('archived', { reason: REPLACED_REASON, actor });
+        return {
+          before,
+          after: {
+            ...before,
+            status: 'archived',
+            statusHistory: [...(before.statusHistory || []), entry],
+            deletion: { reason: REPLACED_REASON, deletedAt: entry.at, deletedBy: actor || '' },
+            updatedAt: entry.at
+          }
+        };
+      });
+
+    // One audit entry per record, with its state before and after
+    const existingById = new Map(existing.map(record => [record.id, record]));
+    const reason = `Backup import (${mode})`;
+    const audits = [
+      ...put.map(after => ({
+        action: 'import',
+        cattleId: after.id,
+        before: existingById.get(after.id) || null,
+        after,
+        actor,
+        reason: reissueIds.has(after.id)
+          ? `${reason}; certificate ${after.previousCertificateId} is held by another animal here`
+          : reason
+      })),
+      ...tombstones.map(({ before, after }) => ({
+        action: 'delete',
+        cattleId: after.id,
+        before,
+        after,
+        actor,
+        reason: REPLACED_REASON
+      }))
+    ];
+
+    if (audits.length > 0) {
+      await commitChange({ put: [...put, ...tombstones.map(t => t.after)] }, audits);
+    }
+    return result;
   } catch (error) {
     return { success: false, error: error.message };
   }
 }
+
+/**
+ * Get audit log entries in order, optionally only those touching one animal
+ */
+export async function getAuditTrail(cattleId) {
+  const adapter = await getAdapter();
+  const entries = await adapter.list(STORES.AUDIT);
+
+  if (!cattleId) {
+    return entries;
+  }
+  return entries.filter(e =>
+    e.cattleId === cattleId || (Array.isArray(e.cattleIds) && e.cattleIds.includes(cattleId))
+  );
+}
+
+/**
+ * Verify the hash chain of the whole audit log, including that no entries
+ * were cut off the end
+ */
+export async function verifyAuditLog() {
+  const entries = await getAuditTrail();
+  const result = await verifyAuditChain(entries);
+
+  if (result.valid) {
+    const head = (await getMeta(AUDIT_HEAD_KEY)) || { sequence: 0, hash: GENESIS_HASH };
+    const last = entries[entries.length - 1];
+    if ((last ? last.hash : GENESIS_HASH) !== head.hash) {
+      return {
+        ...result,
+        valid: false,
+        brokenAt: head.sequence,
+        problem: 'Entries are missing from the end of the log'
+      };
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,88 @@
+/**
+ * Image processing jobs
+ *
+ * The work the capture pages hand to the image worker (imageWorker.js,
+ * started by imageWorkerClient.js). Each job takes a payload and an
+ * onProgress callback ({ label, fraction }) and returns a result that can be
+ * posted back to the page:
+ *   process - enrollment capture: templates, pipeline images and quality
+ *   analyze - scan: query templates and quality (analyzeQueryImage)
+ *   score   - an analysed `query` scored against `cattle`, optionally
+ *             narrowed by observed `attributes` (scoreCattle)
+ *   verify  - ownership transfer and re-enrollment: does an analysed
+ *             `query` identify `cattleId` among `cattle` (verifyIdentity)
+ *   consistency - do an animal's enrollment capture `templates` agree
+ *             (checkCaptureConsistency)
+ *   duplicates - is an animal being enrolled from `templates` already
+ *             among `cattle` (checkEnrollmentDuplicates)
+ *   calibrate - fit a match calibration on enrolled `samples`
+ *             (collectCalibrationPairs)
+ *   migrate - upgrade `records` to the current schema (migrateRecords),
+ *             decoding muzzle images and capture photos from `images`
+ *             (record id or captureImageKey -> Blob) or the records' and
+ *             captures' own image URLs
+ * `score`, `verify`, `consistency` and `duplicates` take the registry's `calibration`
+ * (see calibration.js).
+ * Scans are analysed and scored in separate jobs so the page can look up
+ * candidate `cattle` in the search index in between. Jobs may return a
+ * promise.
+ */
+
+import { fitCalibration } from './calibration';
+import { PIPELINE_VERSION, imageDataFromBlob, processMuzzleImageData, progressRange } from './imageProcessing';
+import {
+  analyzeQueryImage,
+  checkCaptureConsistency,
+  checkEnrollmentDuplicates,
+  collectCalibrationPairs,
+  scoreCattle,
+  verifyIdentity
+} from './matching';
+import { assessImageQuality } from './quality';
+import { migrateRecords } from './schema';
+import { captureImageKey } from './templates';
+
+function processCapture({ imageData }, onProgress) {
+  const result = processMuzzleImageData(imageData, { onProgress: progressRange(onProgress, 0, 0.9) });
+
+  onProgress({ label: 'Checking photo quality', fraction: 0.9 });
+  return { ...result, quality: assessImageQuality(imageData, result.roi) };
+}
+
+function calibrateMatcher({ samples }, onProgress) {
+  const pairs = collectCalibrationPairs(samples, { onProgress: progressRange(onProgress, 0, 0.95) });
+
+  onProgress({ label: 'Fitting calibration', fraction: 0.95 });
+  return { ...fitCalibration(pairs), pipelineVersion: PIPELINE_VERSION };
+}
+
+async function migrateStoredRecords({ records, images = new Map() }, onProgress) {
+  // The record's muzzle image, or with `template` that capture's photo
+  const loadImageData = async (record, template = null) => {
+    const url = template ? template.image : record.muzzleImage;
+    let blob = images.get(template ? captureImageKey(record.id, template.id) : record.id) || null;
+    if (!blob && url) {
+      const response = await fetch(url);
+      if (!response.ok) return null;
+      blob = await response.blob();
+    }
+    return blob ? imageDataFromBlob(blob) : null;
+  };
+
+  return migrateRecords(records, { loadImageData, onProgress });
+}
+
+export const IMAGE_JOBS = {
+  process: processCapture,
+  analyze: ({ imageData }, onProgress) => analyzeQueryImage(imageData, { onProgress }),
+  score: ({ query, cattle, calibration, attributes }, onProgress) =>
+    scoreCattle(query, cattle, { calibration, attributes, onProgress }),
+  verify: ({ query, cattle, cattleId, calibration }, onProgress) =>
+    verifyIdentity(query, cattle, cattleId, { calibration, onProgress }),
+  consistency: ({ templates, calibration }, onProgress) =>
+    checkCaptureConsistency(templates, { calibration, onProgress }),
+  duplicates: ({ templates, cattle, calibration }, onProgress) =>
+    checkEnrollmentDuplicates(templates, cattle, { calibration, onProgress }),
+  calibrate: calibrateMatcher,
+  migrate: migrateStoredRecords
+};
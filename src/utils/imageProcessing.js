@@ -3,70 +3,178 @@
  * Implements cow-specific detection, duplicate detection, and optimized matching
  */
 
+import { cropToROI, detectMuzzleROI } from './roi';
+import { segmentMuzzle } from './segmentation';
+
+// Length of the vector produced by extractFeatureVector
+export const FEATURE_VECTOR_LENGTH = 28;
+
+// Images whose pHash and dHash both differ by at most this many of their
+// 64 bits are treated as the same photo (re-saved, rescaled or re-exposed)
+export const PHASH_DUPLICATE_DISTANCE = 10;
+export const DHASH_DUPLICATE_DISTANCE = 10;
+
+const HASH_BITS = 64;
+
 /**
- * Calculate image perceptual hash (pHash) for duplicate detection
- * Returns a 64-character binary string for better precision
+ * Grayscale downsample to width x height by averaging each source block
  */
-export function calculatePerceptualHash(imageData) {
-  const { width, height } = imageData;
-  
-  // Resize to 64x64 for better hash precision
-  const size = 64;
-  const resized = new Float32Array(size * size);
-  
-  const scaleX = width / size;
-  const scaleY = height / size;
-  
-  for (let y = 0; y < size; y++) {
+function downsampleGray(imageData, width, height) {
+  const { data, width: srcWidth, height: srcHeight } = imageData;
+  const sums = new Float64Array(width * height);
+  const counts = new Uint32Array(width * height);
+
+  for (let y = 0; y < srcHeight; y++) {
+    const ty = Math.min(height - 1, Math.floor(y * height / srcHeight));
+    for (let x = 0; x < srcWidth; x++) {
+      const tx = Math.min(width - 1, Math.floor(x * width / srcWidth));
+      const idx = (y * srcWidth + x) * 4;
+      sums[ty * width + tx] += 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+      counts[ty * width + tx]++;
+    }
+  }
+
+  for (let i = 0; i < sums.length; i++) {
+    sums[i] = counts[i] ? sums[i] / counts[i] : 0;
+  }
+  return sums;
+}
+
+// 64 booleans -> 16 hex characters
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+/**
+ * DCT perceptual hash: the signs of the lowest 8x8 frequencies of a 32x32
+ * thumbnail relative to their median. Unaffected by overall brightness and
+ * contrast, and tolerant of rescaling and recompression.
+ * Returns 16 hex characters (64 bits).
+ */
+export function calculatePHash(imageData) {
+  const size = 32;
+  const low = 8;
+  const pixels = downsampleGray(imageData, size, size);
+
+  const cosines = new Float64Array(low * size);
+  for (let u = 0; u < low; u++) {
     for (let x = 0; x < size; x++) {
-      const srcX = Math.floor(x * scaleX);
-      const srcY = Math.floor(y * scaleY);
-      const idx = (srcY * width + srcX) * 4;
-      const gray = 0.299 * imageData.data[idx] + 0.587 * imageData.data[idx + 1] + 0.114 * imageData.data[idx + 2];
-      resized[y * size + x] = gray;
+      cosines[u * size + x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size));
     }
   }
-  
-  // Calculate mean
-  let sum = 0;
-  for (let i = 0; i < size * size; i++) {
-    sum += resized[i];
+
+  // Separable 2D DCT-II, keeping only the low frequencies
+  const rows = new Float64Array(size * low);
+  for (let y = 0; y < size; y++) {
+    for (let u = 0; u < low; u++) {
+      let sum = 0;
+      for (let x = 0; x < size; x++) {
+        sum += pixels[y * size + x] * cosines[u * size + x];
+      }
+      rows[y * low + u] = sum;
+    }
   }
-  const mean = sum / (size * size);
-  
-  // Generate hash based on comparison with mean
-  let hash = '';
-  for (let i = 0; i < size * size; i++) {
-    hash += resized[i] > mean ? '1' : '0';
+
+  const coefficients = new Float64Array(low * low);
+  for (let v = 0; v < low; v++) {
+    for (let u = 0; u < low; u++) {
+      let sum = 0;
+      for (let y = 0; y < size; y++) {
+        sum += rows[y * low + u] * cosines[v * size + y];
+      }
+      coefficients[v * low + u] = sum;
+    }
   }
-  
-  return hash;
+
+  // Median of the AC terms; the DC term only reflects overall brightness
+  const ac = Array.from(coefficients.subarray(1)).sort((a, b) => a - b);
+  const median = ac[Math.floor(ac.length / 2)];
+
+  return bitsToHex(Array.from(coefficients, c => (c > median ? 1 : 0)));
 }
 
 /**
- * Calculate Hamming distance between two perceptual hashes
- * Returns 0-4096 (0 = identical, 4096 = completely different)
+ * Difference hash: whether brightness rises or falls between neighbouring
+ * cells of a 9x8 thumbnail. Returns 16 hex characters (64 bits).
+ */
+export function calculateDHash(imageData) {
+  const pixels = downsampleGray(imageData, 9, 8);
+  const bits = [];
+
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits.push(pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1 : 0);
+    }
+  }
+
+  return bitsToHex(bits);
+}
+
+/**
+ * Perceptual hashes for duplicate detection: { phash, dhash }
+ */
+export function calculatePerceptualHash(imageData) {
+  return {
+    phash: calculatePHash(imageData),
+    dhash: calculateDHash(imageData)
+  };
+}
+
+/**
+ * Whether a stored hash is in the current { phash, dhash } form (older
+ * records kept a 4096-character bit string)
+ */
+export function isImageHash(hash) {
+  const isHex64 = value => typeof value === 'string' && /^[0-9a-f]{16}$/.test(value);
+  return Boolean(hash) && isHex64(hash.phash) && isHex64(hash.dhash);
+}
+
+function popcount32(n) {
+  n = n - ((n >>> 1) & 0x55555555);
+  n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+  return Math.imul((n + (n >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+/**
+ * Calculate Hamming distance between two 64-bit hex hashes
+ * Returns 0-64 (0 = identical, 64 = completely different)
  */
 export function hammingDistance(hash1, hash2) {
-  if (hash1.length !== hash2.length) return hash1.length;
-  
+  if (hash1.length !== hash2.length) return HASH_BITS;
+
   let distance = 0;
-  for (let i = 0; i < hash1.length; i++) {
-    if (hash1[i] !== hash2[i]) distance++;
+  for (let i = 0; i < hash1.length; i += 8) {
+    const a = parseInt(hash1.slice(i, i + 8), 16);
+    const b = parseInt(hash2.slice(i, i + 8), 16);
+    distance += popcount32((a ^ b) >>> 0);
   }
-  
+
   return distance;
 }
 
 /**
- * Check if two images are duplicates based on perceptual hash
+ * Check if two images are duplicates from their { phash, dhash } hashes.
+ * Both hashes must agree (see PHASH_DUPLICATE_DISTANCE and
+ * DHASH_DUPLICATE_DISTANCE): pHash alone matches different close-ups with
+ * similar overall shading, dHash alone is thrown by small shifts.
+ * Hashes in an older format never count as duplicates.
  */
-export function areImagesDuplicate(hash1, hash2, threshold = 150) {
-  const distance = hammingDistance(hash1, hash2);
+export function areImagesDuplicate(hash1, hash2) {
+  if (!isImageHash(hash1) || !isImageHash(hash2)) {
+    return { isDuplicate: false, phashDistance: null, dhashDistance: null, similarity: 0 };
+  }
+
+  const phashDistance = hammingDistance(hash1.phash, hash2.phash);
+  const dhashDistance = hammingDistance(hash1.dhash, hash2.dhash);
   return {
-    isDuplicate: distance <= threshold,
-    distance,
-    similarity: 100 - (distance / 4096 * 100)
+    isDuplicate: phashDistance <= PHASH_DUPLICATE_DISTANCE && dhashDistance <= DHASH_DUPLICATE_DISTANCE,
+    phashDistance,
+    dhashDistance,
+    similarity: 100 - ((phashDistance + dhashDistance) / (2 * HASH_BITS)) * 100
   };
 }
 
@@ -514,10 +622,28 @@ function getValidationMessage(score, isFace, isObject, hasDetail) {
   return '❌ Not a valid cow muzzle print';
 }
 
+/**
+ * Throw unless `image` is an RGBA image: { data, width, height } with
+ * width * height * 4 values in data (ImageData or a stage's output)
+ */
+export function assertImageData(image, context = 'Image') {
+  if (!image || typeof image !== 'object') {
+    throw new TypeError(`${context}: expected { data, width, height }, got ${image === null ? 'null' : typeof image}`);
+  }
+  const { data, width, height } = image;
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+    throw new TypeError(`${context}: width and height must be positive integers (got ${width}×${height})`);
+  }
+  if (!data || data.length !== width * height * 4) {
+    throw new TypeError(`${context}: data must hold ${width * height * 4} RGBA values (got ${data ? data.length : 'none'})`);
+  }
+}
+
 /**
  * Convert image data to grayscale
  */
 export function toGrayscale(imageData) {
+  assertImageData(imageData, 'toGrayscale');
   const { data, width, height } = imageData;
   const grayData = new Uint8ClampedArray(data.length);
   
@@ -533,63 +659,120 @@ export function toGrayscale(imageData) {
 }
 
 /**
- * Apply CLAHE-like contrast enhancement
+ * Clip a tile histogram at `limit` counts per bin and share the clipped
+ * excess evenly over all bins (the remainder one count per bin, spread
+ * across the range), so the tile's pixel count is preserved
  */
-export function applyCLAHE(imageData, clipLimit = 2.0, tileSize = 8) {
+function clipHistogram(histogram, limit) {
+  let excess = 0;
+  for (let i = 0; i < 256; i++) {
+    if (histogram[i] > limit) {
+      excess += histogram[i] - limit;
+      histogram[i] = limit;
+    }
+  }
+
+  const share = Math.floor(excess / 256);
+  const remainder = excess - share * 256;
+  for (let i = 0; i < 256; i++) {
+    histogram[i] += share;
+  }
+  if (remainder > 0) {
+    const step = 256 / remainder;
+    for (let k = 0; k < remainder; k++) {
+      histogram[Math.floor(k * step)]++;
+    }
+  }
+}
+
+/**
+ * Apply CLAHE (contrast limited adaptive histogram equalisation) to a
+ * grayscale image.
+ *
+ * The image is split into a grid of tiles covering every pixel; `tileSize`
+ * is the number of tiles across and down, or [columns, rows]. Each tile's
+ * histogram is clipped at `clipLimit` times the mean bin count with the
+ * excess redistributed, and each pixel is mapped by bilinearly blending
+ * the equalisation of the four nearest tile centres, so no seams appear at
+ * tile borders.
+ */
+export function applyCLAHE(imageData, options = {}) {
+  assertImageData(imageData, 'applyCLAHE');
+  if (typeof options !== 'object' || options === null) {
+    throw new TypeError('applyCLAHE: options must be { clipLimit, tileSize }');
+  }
+  const { clipLimit = 2.0, tileSize = 8 } = options;
+  const [gridColumns, gridRows] = Array.isArray(tileSize) ? tileSize : [tileSize, tileSize];
+  if (!Number.isInteger(gridColumns) || !Number.isInteger(gridRows) || gridColumns < 1 || gridRows < 1) {
+    throw new TypeError('applyCLAHE: tileSize must be a positive whole number of tiles or [columns, rows]');
+  }
+  if (!(clipLimit >= 1)) {
+    throw new TypeError('applyCLAHE: clipLimit must be at least 1');
+  }
+
   const { data, width, height } = imageData;
-  const result = new Uint8ClampedArray(data.length);
-  
-  const tileWidth = Math.floor(width / tileSize);
-  const tileHeight = Math.floor(height / tileSize);
-  
-  for (let ty = 0; ty < tileSize; ty++) {
-    for (let tx = 0; tx < tileSize; tx++) {
-      const startX = tx * tileWidth;
-      const startY = ty * tileHeight;
-      const endX = Math.min(startX + tileWidth, width);
-      const endY = Math.min(startY + tileHeight, height);
-      
-      const histogram = new Array(256).fill(0);
-      let pixelCount = 0;
-      
+  const columns = Math.min(gridColumns, width);
+  const rows = Math.min(gridRows, height);
+  const tileWidth = width / columns;
+  const tileHeight = height / rows;
+
+  // Equalisation lookup table for each tile
+  const luts = [];
+  for (let ty = 0; ty < rows; ty++) {
+    const startY = Math.floor(ty * tileHeight);
+    const endY = Math.floor((ty + 1) * tileHeight);
+    for (let tx = 0; tx < columns; tx++) {
+      const startX = Math.floor(tx * tileWidth);
+      const endX = Math.floor((tx + 1) * tileWidth);
+
+      const histogram = new Uint32Array(256);
       for (let y = startY; y < endY; y++) {
         for (let x = startX; x < endX; x++) {
-          const idx = (y * width + x) * 4;
-          histogram[data[idx]]++;
-          pixelCount++;
+          histogram[data[(y * width + x) * 4]]++;
         }
       }
-      
-      const clipLimitCount = Math.floor((clipLimit * pixelCount) / 256);
+
+      const pixelCount = (endX - startX) * (endY - startY);
+      clipHistogram(histogram, Math.max(1, Math.floor((clipLimit * pixelCount) / 256)));
+
+      const lut = new Uint8Array(256);
+      let cdf = 0;
       for (let i = 0; i < 256; i++) {
-        if (histogram[i] > clipLimitCount) {
-          histogram[i] = clipLimitCount;
-        }
-      }
-      
-      const cdf = new Array(256).fill(0);
-      cdf[0] = histogram[0];
-      for (let i = 1; i < 256; i++) {
-        cdf[i] = cdf[i - 1] + histogram[i];
-      }
-      
-      const cdfMin = cdf.find(val => val > 0) || 0;
-      const scale = (255 * 256) / (pixelCount - cdfMin);
-      
-      for (let y = startY; y < endY; y++) {
-        for (let x = startX; x < endX; x++) {
-          const idx = (y * width + x) * 4;
-          const grayValue = data[idx];
-          const newValue = Math.floor(((cdf[grayValue] - cdfMin) * scale) / 256);
-          result[idx] = Math.max(0, Math.min(255, newValue));
-          result[idx + 1] = result[idx];
-          result[idx + 2] = result[idx];
-          result[idx + 3] = data[idx + 3];
-        }
+        cdf += histogram[i];
+        lut[i] = Math.round((cdf * 255) / pixelCount);
       }
+      luts.push(lut);
     }
   }
-  
+
+  // Blend the mappings of the four tiles whose centres surround each pixel;
+  // pixels beyond the outermost centres use the nearest tiles only
+  const result = new Uint8ClampedArray(data.length);
+  for (let y = 0; y < height; y++) {
+    const fy = Math.min(rows - 1, Math.max(0, (y + 0.5) / tileHeight - 0.5));
+    const ty0 = Math.floor(fy);
+    const ty1 = Math.min(rows - 1, ty0 + 1);
+    const wy = fy - ty0;
+
+    for (let x = 0; x < width; x++) {
+      const fx = Math.min(columns - 1, Math.max(0, (x + 0.5) / tileWidth - 0.5));
+      const tx0 = Math.floor(fx);
+      const tx1 = Math.min(columns - 1, tx0 + 1);
+      const wx = fx - tx0;
+
+      const idx = (y * width + x) * 4;
+      const value = data[idx];
+      const top = luts[ty0 * columns + tx0][value] * (1 - wx) + luts[ty0 * columns + tx1][value] * wx;
+      const bottom = luts[ty1 * columns + tx0][value] * (1 - wx) + luts[ty1 * columns + tx1][value] * wx;
+      const mapped = Math.round(top * (1 - wy) + bottom * wy);
+
+      result[idx] = mapped;
+      result[idx + 1] = mapped;
+      result[idx + 2] = mapped;
+      result[idx + 3] = data[idx + 3];
+    }
+  }
+
   return { data: result, width, height };
 }
 
@@ -597,6 +780,7 @@ export function applyCLAHE(imageData, clipLimit = 2.0, tileSize = 8) {
  * Apply Gaussian blur for noise reduction
  */
 export function applyGaussianBlur(imageData) {
+  assertImageData(imageData, 'applyGaussianBlur');
   const { data, width, height } = imageData;
   const result = new Uint8ClampedArray(data.length);
   
@@ -630,11 +814,70 @@ export function applyGaussianBlur(imageData) {
   return { data: result, width, height };
 }
 
+// Image processing pipeline. A pipeline is a list of { stage, params } steps
+// naming PIPELINE_STAGES; `params` lists the options each stage accepts.
+const PIPELINE_STAGES = {
+  grayscale: { run: toGrayscale, params: [] },
+  blur: { run: applyGaussianBlur, params: [] },
+  clahe: { run: applyCLAHE, params: ['clipLimit', 'tileSize'] }
+};
+
+/**
+ * The pipeline every template is extracted from. Enrollment, matching and
+ * migrations all run it through processMuzzleImageData, so enroll-time and
+ * match-time features are always comparable. Bump PIPELINE_VERSION when it
+ * changes; records store the version their templates were extracted with.
+ */
+export const MUZZLE_PIPELINE = Object.freeze([
+  { stage: 'grayscale', params: {} },
+  { stage: 'blur', params: {} },
+  { stage: 'clahe', params: { clipLimit: 2.0, tileSize: 8 } }
+]);
+export const PIPELINE_VERSION = 2;
+
+/**
+ * Throw unless every step names a known stage with options it accepts
+ */
+export function validatePipeline(pipeline) {
+  if (!Array.isArray(pipeline) || pipeline.length === 0) {
+    throw new TypeError('Pipeline must be a non-empty list of stages');
+  }
+  pipeline.forEach(({ stage, params = {} }, index) => {
+    const definition = PIPELINE_STAGES[stage];
+    if (!definition) {
+      throw new TypeError(`Pipeline step ${index + 1}: unknown stage "${stage}"`);
+    }
+    const unknown = Object.keys(params).filter(name => !definition.params.includes(name));
+    if (unknown.length > 0) {
+      throw new TypeError(`Pipeline step ${index + 1} (${stage}): unknown option ${unknown.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Run `imageData` through a pipeline. Returns the final image as `output`
+ * and every stage's result, in order, as `stages: [{ stage, params, imageData }]`.
+ */
+export function runPipeline(imageData, pipeline = MUZZLE_PIPELINE) {
+  validatePipeline(pipeline);
+  assertImageData(imageData, 'runPipeline');
+
+  const stages = [];
+  let current = imageData;
+  for (const { stage, params = {} } of pipeline) {
+    current = PIPELINE_STAGES[stage].run(current, params);
+    stages.push({ stage, params, imageData: current });
+  }
+
+  return { output: current, stages };
+}
+
 /**
  * Extract optimized feature vector from processed muzzle image
  */
-export function extractFeatureVector(imageData, width, height) {
-  const { data } = imageData;
+export function extractFeatureVector(imageData) {
+  assertImageData(imageData, 'extractFeatureVector');
+  const { data, width, height } = imageData;
   
   const grayData = new Float32Array(width * height);
   for (let i = 0; i < width * height; i++) {
@@ -797,26 +1040,580 @@ export function calculateSimilarity(vector1, vector2) {
   return Math.max(0, Math.min(100, combinedSim * 100));
 }
 
+// Local features: oriented FAST keypoints with rotated BRIEF descriptors
+// (ORB-style), matched with a ratio test and verified with a RANSAC
+// homography. Unlike the global feature vector they survive rotation,
+// scale changes and partial framing of the muzzle.
+
+const PYRAMID_LEVELS = 4;
+const PYRAMID_SCALE = 1.3;
+const FAST_THRESHOLD = 20;
+const MAX_KEYPOINTS = 250;
+const PATCH_RADIUS = 15;
+// Rotated sample pairs reach PATCH_RADIUS * sqrt(2), plus the 5x5 smoothing box
+const KEYPOINT_BORDER = 24;
+const DESCRIPTOR_WORDS = 8; // 256 bits
+const KEYPOINT_BYTES = 8 + DESCRIPTOR_WORDS * 4;
+
+// Largest descriptor distance (of 256 bits) accepted as a candidate match
+const MAX_DESCRIPTOR_DISTANCE = 64;
+export const KEYPOINT_RATIO = 0.8;
+export const RANSAC_THRESHOLD = 6;
+const RANSAC_ITERATIONS = 500;
+
+// FAST-9 circle of radius 3
+const FAST_CIRCLE = [
+  [0, -3], [1, -3], [2, -2], [3, -1], [3, 0], [3, 1], [2, 2], [1, 3],
+  [0, 3], [-1, 3], [-2, 2], [-3, 1], [-3, 0], [-3, -1], [-2, -2], [-1, -3]
+];
+
+// Small seeded generator so sampling patterns and RANSAC are reproducible
+export function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+// Fixed BRIEF test pairs: Gaussian around the patch centre (sigma = patch / 5)
+const BRIEF_PAIRS = (() => {
+  const random = seededRandom(0x0b1d);
+  const sigma = (2 * PATCH_RADIUS + 1) / 5;
+  const sample = () => {
+    const gaussian = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    return Math.max(-PATCH_RADIUS + 2, Math.min(PATCH_RADIUS - 2, Math.round(gaussian * sigma)));
+  };
+  return Array.from({ length: DESCRIPTOR_WORDS * 32 }, () => [sample(), sample(), sample(), sample()]);
+})();
+
+function toLuma(imageData) {
+  const { data, width, height } = imageData;
+  const luma = new Float32Array(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return luma;
+}
+
+function resizeLuma(src, width, height, newWidth, newHeight) {
+  const out = new Float32Array(newWidth * newHeight);
+  const scaleX = width / newWidth;
+  const scaleY = height / newHeight;
+
+  for (let y = 0; y < newHeight; y++) {
+    const sy = Math.min(height - 1.001, (y + 0.5) * scaleY - 0.5);
+    const y0 = Math.max(0, Math.floor(sy));
+    const fy = Math.max(0, sy - y0);
+    for (let x = 0; x < newWidth; x++) {
+      const sx = Math.min(width - 1.001, (x + 0.5) * scaleX - 0.5);
+      const x0 = Math.max(0, Math.floor(sx));
+      const fx = Math.max(0, sx - x0);
+      const i = y0 * width + x0;
+      out[y * newWidth + x] =
+        src[i] * (1 - fx) * (1 - fy) + src[i + 1] * fx * (1 - fy) +
+        src[i + width] * (1 - fx) * fy + src[i + width + 1] * fx * fy;
+    }
+  }
+  return out;
+}
+
+function integralImage(luma, width, height) {
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += luma[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+  return integral;
+}
+
+// Mean of the 5x5 box centred on (x, y)
+function boxMean(integral, width, x, y) {
+  const stride = width + 1;
+  const x0 = x - 2;
+  const y0 = y - 2;
+  return (integral[(y0 + 5) * stride + x0 + 5] - integral[y0 * stride + x0 + 5] -
+    integral[(y0 + 5) * stride + x0] + integral[y0 * stride + x0]) / 25;
+}
+
+function isFastCorner(luma, width, x, y) {
+  const centre = luma[y * width + x];
+  const high = centre + FAST_THRESHOLD;
+  const low = centre - FAST_THRESHOLD;
+
+  // An arc of 9 always covers at least two of the four compass points
+  let brighter = 0;
+  let darker = 0;
+  for (let k = 0; k < 16; k += 4) {
+    const value = luma[(y + FAST_CIRCLE[k][1]) * width + x + FAST_CIRCLE[k][0]];
+    if (value > high) brighter++;
+    else if (value < low) darker++;
+  }
+  if (brighter < 2 && darker < 2) return false;
+
+  let brightRun = 0;
+  let darkRun = 0;
+  for (let k = 0; k < 16 + 9; k++) {
+    const [dx, dy] = FAST_CIRCLE[k % 16];
+    const value = luma[(y + dy) * width + x + dx];
+    brightRun = value > high ? brightRun + 1 : 0;
+    darkRun = value < low ? darkRun + 1 : 0;
+    if (brightRun >= 9 || darkRun >= 9) return true;
+  }
+  return false;
+}
+
+// Harris corner response over a 7x7 window, used to rank FAST corners
+function harrisResponse(luma, width, x, y) {
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  for (let dy = -3; dy <= 3; dy++) {
+    for (let dx = -3; dx <= 3; dx++) {
+      const i = (y + dy) * width + x + dx;
+      const gx = (luma[i + 1] - luma[i - 1]) / 2;
+      const gy = (luma[i + width] - luma[i - width]) / 2;
+      sxx += gx * gx;
+      syy += gy * gy;
+      sxy += gx * gy;
+    }
+  }
+  return sxx * syy - sxy * sxy - 0.04 * (sxx + syy) * (sxx + syy);
+}
+
+// Orientation from the intensity centroid of the circular patch
+function keypointAngle(luma, width, x, y) {
+  let m01 = 0;
+  let m10 = 0;
+  for (let dy = -PATCH_RADIUS; dy <= PATCH_RADIUS; dy++) {
+    const span = Math.floor(Math.sqrt(PATCH_RADIUS * PATCH_RADIUS - dy * dy));
+    for (let dx = -span; dx <= span; dx++) {
+      const value = luma[(y + dy) * width + x + dx];
+      m10 += dx * value;
+      m01 += dy * value;
+    }
+  }
+  return Math.atan2(m01, m10);
+}
+
+function briefDescriptor(integral, width, x, y, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const descriptor = new Uint32Array(DESCRIPTOR_WORDS);
+
+  BRIEF_PAIRS.forEach(([x1, y1, x2, y2], bit) => {
+    const a = boxMean(integral, width,
+      x + Math.round(x1 * cos - y1 * sin), y + Math.round(x1 * sin + y1 * cos));
+    const b = boxMean(integral, width,
+      x + Math.round(x2 * cos - y2 * sin), y + Math.round(x2 * sin + y2 * cos));
+    if (a < b) {
+      descriptor[bit >> 5] |= 1 << (bit & 31);
+    }
+  });
+
+  return descriptor;
+}
+
+function detectLevelKeypoints(luma, width, height, limit) {
+  const candidates = [];
+  const scores = new Float32Array(width * height);
+
+  for (let y = KEYPOINT_BORDER; y < height - KEYPOINT_BORDER; y++) {
+    for (let x = KEYPOINT_BORDER; x < width - KEYPOINT_BORDER; x++) {
+      if (isFastCorner(luma, width, x, y)) {
+        const score = harrisResponse(luma, width, x, y);
+        scores[y * width + x] = score;
+        candidates.push({ x, y, score });
+      }
+    }
+  }
+
+  // Non-maximum suppression over 3x3 neighbourhoods
+  const kept = candidates.filter(({ x, y, score }) => {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if ((dx || dy) && scores[(y + dy) * width + x + dx] > score) return false;
+      }
+    }
+    return true;
+  });
+
+  return kept.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
 /**
- * Process muzzle image through full pipeline
+ * Detect oriented keypoints across an image pyramid and describe each with
+ * a 256-bit rotated BRIEF descriptor. Works on the enhanced grayscale image.
+ * Keypoints are { x, y, angle, octave, descriptor } in full-image pixels.
  */
-export function processMuzzleImage(canvas) {
-  const ctx = canvas.getContext('2d');
-  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-  
-  const validation = validateMuzzleImage(imageData);
-  
-  let processed = toGrayscale(imageData);
-  processed = applyGaussianBlur({ data: processed, width: canvas.width, height: canvas.height });
-  processed = applyCLAHE({ data: processed, width: canvas.width, height: canvas.height }, 2.0, 8);
-  
-  const featureVector = extractFeatureVector({ data: processed, width: canvas.width, height: canvas.height });
-  const perceptualHash = calculatePerceptualHash(imageData);
-  
+export function extractKeypoints(imageData, maxKeypoints = MAX_KEYPOINTS) {
+  let luma = toLuma(imageData);
+  let width = imageData.width;
+  let height = imageData.height;
+
+  // Share of keypoints per level follows each level's area
+  const weights = Array.from({ length: PYRAMID_LEVELS }, (_, level) => PYRAMID_SCALE ** (-2 * level));
+  const totalWeight = weights.reduce((a, b) => a + b, 0);
+  const keypoints = [];
+
+  for (let octave = 0; octave < PYRAMID_LEVELS; octave++) {
+    if (width < 2 * KEYPOINT_BORDER + 8 || height < 2 * KEYPOINT_BORDER + 8) break;
+
+    const scale = PYRAMID_SCALE ** octave;
+    const limit = Math.round(maxKeypoints * weights[octave] / totalWeight);
+    const integral = integralImage(luma, width, height);
+
+    detectLevelKeypoints(luma, width, height, limit).forEach(({ x, y }) => {
+      const angle = keypointAngle(luma, width, x, y);
+      keypoints.push({
+        x: x * scale,
+        y: y * scale,
+        angle,
+        octave,
+        descriptor: briefDescriptor(integral, width, x, y, angle)
+      });
+    });
+
+    const nextWidth = Math.round(width / PYRAMID_SCALE);
+    const nextHeight = Math.round(height / PYRAMID_SCALE);
+    luma = resizeLuma(luma, width, height, nextWidth, nextHeight);
+    width = nextWidth;
+    height = nextHeight;
+  }
+
+  return keypoints;
+}
+
+/**
+ * Pack keypoints into a base64 string for storage on a record
+ */
+export function encodeKeypointTemplate(keypoints) {
+  const bytes = new Uint8Array(keypoints.length * KEYPOINT_BYTES);
+  const view = new DataView(bytes.buffer);
+
+  keypoints.forEach((kp, i) => {
+    const offset = i * KEYPOINT_BYTES;
+    view.setUint16(offset, Math.round(kp.x), true);
+    view.setUint16(offset + 2, Math.round(kp.y), true);
+    view.setInt16(offset + 4, Math.round(kp.angle * 10000), true);
+    view.setUint8(offset + 6, kp.octave);
+    for (let w = 0; w < DESCRIPTOR_WORDS; w++) {
+      view.setUint32(offset + 8 + w * 4, kp.descriptor[w], true);
+    }
+  });
+
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Unpack a stored keypoint template (see encodeKeypointTemplate)
+ */
+export function decodeKeypointTemplate(template) {
+  if (typeof template !== 'string' || template === '') return [];
+
+  const binary = atob(template);
+  const view = new DataView(new ArrayBuffer(binary.length));
+  for (let i = 0; i < binary.length; i++) {
+    view.setUint8(i, binary.charCodeAt(i));
+  }
+
+  const keypoints = [];
+  for (let offset = 0; offset + KEYPOINT_BYTES <= binary.length; offset += KEYPOINT_BYTES) {
+    const descriptor = new Uint32Array(DESCRIPTOR_WORDS);
+    for (let w = 0; w < DESCRIPTOR_WORDS; w++) {
+      descriptor[w] = view.getUint32(offset + 8 + w * 4, true);
+    }
+    keypoints.push({
+      x: view.getUint16(offset, true),
+      y: view.getUint16(offset + 2, true),
+      angle: view.getInt16(offset + 4, true) / 10000,
+      octave: view.getUint8(offset + 6),
+      descriptor
+    });
+  }
+  return keypoints;
+}
+
+function descriptorDistance(a, b) {
+  let distance = 0;
+  for (let w = 0; w < DESCRIPTOR_WORDS; w++) {
+    distance += popcount32((a[w] ^ b[w]) >>> 0);
+  }
+  return distance;
+}
+
+// Solve the n x n system A x = b in place (partial pivoting); null if singular
+function solveLinearSystem(A, b) {
+  const n = b.length;
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-10) return null;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    [b[col], b[pivot]] = [b[pivot], b[col]];
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = A[row][col] / A[col][col];
+      for (let k = col; k < n; k++) A[row][k] -= factor * A[col][k];
+      b[row] -= factor * b[col];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+    x[row] = sum / A[row][row];
+  }
+  return x;
+}
+
+/**
+ * Homography (row-major 3x3, h33 = 1) mapping `from` points onto `to`
+ * points. Exact for 4 pairs, least squares for more; null if degenerate.
+ */
+function estimateHomography(pairs) {
+  const AtA = Array.from({ length: 8 }, () => new Array(8).fill(0));
+  const Atb = new Array(8).fill(0);
+
+  pairs.forEach(({ from, to }) => {
+    const rows = [
+      [[from.x, from.y, 1, 0, 0, 0, -from.x * to.x, -from.y * to.x], to.x],
+      [[0, 0, 0, from.x, from.y, 1, -from.x * to.y, -from.y * to.y], to.y]
+    ];
+    rows.forEach(([row, value]) => {
+      for (let i = 0; i < 8; i++) {
+        Atb[i] += row[i] * value;
+        for (let j = 0; j < 8; j++) AtA[i][j] += row[i] * row[j];
+      }
+    });
+  });
+
+  const h = solveLinearSystem(AtA, Atb);
+  return h ? [...h, 1] : null;
+}
+
+function projectPoint(H, { x, y }) {
+  const w = H[6] * x + H[7] * y + H[8];
+  return { x: (H[0] * x + H[1] * y + H[2]) / w, y: (H[3] * x + H[4] * y + H[5]) / w };
+}
+
+// Reject reflections and implausible zoom between two photos of a muzzle
+function isPlausibleHomography(H) {
+  const det = H[0] * H[4] - H[1] * H[3];
+  return det > 1 / 16 && det < 16;
+}
+
+function countInliers(H, pairs) {
+  const inliers = [];
+  pairs.forEach((pair, index) => {
+    const p = projectPoint(H, pair.from);
+    if (Math.hypot(p.x - pair.to.x, p.y - pair.to.y) <= RANSAC_THRESHOLD) {
+      inliers.push(index);
+    }
+  });
+  return inliers;
+}
+
+/**
+ * Match two keypoint sets: nearest-neighbour descriptor matches that pass
+ * Lowe's ratio test, geometrically verified with a RANSAC homography.
+ * Returns { matchCount, inlierCount, homography } where the homography maps
+ * `query` coordinates onto `train` coordinates (null below 4 inliers).
+ */
+export function matchKeypoints(query, train) {
+  const candidates = [];
+
+  query.forEach((q, queryIndex) => {
+    let best = Infinity;
+    let second = Infinity;
+    let bestIndex = -1;
+    train.forEach((t, trainIndex) => {
+      const distance = descriptorDistance(q.descriptor, t.descriptor);
+      if (distance < best) {
+        second = best;
+        best = distance;
+        bestIndex = trainIndex;
+      } else if (distance < second) {
+        second = distance;
+      }
+    });
+
+    if (bestIndex >= 0 && best <= MAX_DESCRIPTOR_DISTANCE && best < KEYPOINT_RATIO * second) {
+      candidates.push({ queryIndex, trainIndex: bestIndex, distance: best });
+    }
+  });
+
+  // Each train keypoint keeps only its closest query match
+  const byTrain = new Map();
+  candidates.forEach(match => {
+    const existing = byTrain.get(match.trainIndex);
+    if (!existing || match.distance < existing.distance) byTrain.set(match.trainIndex, match);
+  });
+  const pairs = [...byTrain.values()].map(m => ({ from: query[m.queryIndex], to: train[m.trainIndex] }));
+
+  const result = { matchCount: pairs.length, inlierCount: 0, homography: null };
+  if (pairs.length < 4) return result;
+
+  const random = seededRandom(pairs.length);
+  let bestInliers = [];
+  let bestHomography = null;
+
+  for (let iteration = 0; iteration < RANSAC_ITERATIONS; iteration++) {
+    const sample = new Set();
+    while (sample.size < 4) sample.add(Math.floor(random() * pairs.length));
+
+    const H = estimateHomography([...sample].map(i => pairs[i]));
+    if (!H || !isPlausibleHomography(H)) continue;
+
+    const inliers = countInliers(H, pairs);
+    if (inliers.length > bestInliers.length) {
+      bestInliers = inliers;
+      bestHomography = H;
+      if (inliers.length > 0.9 * pairs.length) break;
+    }
+  }
+
+  if (bestInliers.length < 4) return result;
+
+  // Refit on all inliers
+  const refined = estimateHomography(bestInliers.map(i => pairs[i]));
+  if (refined && isPlausibleHomography(refined)) {
+    const refinedInliers = countInliers(refined, pairs);
+    if (refinedInliers.length >= bestInliers.length) {
+      return { ...result, inlierCount: refinedInliers.length, homography: refined };
+    }
+  }
+
+  return { ...result, inlierCount: bestInliers.length, homography: bestHomography };
+}
+
+// Steps processMuzzleImageData reports to onProgress, in order
+const PROCESSING_STEPS = [
+  'Locating muzzle',
+  'Validating muzzle',
+  'Enhancing image',
+  'Extracting keypoints',
+  'Segmenting ridges',
+  'Extracting features'
+];
+
+/**
+ * Map progress reports ({ label, fraction } with fraction 0-1) of one part
+ * of a longer job onto the range from..to of the whole job
+ */
+export function progressRange(onProgress, from, to) {
+  if (!onProgress) return null;
+  return ({ label, fraction }) => onProgress({ label, fraction: from + (to - from) * fraction });
+}
+
+/**
+ * Process muzzle image data through full pipeline. The muzzle region is
+ * detected, cropped and deskewed first unless `roi` says where it is (as
+ * stored on records whose image was cropped at capture); the crop is run
+ * through MUZZLE_PIPELINE and every template is extracted from the result.
+ *
+ * Returns the crop (`muzzle`), the pipeline's intermediate images (`stages`)
+ * and final image (`processedData`), the extracted templates, the
+ * segmentation (for drawing) and the `pipelineVersion` they came from.
+ * `onProgress` is called with { label, fraction } before each step.
+ */
+export function processMuzzleImageData(imageData, { roi = null, onProgress = null } = {}) {
+  assertImageData(imageData, 'processMuzzleImageData');
+  const report = step => onProgress && onProgress({
+    label: PROCESSING_STEPS[step],
+    fraction: step / PROCESSING_STEPS.length
+  });
+
+  report(0);
+  const region = roi || detectMuzzleROI(imageData);
+  const muzzle = cropToROI(imageData, region);
+
+  report(1);
+  const validation = validateMuzzleImage(muzzle);
+  report(2);
+  const { output: processed, stages } = runPipeline(muzzle);
+
+  report(3);
+  const keypoints = extractKeypoints(processed);
+  report(4);
+  const segmentation = segmentMuzzle(processed);
+
+  report(5);
   return {
+    muzzle,
+    stages,
     processedData: processed,
-    featureVector,
+    featureVector: extractFeatureVector(processed),
     validation,
-    perceptualHash
+    perceptualHash: calculatePerceptualHash(muzzle),
+    keypoints,
+    keypointTemplate: encodeKeypointTemplate(keypoints),
+    segmentation,
+    ridgeTemplate: segmentation.template,
+    roi: region,
+    pipelineVersion: PIPELINE_VERSION
   };
 }
+
+/**
+ * Process muzzle image through full pipeline
+ */
+export function processMuzzleImage(canvas) {
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  return processMuzzleImageData(imageData);
+}
+
+/**
+ * Encode pixels ({ data, width, height }) as a PNG data URL. Page only.
+ */
+export function imageDataToDataUrl({ data, width, height }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Decode an image blob into ImageData, scaled so the longest side is at most
+ * maxSize (the same limit the capture pages use). Works on the page and in
+ * the image worker (OffscreenCanvas); returns null outside a browser.
+ */
+export async function imageDataFromBlob(blob, maxSize = 800) {
+  const hasCanvas = typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined';
+  if (typeof createImageBitmap === 'undefined' || !hasCanvas) {
+    return null;
+  }
+
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  let canvas;
+  if (typeof OffscreenCanvas !== 'undefined') {
+    canvas = new OffscreenCanvas(width, height);
+  } else {
+    canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+  }
+
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
@@ -0,0 +1,32 @@
+/**
+ * Dedicated worker running image jobs (see imageJobs.js) off the main
+ * thread, so capture pages stay responsive on low-end phones.
+ *
+ * Messages in:  { id, job, payload }
+ * Messages out: { id, type: 'progress', progress: { label, fraction } }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', message }
+ */
+
+import { IMAGE_JOBS } from './imageJobs';
+
+// Pixel buffers in a result are moved back to the page rather than copied
+function pixelBuffers(result) {
+  const images = [result.muzzle, result.processedData, ...(result.stages || []).map(s => s.imageData)];
+  return [...new Set(images.filter(image => image && image.data).map(image => image.data.buffer))];
+}
+
+self.onmessage = async ({ data: { id, job, payload } }) => {
+  const run = IMAGE_JOBS[job];
+  if (!run) {
+    self.postMessage({ id, type: 'error', message: `Unknown image job "${job}"` });
+    return;
+  }
+
+  try {
+    const result = await run(payload, progress => self.postMessage({ id, type: 'progress', progress }));
+    self.postMessage({ id, type: 'result', result }, pixelBuffers(result));
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
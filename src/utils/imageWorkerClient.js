@@ -0,0 +1,138 @@
+/**
+ * Page-side access to the image worker
+ *
+ * runImageJob queues a job for a shared worker (imageWorker.js), which runs
+ * one job at a time, transferring the photo's pixel buffer instead of
+ * copying it, and resolves with the job's result. Progress reports arrive
+ * through onProgress. Aborting `signal` drops a job that is still queued;
+ * a job can't be interrupted once started, so aborting the running job
+ * terminates the worker and the jobs queued behind it carry on in a fresh
+ * one. Where workers aren't available the job runs on the main thread.
+ */
+
+import { IMAGE_JOBS } from './imageJobs';
+
+let worker = null;
+let nextJobId = 1;
+
+// Jobs waiting for the worker, oldest first, and the one it is running
+const queuedJobs = [];
+let runningJob = null;
+
+function abortError() {
+  const error = new Error('Image processing was cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+export function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
+function stopWorker() {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+}
+
+// Stop listening for a job's abort once it has left the queue
+function releaseJob(job) {
+  if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+}
+
+// Settle the running job with `settle(job)` and start the next one
+function finishRunningJob(settle) {
+  const job = runningJob;
+  runningJob = null;
+  releaseJob(job);
+  settle(job);
+  runNextJob();
+}
+
+function getWorker() {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('./imageWorker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    if (!runningJob || data.id !== runningJob.id) return;
+
+    if (data.type === 'progress') {
+      if (runningJob.onProgress) runningJob.onProgress(data.progress);
+    } else if (data.type === 'result') {
+      finishRunningJob(job => job.resolve(data.result));
+    } else {
+      finishRunningJob(job => job.reject(new Error(data.message)));
+    }
+  };
+  worker.onerror = event => {
+    event.preventDefault();
+    stopWorker();
+    if (runningJob) {
+      const error = new Error(event.message || 'Image worker stopped unexpectedly');
+      finishRunningJob(job => job.reject(error));
+    }
+  };
+  return worker;
+}
+
+function runNextJob() {
+  if (runningJob || queuedJobs.length === 0) return;
+
+  runningJob = queuedJobs.shift();
+  const { id, job, payload } = runningJob;
+  const transfer = payload.imageData ? [payload.imageData.data.buffer] : [];
+  getWorker().postMessage({ id, job, payload }, transfer);
+}
+
+function abortJob(job) {
+  if (runningJob === job) {
+    stopWorker();
+    finishRunningJob(running => running.reject(abortError()));
+    return;
+  }
+
+  const index = queuedJobs.indexOf(job);
+  if (index !== -1) {
+    queuedJobs.splice(index, 1);
+    releaseJob(job);
+    job.reject(abortError());
+  }
+}
+
+async function runOnMainThread(job, payload, { onProgress, signal }) {
+  // Let the page paint its progress state before the thread is busy
+  await new Promise(resolve => setTimeout(resolve, 0));
+  if (signal && signal.aborted) throw abortError();
+
+  const result = await IMAGE_JOBS[job](payload, progress => onProgress && onProgress(progress));
+  if (signal && signal.aborted) throw abortError();
+  return result;
+}
+
+/**
+ * Run an image job (see imageJobs.js). `payload.imageData` is transferred to
+ * the worker and can't be used by the caller afterwards.
+ */
+export function runImageJob(job, payload, { onProgress = null, signal = null } = {}) {
+  if (!IMAGE_JOBS[job]) {
+    return Promise.reject(new Error(`Unknown image job "${job}"`));
+  }
+  if (signal && signal.aborted) {
+    return Promise.reject(abortError());
+  }
+  if (typeof Worker === 'undefined') {
+    return runOnMainThread(job, payload, { onProgress, signal });
+  }
+
+  return new Promise((resolve, reject) => {
+    const queued = { id: nextJobId++, job, payload, resolve, reject, onProgress, signal };
+    if (signal) {
+      queued.onAbort = () => abortJob(queued);
+      signal.addEventListener('abort', queued.onAbort, { once: true });
+    }
+
+    queuedJobs.push(queued);
+    runNextJob();
+  });
+}
@@ -0,0 +1,253 @@
+/**
+ * Planning for registry imports
+ *
+ * Compares incoming (already migrated) records with the registry and works
+ * out what an import would add, update, skip or remove. Storage lives in
+ * database.js; this module only builds plans, so the same plan can be shown
+ * as a dry-run preview and then applied.
+ *
+ * Modes:
+ *   replace - the imported records replace the registry's; records not in
+ *             the file are deleted (archived with a tombstone)
+ *   merge   - records are matched by id; new ids are added
+ *   dedupe  - as merge, but new ids whose muzzle biometrics match an
+ *             enrolled animal are held back as duplicate conflicts
+ *
+ * Records carry `revisionHashes`, the content hashes of their saved states
+ * (oldest first, see stampRevision). When both copies of a record differ,
+ * the one whose history contains the other's current state is the newer
+ * one; a record changed on both sides since their last common state is an
+ * edit conflict. Clocks on different devices don't come into it.
+ */
+
+import { diffRecords, hashContent } from './auditLog';
+import { areImagesDuplicate, calculateSimilarity } from './imageProcessing';
+import { hasCurrentFeatureVector } from './schema';
+
+export const IMPORT_MODES = ['replace', 'merge', 'dedupe'];
+
+// Feature vectors this close are treated as the same muzzle capture
+const DUPLICATE_VECTOR_SIMILARITY = 99.5;
+
+// Saved states of a record kept in its revision history
+export const REVISION_HISTORY_LENGTH = 50;
+
+function withoutImage(template) {
+  const { image: _image, hasStoredImage: _hasStoredImage, ...rest } = template;
+  return rest;
+}
+
+// Image fields, the record's and its captures', are stored separately and
+// not compared; the revision history describes the content rather than
+// being part of it
+function comparable(record) {
+  const {
+    muzzleImage: _muzzleImage,
+    hasStoredImage: _hasStoredImage,
+    revisionHashes: _revisionHashes,
+    ...rest
+  } = record;
+  ['templates', 'retiredTemplates'].forEach(field => {
+    if (Array.isArray(rest[field])) rest[field] = rest[field].map(withoutImage);
+  });
+  return rest;
+}
+
+function revisionHistory(record) {
+  return Array.isArray(record.revisionHashes) ? record.revisionHashes : [];
+}
+
+function headRevision(record) {
+  const history = revisionHistory(record);
+  return history[history.length - 1] || null;
+}
+
+/**
+ * The record with the hash of its current content at the end of its
+ * revision history. Every write stamps the record it stores.
+ */
+export async function stampRevision(record) {
+  const hash = await hashContent(comparable(record));
+  const history = revisionHistory(record);
+  if (history[history.length - 1] === hash) {
+    return record;
+  }
+  return { ...record, revisionHashes: [...history, hash].slice(-REVISION_HISTORY_LENGTH) };
+}
+
+// Incoming copy of a conflicting record, remembering the local states it
+// replaces so a later import of those isn't seen as a new edit
+function withMergedHistory(record, current) {
+  const incoming = new Set(revisionHistory(record));
+  const local = revisionHistory(current).filter(hash => !incoming.has(hash));
+  return {
+    ...record,
+    revisionHashes: [...local, ...revisionHistory(record)].slice(-REVISION_HISTORY_LENGTH)
+  };
+}
+
+export function summariseRecord(record) {
+  return {
+    id: record.id,
+    cowName: record.cowName,
+    ownerName: record.ownerName,
+    certificateId: record.certificateId || null
+  };
+}
+
+/**
+ * Find an enrolled animal whose muzzle biometrics match `record`
+ */
+function findBiometricDuplicate(record, candidates) {
+  for (const candidate of candidates) {
+    const { isDuplicate, similarity } = areImagesDuplicate(record.perceptualHash, candidate.perceptualHash);
+    if (isDuplicate) {
+      return { record: candidate, similarity };
+    }
+    if (hasCurrentFeatureVector(record) && hasCurrentFeatureVector(candidate)) {
+      const similarity = calculateSimilarity(record.featureVector, candidate.featureVector);
+      if (similarity >= DUPLICATE_VECTOR_SIMILARITY) {
+        return { record: candidate, similarity };
+      }
+    }
+  }
+  return null;
+}
+
+// Queue an added record for a new certificate ID if another animal holds its
+// one, then count that ID as taken
+function claimCertificateId(plan, certificateIds, record) {
+  if (record.certificateId && certificateIds.has(record.certificateId)) {
+    plan.reissue.push(summariseRecord(record));
+  }
+  certificateIds.add(record.certificateId);
+}
+
+/**
+ * Work out an import of `incoming` records into the `existing` registry.
+ *
+ * Both lists must already be stamped (see stampRevision).
+ *
+ * Conflicts are keyed by incoming record id. `resolutions` picks an outcome
+ * for each one:
+ *   edit conflicts (same id, changed on both sides): 'existing' | 'incoming'
+ *   duplicate conflicts (new id, same muzzle):       'skip' | 'add'
+ * Unresolved edit conflicts keep the existing record and unresolved
+ * duplicates are skipped, so nothing is overwritten without a decision.
+ * Copies older than the registry's are skipped.
+ *
+ * Returns the records to `put`, the records to delete (`removed`, replace
+ * mode only), added records whose certificate ID is already held by another
+ * animal (`reissue`, e.g. two devices that both issued UFUGAJI-2026-001)
+ * and the preview lists.
+ */
+export function planImport(existing, incoming, { mode = 'replace', resolutions = {} } = {}) {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new Error(`Unknown import mode "${mode}"`);
+  }
+
+  const existingById = new Map(existing.map(r => [r.id, r]));
+  const plan = {
+    mode,
+    put: [],
+    added: [],
+    updated: [],
+    unchanged: [],
+    skipped: [],
+    removed: [],
+    conflicts: [],
+    reissue: []
+  };
+
+  if (mode === 'replace') {
+    const incomingIds = new Set(incoming.map(r => r.id));
+    // Records missing from the file stay on as tombstones, keeping their
+    // certificate IDs
+    const left = existing.filter(r => !incomingIds.has(r.id));
+    const updates = incoming.filter(r => existingById.has(r.id));
+    const certificateIds = new Set([...left, ...updates].map(r => r.certificateId).filter(Boolean));
+
+    incoming.forEach(record => {
+      plan.put.push(record);
+      if (existingById.has(record.id)) {
+        plan.updated.push(summariseRecord(record));
+        return;
+      }
+      claimCertificateId(plan, certificateIds, record);
+      plan.added.push(summariseRecord(record));
+    });
+    // Records already deleted stay as they are
+    plan.removed = left.filter(r => !r.deletion).map(summariseRecord);
+    return plan;
+  }
+
+  // Newly added records are checked too, so a file can't add the same animal twice
+  const enrolled = [...existing];
+  const certificateIds = new Set(existing.map(r => r.certificateId).filter(Boolean));
+
+  incoming.forEach(record => {
+    const current = existingById.get(record.id);
+
+    if (!current) {
+      const duplicate = mode === 'dedupe' ? findBiometricDuplicate(record, enrolled) : null;
+
+      if (duplicate) {
+        const resolution = resolutions[record.id] || 'skip';
+        plan.conflicts.push({
+          type: 'duplicate',
+          id: record.id,
+          incoming: summariseRecord(record),
+          existing: summariseRecord(duplicate.record),
+          similarity: duplicate.similarity,
+          resolution
+        });
+        if (resolution !== 'add') {
+          plan.skipped.push(summariseRecord(record));
+          return;
+        }
+      }
+
+      claimCertificateId(plan, certificateIds, record);
+      plan.put.push(record);
+      plan.added.push(summariseRecord(record));
+      enrolled.push(record);
+      return;
+    }
+
+    const changes = diffRecords(comparable(current), comparable(record));
+    if (Object.keys(changes).length === 0) {
+      plan.unchanged.push(summariseRecord(record));
+      return;
+    }
+
+    // A copy descended from ours is a plain update and one ours descends
+    // from is out of date; anything else was edited on both sides
+    if (revisionHistory(record).includes(headRevision(current))) {
+      plan.put.push(record);
+      plan.updated.push(summariseRecord(record));
+      return;
+    }
+    if (revisionHistory(current).includes(headRevision(record))) {
+      plan.skipped.push(summariseRecord(record));
+      return;
+    }
+
+    const resolution = resolutions[record.id] || 'existing';
+    plan.conflicts.push({
+      type: 'edit',
+      id: record.id,
+      incoming: summariseRecord(record),
+      existing: summariseRecord(current),
+      changes,
+      resolution
+    });
+    if (resolution === 'incoming') {
+      plan.put.push(withMergedHistory(record, current));
+      plan.updated.push(summariseRecord(record));
+    } else {
+      plan.skipped.push(summariseRecord(record));
+    }
+  });
+
+  return plan;
+}
@@ -0,0 +1,88 @@
+/**
+ * Promise helpers around the IndexedDB API
+ * Keeps database.js free of request/transaction event plumbing
+ */
+
+/**
+ * Resolve with the result of an IDBRequest
+ */
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve once a transaction has committed, reject if it errors or aborts
+ */
+export function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Open (and create or upgrade) a database with the given object stores.
+ * Stores use out-of-line keys so any value can be stored under any key.
+ * The connection closes itself when another tab upgrades the database, so
+ * it never blocks that upgrade; onVersionChange is then called.
+ */
+export function openDatabase(name, version, storeNames, { onVersionChange } = {}) {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      storeNames.forEach(storeName => {
+        if (!db.objectStoreNames.contains(storeName)) {
+          db.createObjectStore(storeName);
+        }
+      });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => {
+        db.close();
+        if (onVersionChange) onVersionChange();
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab; close the other tabs and reload'));
+  });
+}
+
+/**
+ * Run a callback inside a transaction and resolve with its return value
+ * once the transaction has committed.
+ * The callback must only await IndexedDB requests, otherwise the
+ * transaction auto-commits before it finishes.
+ */
+export async function withTransaction(db, storeNames, mode, callback) {
+  const tx = db.transaction(storeNames, mode);
+  const done = transactionDone(tx);
+
+  let result;
+  try {
+    result = await callback(tx);
+  } catch (error) {
+    try {
+      tx.abort();
+    } catch {
+      // Transaction already finished
+    }
+    done.catch(() => {});
+    throw error;
+  }
+
+  await done;
+  return result;
+}
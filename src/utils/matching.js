@@ -0,0 +1,404 @@
+/**
+ * Muzzle matching pipeline shared by the Matcher and identity checks
+ * (ownership transfer verification, enrollment duplicate checks)
+ */
+
+import {
+  applyLikelihoodRatio,
+  attributeLikelihoodRatio,
+  attributesCompatible,
+  hasQueryAttributes
+} from './attributes';
+import { DEFAULT_CALIBRATION, comparisonFields, matchProbability } from './calibration';
+import {
+  calculateSimilarity,
+  areImagesDuplicate,
+  decodeKeypointTemplate,
+  matchKeypoints,
+  processMuzzleImageData,
+  progressRange,
+  seededRandom
+} from './imageProcessing';
+import { assessImageQuality } from './quality';
+import { canonicalROI, isMuzzleROI } from './roi';
+import { hasCurrentFeatureVector } from './schema';
+import { compareRidgeTemplates } from './segmentation';
+import { createTemplate, matchableTemplates } from './templates';
+
+// RANSAC inliers needed before a keypoint homography is trusted to align beads
+const MIN_KEYPOINT_INLIERS = 12;
+
+// Simulated recaptures of each sample, and the other samples each is
+// compared with as an impostor
+const RECAPTURES_PER_SAMPLE = 2;
+const IMPOSTORS_PER_RECAPTURE = 8;
+
+/**
+ * Crop the muzzle region from a query image, assess and validate it and
+ * extract its features, perceptual hash, keypoints and ridge template with
+ * the same pipeline enrollment uses. `roi` locates the region in the
+ * original image for overlays and `muzzle` is the upright crop the
+ * templates came from; `template` is the scan as an enrollment template
+ * (see templates.js). `onProgress` receives { label, fraction }.
+ */
+export function analyzeQueryImage(imageData, { onProgress = null } = {}) {
+  const processed = processMuzzleImageData(imageData, { onProgress: progressRange(onProgress, 0, 0.9) });
+  const {
+    validation,
+    featureVector: queryFeatures,
+    perceptualHash: queryHash,
+    keypoints: queryKeypoints,
+    ridgeTemplate: queryRidges,
+    roi,
+    muzzle
+  } = processed;
+
+  if (onProgress) onProgress({ label: 'Checking photo quality', fraction: 0.9 });
+  const quality = assessImageQuality(imageData, roi);
+
+  return {
+    validation,
+    quality,
+    queryFeatures,
+    queryHash,
+    queryKeypoints,
+    queryRidges,
+    roi,
+    muzzle,
+    template: createTemplate(processed, new Date().toISOString())
+  };
+}
+
+/**
+ * Raw evidence that a query and an enrolled record show the same muzzle,
+ * before calibration: feature vector, bead signature and perceptual hash
+ * similarities (0-100; null when a template is missing), verified keypoint
+ * inliers with their homography, and the bead alignment.
+ */
+export function compareTemplates(query, cattle) {
+  const { queryFeatures, queryHash, queryKeypoints = [], queryRidges = null } = query;
+
+  // Geometrically verified keypoints tolerate rotation and scale that
+  // throw the global feature vector off
+  const keypoints = decodeKeypointTemplate(cattle.keypointTemplate);
+  const { inlierCount, homography } = keypoints.length > 0 && queryKeypoints.length > 0
+    ? matchKeypoints(queryKeypoints, keypoints)
+    : { inlierCount: 0, homography: null };
+
+  // The bead signature needs no alignment; bead alignment is only known
+  // once keypoints have given a trustworthy homography
+  const ridges = compareRidgeTemplates(
+    queryRidges,
+    cattle.ridgeTemplate,
+    inlierCount >= MIN_KEYPOINT_INLIERS ? homography : null
+  );
+
+  const hashes = areImagesDuplicate(queryHash, cattle.perceptualHash);
+
+  return {
+    vectorSimilarity: calculateSimilarity(queryFeatures, cattle.featureVector),
+    ridgeSimilarity: ridges.similarity,
+    hashSimilarity: hashes.phashDistance === null ? null : hashes.similarity,
+    isExactDuplicate: hashes.isDuplicate,
+    keypointInliers: inlierCount,
+    homography,
+    beadAlignment: ridges.alignment
+  };
+}
+
+/**
+ * Score a query against enrolled cattle, best match first.
+ * `matchPercentage` is the calibrated probability (as a percentage) that the
+ * scan shows that animal (see calibration.js), against whichever of its
+ * enrolled captures (`matchedTemplate` of `templateCount`) agrees best.
+ * Records whose template can't be compared are returned as `unmatchable`
+ * rather than scored as 0%.
+ * `attributes` ({ values, mode, statistics }, see attributes.js) are the
+ * animal's observed breed, sex, colour and county: in "hard" mode records
+ * contradicting them are left out (counted in `excluded`); in "soft" mode
+ * they update `matchPercentage` by their likelihood ratio
+ * (`attributeRatio`), with the muzzle alone as `biometricPercentage`.
+ * `onProgress` receives { label, fraction } as each record is compared.
+ */
+export function scoreCattle(
+  query,
+  allCattle,
+  { calibration = DEFAULT_CALIBRATION, attributes = null, onProgress = null } = {}
+) {
+  const observed = attributes && hasQueryAttributes(attributes.values) ? attributes : null;
+  const comparable = allCattle.filter(hasCurrentFeatureVector);
+  const unmatchable = allCattle.filter(c => !hasCurrentFeatureVector(c));
+  const cattle = observed && observed.mode === 'hard'
+    ? comparable.filter(c => attributesCompatible(c, observed.values))
+    : comparable;
+
+  const matches = cattle.map((cattle, index, all) => {
+    if (onProgress) onProgress({ label: 'Comparing with enrolled cattle', fraction: index / all.length });
+
+    // Each enrolled capture is compared and the best agreeing one counts
+    const templates = matchableTemplates(cattle);
+    let best = null;
+    templates.forEach((template, templateIndex) => {
+      const comparison = compareTemplates(query, template);
+      const probability = matchProbability(calibration, comparisonFields(comparison));
+      if (!best || probability > best.probability) {
+        best = { comparison, probability, templateIndex };
+      }
+    });
+    const { comparison, probability, templateIndex } = best;
+
+    const attributeRatio = observed && observed.mode === 'soft'
+      ? attributeLikelihoodRatio(cattle, observed.values, observed.statistics)
+      : null;
+
+    return {
+      ...cattle,
+      ...comparison,
+      matchedTemplate: templateIndex,
+      templateCount: templates.length,
+      matchPercentage: (attributeRatio === null ? probability : applyLikelihoodRatio(probability, attributeRatio)) * 100,
+      biometricPercentage: probability * 100,
+      attributeRatio
+    };
+  });
+
+  matches.sort((a, b) => b.matchPercentage - a.matchPercentage);
+
+  return { matches, unmatchable, excluded: comparable.length - cattle.length };
+}
+
+/**
+ * Minimum match percentage for each label, from the calibration's
+ * false-accept rate thresholds
+ */
+export function matchThresholds(calibration = DEFAULT_CALIBRATION) {
+  const { excellent, good, possible } = calibration.thresholds;
+  return { excellent: excellent * 100, good: good * 100, possible: possible * 100 };
+}
+
+export function getMatchLabel(percentage, calibration = DEFAULT_CALIBRATION) {
+  const thresholds = matchThresholds(calibration);
+  if (percentage >= thresholds.excellent) return { label: 'Excellent Match', class: 'excellent' };
+  if (percentage >= thresholds.good) return { label: 'Good Match', class: 'good' };
+  if (percentage >= thresholds.possible) return { label: 'Possible Match', class: 'possible' };
+  return { label: 'No Match', class: 'no-match' };
+}
+
+/**
+ * Check that a scan identifies a specific animal: it must be a photo of
+ * acceptable quality, the best match in the registry and reach the "Good
+ * Match" threshold. The result names the animal checked (`cattleId`) and
+ * its match `probability`, so the registry can confirm a verification was
+ * for the record it is changing (see transferOwnership).
+ */
+export function verifyIdentity(query, allCattle, cattleId, { calibration = DEFAULT_CALIBRATION, onProgress = null } = {}) {
+  const { matches, unmatchable } = scoreCattle(query, allCattle, { calibration, onProgress });
+  const required = matchThresholds(calibration).good;
+  const target = matches.find(m => m.id === cattleId) || null;
+  const topMatch = matches[0] || null;
+
+  let reason = null;
+  if (query.quality && !query.quality.acceptable) {
+    reason = `Photo quality is too low. ${query.quality.problems.join(' ')}`;
+  } else if (unmatchable.some(c => c.id === cattleId)) {
+    reason = 'This animal\'s biometric template is outdated and needs re-enrollment';
+  } else if (!target) {
+    reason = 'This animal has no biometric template on record';
+  } else if (topMatch.id !== cattleId) {
+    reason = `The scan matches "${topMatch.cowName}" (${topMatch.certificateId}) better than this animal`;
+  } else if (target.matchPercentage < required) {
+    reason = `Match score ${target.matchPercentage.toFixed(1)}% is below the ${required.toFixed(1)}% required`;
+  }
+
+  return {
+    verified: reason === null,
+    reason,
+    cattleId,
+    probability: target ? target.matchPercentage / 100 : 0,
+    matchPercentage: target ? target.matchPercentage : 0,
+    topMatch
+  };
+}
+
+// Query form of an enrolled template, so captures can be compared pairwise
+function templateAsQuery(template) {
+  return {
+    queryFeatures: template.featureVector,
+    queryHash: template.perceptualHash,
+    queryKeypoints: decodeKeypointTemplate(template.keypointTemplate),
+    queryRidges: template.ridgeTemplate
+  };
+}
+
+/**
+ * Check that an animal's enrollment captures (templates) agree with each
+ * other. Every pair is compared both ways; a capture agrees with another
+ * when either direction reaches the "Good Match" threshold, and it is an
+ * outlier when it agrees with fewer than half of the others. The reference
+ * capture is the one with the highest mean match probability.
+ * Returns { consistent, outliers, reference, captures: [{ agreesWith,
+ * meanProbability }] } (probabilities 0-1).
+ */
+export function checkCaptureConsistency(templates, { calibration = DEFAULT_CALIBRATION, onProgress = null } = {}) {
+  const queries = templates.map(templateAsQuery);
+  const probability = Array.from({ length: templates.length }, () => new Array(templates.length).fill(1));
+
+  const total = (templates.length * (templates.length - 1)) / 2;
+  let compared = 0;
+  for (let i = 0; i < templates.length; i++) {
+    for (let j = i + 1; j < templates.length; j++) {
+      if (onProgress) onProgress({ label: 'Comparing captures', fraction: compared++ / total });
+      const forward = matchProbability(calibration, comparisonFields(compareTemplates(queries[i], templates[j])));
+      const backward = matchProbability(calibration, comparisonFields(compareTemplates(queries[j], templates[i])));
+      probability[i][j] = probability[j][i] = Math.max(forward, backward);
+    }
+  }
+
+  const captures = probability.map((row, i) => {
+    const others = row.filter((_, j) => j !== i);
+    return {
+      agreesWith: others.filter(p => p >= calibration.thresholds.good).length,
+      meanProbability: others.length ? others.reduce((a, b) => a + b, 0) / others.length : 1
+    };
+  });
+  const outliers = captures
+    .map((capture, i) => (capture.agreesWith < (templates.length - 1) / 2 ? i : -1))
+    .filter(i => i >= 0);
+  const reference = captures.reduce(
+    (bestIndex, capture, i) => (capture.meanProbability > captures[bestIndex].meanProbability ? i : bestIndex),
+    0
+  );
+
+  return { consistent: outliers.length === 0, outliers, reference, captures };
+}
+
+// Most likely duplicates reported for an enrollment
+const MAX_DUPLICATE_CANDIDATES = 3;
+
+/**
+ * Check a new animal's enrollment captures (templates) against enrolled
+ * `cattle` for an animal already on record. Each capture is scored like a
+ * Matcher scan and every animal keeps its best score. The enrollment is
+ *   block  - an Excellent Match or the same photo: already enrolled
+ *   review - a Good Match: a supervisor must approve the enrollment
+ *   clear  - nothing reaches a Good Match
+ * Returns { decision, candidates } with the most likely duplicates
+ * (Good Match or better) best first.
+ */
+export function checkEnrollmentDuplicates(templates, cattle, { calibration = DEFAULT_CALIBRATION, onProgress = null } = {}) {
+  const best = new Map();
+  templates.forEach((template, index) => {
+    const { matches } = scoreCattle(templateAsQuery(template), cattle, {
+      calibration,
+      onProgress: progressRange(onProgress, index / templates.length, (index + 1) / templates.length)
+    });
+    matches.forEach(match => {
+      const current = best.get(match.id);
+      if (!current || match.matchPercentage > current.matchPercentage ||
+          (match.isExactDuplicate && !current.isExactDuplicate)) {
+        best.set(match.id, { ...match, matchedCapture: index });
+      }
+    });
+  });
+
+  const thresholds = matchThresholds(calibration);
+  const candidates = [...best.values()]
+    .filter(m => m.isExactDuplicate || m.matchPercentage >= thresholds.good)
+    .sort((a, b) => (b.isExactDuplicate - a.isExactDuplicate) || (b.matchPercentage - a.matchPercentage))
+    .slice(0, MAX_DUPLICATE_CANDIDATES);
+
+  const top = candidates[0];
+  let decision = 'clear';
+  if (top && (top.isExactDuplicate || top.matchPercentage >= thresholds.excellent)) {
+    decision = 'block';
+  } else if (top) {
+    decision = 'review';
+  }
+
+  return { decision, candidates };
+}
+
+/**
+ * A new photo of a sample's muzzle as a field capture would differ from the
+ * enrolled one: the crop shifted, turned and zoomed a little and the
+ * exposure changed
+ */
+function simulateRecapture({ imageData, roi }, random) {
+  const region = isMuzzleROI(roi) ? roi : canonicalROI(true);
+  const spread = amount => (random() * 2 - 1) * amount;
+  // Zoomed in far enough that the turned crop mostly stays on the photo
+  const scale = 0.8 + random() * 0.1;
+  const shift = (1 - scale) / 4;
+  const recaptureRoi = {
+    ...region,
+    centre: {
+      x: region.centre.x + spread(shift) * region.width,
+      y: region.centre.y + spread(shift) * region.height
+    },
+    width: region.width * scale,
+    height: region.height * scale,
+    angle: region.angle + spread(0.1)
+  };
+
+  const gain = 1 + spread(0.2);
+  const offset = spread(20);
+  const data = new Uint8ClampedArray(imageData.data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = imageData.data[i] * gain + offset;
+    data[i + 1] = imageData.data[i + 1] * gain + offset;
+    data[i + 2] = imageData.data[i + 2] * gain + offset;
+    data[i + 3] = imageData.data[i + 3];
+  }
+
+  const { featureVector, perceptualHash, keypoints, ridgeTemplate } = processMuzzleImageData(
+    { data, width: imageData.width, height: imageData.height },
+    { roi: recaptureRoi }
+  );
+  return { queryFeatures: featureVector, queryHash: perceptualHash, queryKeypoints: keypoints, queryRidges: ridgeTemplate };
+}
+
+/**
+ * Labelled pairs for fitCalibration from enrolled samples
+ * ([{ id, imageData, roi, featureVector, perceptualHash, keypointTemplate,
+ * ridgeTemplate, templates }]). Genuine pairs come from real recaptures
+ * where a sample was enrolled from several captures (`templates`, all from
+ * the current pipeline): each capture is compared with the others. A
+ * sample with fewer captures falls back to simulated recaptures of its
+ * photo compared with its own templates. Impostor pairs compare the same
+ * queries with other samples' templates.
+ */
+export function collectCalibrationPairs(samples, { onProgress = null } = {}) {
+  const random = seededRandom(0xca1b);
+  const pairs = [];
+  const impostors = Math.min(IMPOSTORS_PER_RECAPTURE, samples.length - 1);
+
+  samples.forEach((sample, index) => {
+    if (onProgress) onProgress({ label: 'Comparing recaptures', fraction: index / samples.length });
+
+    const captures = sample.templates || [];
+    const queries = captures.length >= 2
+      ? captures.map(capture => ({
+        query: templateAsQuery(capture),
+        sameAnimal: captures.filter(other => other !== capture)
+      }))
+      : Array.from({ length: RECAPTURES_PER_SAMPLE }, () => ({
+        query: simulateRecapture(sample, random),
+        sameAnimal: [sample]
+      }));
+
+    queries.forEach(({ query, sameAnimal }, recapture) => {
+      sameAnimal.forEach(template => {
+        pairs.push({ genuine: true, fields: comparisonFields(compareTemplates(query, template)) });
+      });
+
+      for (let offset = 1; offset <= impostors; offset++) {
+        // Rotate through the other samples so each recapture meets different ones
+        const other = samples[(index + recapture * impostors + offset) % samples.length];
+        if (other.id === sample.id) continue;
+        pairs.push({ genuine: false, fields: comparisonFields(compareTemplates(query, other)) });
+      }
+    });
+  });
+
+  return pairs;
+}
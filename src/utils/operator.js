@@ -0,0 +1,31 @@
+/**
+ * Name of the officer operating this device
+ * Recorded against registry changes; kept per device in localStorage
+ */
+
+const OPERATOR_KEY = 'ufugaji-bioid-operator';
+
+export function getOperatorName() {
+  if (typeof localStorage === 'undefined') return '';
+  return localStorage.getItem(OPERATOR_KEY) || '';
+}
+
+export function setOperatorName(name) {
+  localStorage.setItem(OPERATOR_KEY, name.trim());
+}
+
+/**
+ * Return the operator name, asking for it once if none is saved yet
+ */
+export function requireOperatorName() {
+  let name = getOperatorName();
+
+  if (!name) {
+    name = (window.prompt('Enter your name (recorded as the operator for registry changes):') || '').trim();
+    if (name) {
+      setOperatorName(name);
+    }
+  }
+
+  return name;
+}
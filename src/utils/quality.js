@@ -0,0 +1,229 @@
+/**
+ * Capture quality assessment
+ *
+ * validateMuzzleImage answers "is this a muzzle"; this module answers "is
+ * this photo good enough to enroll or match". Each check looks at the muzzle
+ * region at the resolution it was photographed at (not the resized crop):
+ *   focus      - variance of the Laplacian; low when blurred or shaken
+ *   exposure   - share of pixels clipped to black or white, and mean
+ *                brightness
+ *   glare      - share of specular highlights (bright, colourless spots
+ *                standing out from their surroundings, from a wet muzzle
+ *                or the flash)
+ *   resolution - size of the muzzle region in the photo, in pixels
+ * Every check passes, warns or fails with a message telling the operator
+ * what to do about it.
+ */
+
+import { cropToROI } from './roi';
+
+// Laplacian variance below these is blurred
+const FOCUS_FAIL = 40;
+const FOCUS_WARN = 100;
+
+// Share of pixels at the ends of the histogram
+const CLIP_DARK = 8;
+const CLIP_BRIGHT = 247;
+const CLIPPED_FAIL = 0.2;
+const CLIPPED_WARN = 0.06;
+
+// Mean brightness limits (dark fail/warn, bright warn/fail)
+const MEAN_DARK_FAIL = 30;
+const MEAN_DARK_WARN = 55;
+const MEAN_BRIGHT_WARN = 200;
+const MEAN_BRIGHT_FAIL = 225;
+
+// Specular highlights: near-white, nearly colourless and well above the
+// mean of their neighbourhood (so plain overexposure isn't counted as glare)
+const GLARE_BRIGHTNESS = 235;
+const GLARE_MAX_SATURATION = 25;
+const GLARE_CONTRAST = 40;
+const GLARE_RADIUS = 7;
+const GLARE_FAIL = 0.08;
+const GLARE_WARN = 0.025;
+
+// Height of the muzzle region in the photo, in pixels
+const RESOLUTION_FAIL = 100;
+const RESOLUTION_WARN = 150;
+
+// Larger regions are measured on a reduced copy
+const MAX_ASSESSMENT_WIDTH = 800;
+
+const STATUS_ORDER = ['pass', 'warn', 'fail'];
+
+function worse(a, b) {
+  return STATUS_ORDER.indexOf(a) >= STATUS_ORDER.indexOf(b) ? a : b;
+}
+
+function grade(value, fail, warn, higherIsBetter) {
+  if (higherIsBetter) {
+    if (value < fail) return 'fail';
+    return value < warn ? 'warn' : 'pass';
+  }
+  if (value > fail) return 'fail';
+  return value > warn ? 'warn' : 'pass';
+}
+
+function laplacianVariance(luma, width, height) {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = 4 * luma[i] - luma[i - 1] - luma[i + 1] - luma[i - width] - luma[i + width];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+function checkFocus(luma, width, height) {
+  const variance = laplacianVariance(luma, width, height);
+  const status = grade(variance, FOCUS_FAIL, FOCUS_WARN, true);
+  return {
+    id: 'focus',
+    label: 'Focus',
+    status,
+    value: Math.round(variance),
+    message: status === 'pass'
+      ? 'Sharp'
+      : 'Photo is blurry. Hold the phone steady, tap the muzzle to focus and wait for the animal to stand still.'
+  };
+}
+
+function checkExposure(luma) {
+  let dark = 0;
+  let bright = 0;
+  let total = 0;
+  for (let i = 0; i < luma.length; i++) {
+    total += luma[i];
+    if (luma[i] <= CLIP_DARK) dark++;
+    else if (luma[i] >= CLIP_BRIGHT) bright++;
+  }
+  const darkShare = dark / luma.length;
+  const brightShare = bright / luma.length;
+  const worst = Math.max(darkShare, brightShare);
+  const mean = total / luma.length;
+
+  const tooBright = mean > 128
+    ? grade(mean, MEAN_BRIGHT_FAIL, MEAN_BRIGHT_WARN, false)
+    : 'pass';
+  const tooDark = mean <= 128
+    ? grade(mean, MEAN_DARK_FAIL, MEAN_DARK_WARN, true)
+    : 'pass';
+  const status = worse(grade(worst, CLIPPED_FAIL, CLIPPED_WARN, false), worse(tooBright, tooDark));
+
+  let message = 'Well exposed';
+  if (status !== 'pass') {
+    message = brightShare > darkShare || mean > 128
+      ? 'Photo is overexposed. Move out of direct sunlight or shade the muzzle with your hand.'
+      : 'Photo is too dark. Move to better light or turn on the torch, keeping it off to the side.';
+  }
+
+  return {
+    id: 'exposure',
+    label: 'Exposure',
+    status,
+    value: Math.round(worst * 1000) / 10,
+    message
+  };
+}
+
+function checkGlare(data, luma, width, height) {
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += luma[y * width + x];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+    }
+  }
+
+  let specular = 0;
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - GLARE_RADIUS);
+    const y1 = Math.min(height, y + GLARE_RADIUS + 1);
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const max = Math.max(data[i], data[i + 1], data[i + 2]);
+      const min = Math.min(data[i], data[i + 1], data[i + 2]);
+      if (max < GLARE_BRIGHTNESS || max - min > GLARE_MAX_SATURATION) continue;
+
+      const x0 = Math.max(0, x - GLARE_RADIUS);
+      const x1 = Math.min(width, x + GLARE_RADIUS + 1);
+      const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] -
+        integral[y1 * stride + x0] + integral[y0 * stride + x0];
+      if (luma[y * width + x] >= sum / ((x1 - x0) * (y1 - y0)) + GLARE_CONTRAST) specular++;
+    }
+  }
+  const share = specular / (width * height);
+  const status = grade(share, GLARE_FAIL, GLARE_WARN, false);
+
+  return {
+    id: 'glare',
+    label: 'Glare',
+    status,
+    value: Math.round(share * 1000) / 10,
+    message: status === 'pass'
+      ? 'No glare'
+      : 'Shiny spots from a wet muzzle or flash. Wipe the muzzle dry and photograph without the flash.'
+  };
+}
+
+function checkResolution(roi) {
+  const regionHeight = Math.round(roi.height);
+  const status = grade(regionHeight, RESOLUTION_FAIL, RESOLUTION_WARN, true);
+
+  return {
+    id: 'resolution',
+    label: 'Resolution',
+    status,
+    value: `${Math.round(roi.width)}×${regionHeight}`,
+    message: status === 'pass'
+      ? 'Enough detail'
+      : 'Muzzle is too small in the photo. Move closer (15-30 cm) so the muzzle fills most of the frame.'
+  };
+}
+
+/**
+ * Assess a photo's muzzle region (from detectMuzzleROI).
+ * Returns { level, acceptable, checks, problems } where level is 'good',
+ * 'warning' or 'poor'; `acceptable` is false when any check failed, and
+ * `problems` lists the messages of checks that warned or failed.
+ */
+export function assessImageQuality(imageData, roi) {
+  const scale = Math.min(1, MAX_ASSESSMENT_WIDTH / roi.width);
+  const width = Math.max(3, Math.round(roi.width * scale));
+  const height = Math.max(3, Math.round(roi.height * scale));
+  const region = cropToROI(imageData, roi, width, height);
+
+  const luma = new Float32Array(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = 0.299 * region.data[i * 4] + 0.587 * region.data[i * 4 + 1] + 0.114 * region.data[i * 4 + 2];
+  }
+
+  const checks = [
+    checkFocus(luma, width, height),
+    checkExposure(luma),
+    checkGlare(region.data, luma, width, height),
+    checkResolution(roi)
+  ];
+
+  const failed = checks.some(c => c.status === 'fail');
+  const warned = checks.some(c => c.status === 'warn');
+
+  return {
+    level: failed ? 'poor' : warned ? 'warning' : 'good',
+    acceptable: !failed,
+    checks,
+    problems: checks.filter(c => c.status !== 'pass').map(c => c.message)
+  };
+}
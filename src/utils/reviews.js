@@ -0,0 +1,84 @@
+/**
+ * Supervisor review queue
+ *
+ * Borderline cases are parked for a supervisor instead of being settled by
+ * whoever is holding the phone:
+ *   duplicate - an enrollment whose captures match an animal on record at
+ *               a Good Match (see checkEnrollmentDuplicates)
+ *   quality   - an enrollment with captures below the photo quality bar
+ *   match     - a Matcher scan whose best match is only a Possible Match
+ * Each item holds what is needed to decide it: the new record's fields
+ * (`enrollment`) or the scan (`scan`: { image, template, matchPercentage })
+ * and the animals on record it may be (`candidates`).
+ *
+ * A supervisor other than whoever submitted the item approves, rejects or
+ * merges:
+ *   approve - enroll the animal; for a scan, confirm it shows the candidate
+ *   reject  - refuse the enrollment; for a scan, it shows none of them
+ *   merge   - the captures or scan are of the chosen candidate and are
+ *             added to its templates
+ * The decision is kept on the item and in the `reviewDecisions` of every
+ * record it concerns: { reviewId, kind, decision, by, at, reason,
+ * relatedId }.
+ */
+
+export const REVIEW_KINDS = ['duplicate', 'quality', 'match'];
+
+export const REVIEW_DECISIONS = ['approve', 'reject', 'merge'];
+
+// Status of a review once decided
+export const DECIDED_STATUSES = {
+  approve: 'approved',
+  reject: 'rejected',
+  merge: 'merged'
+};
+
+export function isEnrollmentReview(review) {
+  return review.kind === 'duplicate' || review.kind === 'quality';
+}
+
+export function isReviewDecision(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    (value.reviewId === null || typeof value.reviewId === 'string') &&
+    REVIEW_KINDS.includes(value.kind) &&
+    REVIEW_DECISIONS.includes(value.decision) &&
+    typeof value.by === 'string' &&
+    typeof value.at === 'string' &&
+    typeof value.reason === 'string' &&
+    (value.relatedId === null || typeof value.relatedId === 'string');
+}
+
+/**
+ * Whether `actor` submitted the review. Operator names are typed by hand,
+ * so case and surrounding spaces are ignored.
+ */
+export function isOwnReview(review, actor) {
+  const normalise = name => String(name || '').trim().toLowerCase();
+  return normalise(review.submittedBy) === normalise(actor);
+}
+
+/**
+ * Check `actor`'s decision on a pending review. Nobody decides a review
+ * they submitted. Merges, and confirmations of a scan, need the candidate
+ * it concerns.
+ */
+export function validateDecision(review, { decision, targetId = null, reason = '' }, actor) {
+  if (review.status !== 'pending') {
+    return `This review was already ${review.status}`;
+  }
+  if (isOwnReview(review, actor)) {
+    return 'A review must be decided by someone other than who submitted it';
+  }
+  if (!REVIEW_DECISIONS.includes(decision)) {
+    return `Unknown decision "${decision}"`;
+  }
+  if (!reason.trim()) {
+    return 'A reason for the decision is required';
+  }
+
+  const needsTarget = decision === 'merge' || (decision === 'approve' && review.kind === 'match');
+  if (needsTarget && !review.candidates.some(c => c.id === targetId)) {
+    return 'Choose which animal on record the decision concerns';
+  }
+  return null;
+}
@@ -0,0 +1,335 @@
+/**
+ * Muzzle region-of-interest detection
+ *
+ * Finds the two nostrils (the largest dark blobs that sit side by side) and
+ * takes the planum nasale between and above them as the muzzle region. The
+ * region is cropped and deskewed so the nostril line is horizontal, and
+ * resampled to a canonical size before any features are extracted, so
+ * background, nostrils, grass and camera tilt don't reach the templates.
+ * When no nostril pair is found the centre of the frame is used instead.
+ */
+
+// Size of the cropped, deskewed muzzle region handed to feature extraction
+export const ROI_WIDTH = 400;
+export const ROI_HEIGHT = 300;
+
+// Nostrils are searched for on a copy no wider or taller than this
+const DETECTION_SIZE = 200;
+
+// Share of the darkest pixels treated as nostril candidates
+const DARK_PERCENTILE = 0.12;
+
+// Nostril blob area limits as fractions of the frame
+const MIN_NOSTRIL_AREA = 0.001;
+const MAX_NOSTRIL_AREA = 0.15;
+
+// Nostril centres this far apart, as a fraction of the frame width
+const MIN_NOSTRIL_SPACING = 0.12;
+const MAX_NOSTRIL_SPACING = 0.95;
+
+// Nostrils are compact; longer blobs are shadows, stripes or fences
+const MAX_NOSTRIL_ELONGATION = 3;
+
+// Steepest nostril line accepted (a tilted camera, not a side view)
+const MAX_TILT = Math.PI / 4;
+
+// Planum nasale relative to the nostril spacing: the region spans the gap
+// between the nostrils and reaches this far above their centre line
+const PLANUM_REACH = 0.55;
+const MIN_PLANUM_WIDTH = 0.45;
+
+function toLuma(imageData, width, height) {
+  const { data } = imageData;
+  const scaleX = imageData.width / width;
+  const scaleY = imageData.height / height;
+  const luma = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(imageData.height - 1, Math.floor((y + 0.5) * scaleY));
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(imageData.width - 1, Math.floor((x + 0.5) * scaleX));
+      const i = (sy * imageData.width + sx) * 4;
+      luma[y * width + x] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+  }
+  return luma;
+}
+
+// 3x3 erosion (op = Math.min) or dilation (op = Math.max) of a binary mask
+function morph(mask, width, height, op) {
+  const out = new Uint8Array(mask.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let value = mask[y * width + x];
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = Math.min(width - 1, Math.max(0, x + dx));
+          const ny = Math.min(height - 1, Math.max(0, y + dy));
+          value = op(value, mask[ny * width + nx]);
+        }
+      }
+      out[y * width + x] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Compact dark blobs large enough to be nostrils. Thin dark ridges are
+ * removed by a morphological opening first.
+ */
+function findDarkBlobs(luma, width, height) {
+  const sorted = Float32Array.from(luma).sort();
+  const threshold = sorted[Math.floor(sorted.length * DARK_PERCENTILE)];
+
+  let mask = new Uint8Array(luma.length);
+  for (let i = 0; i < luma.length; i++) mask[i] = luma[i] <= threshold ? 1 : 0;
+  mask = morph(morph(mask, width, height, Math.min), width, height, Math.max);
+
+  const total = width * height;
+  const visited = new Uint8Array(total);
+  const stack = [];
+  const blobs = [];
+
+  for (let start = 0; start < total; start++) {
+    if (!mask[start] || visited[start]) continue;
+
+    let area = 0;
+    let sumX = 0;
+    let sumY = 0;
+    let sumLuma = 0;
+    let minX = width;
+    let maxX = 0;
+    let minY = height;
+    let maxY = 0;
+    visited[start] = 1;
+    stack.push(start);
+
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const x = i % width;
+      const y = (i - x) / width;
+      area++;
+      sumX += x;
+      sumY += y;
+      sumLuma += luma[i];
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+
+      [[x > 0, i - 1], [x < width - 1, i + 1], [y > 0, i - width], [y < height - 1, i + width]]
+        .forEach(([inside, j]) => {
+          if (inside && mask[j] && !visited[j]) {
+            visited[j] = 1;
+            stack.push(j);
+          }
+        });
+    }
+
+    const boxWidth = maxX - minX + 1;
+    const boxHeight = maxY - minY + 1;
+    const elongation = Math.max(boxWidth, boxHeight) / Math.min(boxWidth, boxHeight);
+
+    if (area >= total * MIN_NOSTRIL_AREA && area <= total * MAX_NOSTRIL_AREA &&
+        elongation <= MAX_NOSTRIL_ELONGATION) {
+      blobs.push({ x: sumX / area, y: sumY / area, area, darkness: 1 - sumLuma / area / 255 });
+    }
+  }
+
+  return blobs;
+}
+
+/**
+ * Best side-by-side pair of blobs: similar size, similar darkness, roughly
+ * level and a plausible distance apart. Returned left nostril first.
+ */
+function pickNostrilPair(blobs, width) {
+  let best = null;
+
+  for (let i = 0; i < blobs.length; i++) {
+    for (let j = i + 1; j < blobs.length; j++) {
+      const [left, right] = blobs[i].x <= blobs[j].x ? [blobs[i], blobs[j]] : [blobs[j], blobs[i]];
+      const dx = right.x - left.x;
+      const dy = right.y - left.y;
+      const spacing = Math.hypot(dx, dy) / width;
+      const tilt = Math.atan2(dy, dx);
+
+      if (spacing < MIN_NOSTRIL_SPACING || spacing > MAX_NOSTRIL_SPACING || Math.abs(tilt) > MAX_TILT) {
+        continue;
+      }
+
+      const sizeMatch = Math.min(left.area, right.area) / Math.max(left.area, right.area);
+      const level = 1 - Math.abs(tilt) / MAX_TILT;
+      const darkness = (left.darkness + right.darkness) / 2;
+      const size = Math.sqrt(left.area + right.area);
+      const score = sizeMatch * level * darkness * size;
+
+      if (!best || score > best.score) {
+        best = { left, right, score };
+      }
+    }
+  }
+
+  return best;
+}
+
+// Corners of a rectangle centred on `centre`, rotated by `angle`, clockwise
+// from top-left
+function rectanglePolygon(centre, width, height, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+    const x = (sx * width) / 2;
+    const y = (sy * height) / 2;
+    return { x: centre.x + x * cos - y * sin, y: centre.y + x * sin + y * cos };
+  });
+}
+
+// Largest centred rectangle with the canonical aspect ratio
+function centreRegion(width, height) {
+  const aspect = ROI_WIDTH / ROI_HEIGHT;
+  const regionWidth = Math.min(width, height * aspect);
+  return {
+    found: false,
+    nostrils: [],
+    centre: { x: width / 2, y: height / 2 },
+    width: regionWidth,
+    height: regionWidth / aspect,
+    angle: 0
+  };
+}
+
+/**
+ * Locate the muzzle in a photo. Returns, in the photo's pixel coordinates:
+ *   { found, nostrils: [{ x, y, radius }], centre, width, height, angle,
+ *     polygon: [{ x, y }] }
+ * `angle` is the tilt of the nostril line in radians and `polygon` the
+ * four corners of the region (clockwise from top-left of the deskewed crop).
+ * `found` is false when no nostril pair was detected and the centre of the
+ * frame was used.
+ */
+export function detectMuzzleROI(imageData) {
+  const { width, height } = imageData;
+  const scale = Math.min(1, DETECTION_SIZE / Math.max(width, height));
+  const smallWidth = Math.max(1, Math.round(width * scale));
+  const smallHeight = Math.max(1, Math.round(height * scale));
+
+  const luma = toLuma(imageData, smallWidth, smallHeight);
+  const pair = pickNostrilPair(findDarkBlobs(luma, smallWidth, smallHeight), smallWidth);
+
+  let region;
+  if (pair) {
+    const toFull = blob => ({
+      x: (blob.x + 0.5) / scale,
+      y: (blob.y + 0.5) / scale,
+      radius: Math.sqrt(blob.area / Math.PI) / scale
+    });
+    const left = toFull(pair.left);
+    const right = toFull(pair.right);
+
+    const spacing = Math.hypot(right.x - left.x, right.y - left.y);
+    const angle = Math.atan2(right.y - left.y, right.x - left.x);
+    const regionWidth = Math.max(spacing * MIN_PLANUM_WIDTH, spacing - left.radius - right.radius);
+    const regionHeight = (regionWidth * ROI_HEIGHT) / ROI_WIDTH;
+
+    // Upwards, perpendicular to the nostril line
+    const up = { x: Math.sin(angle), y: -Math.cos(angle) };
+    const lift = spacing * PLANUM_REACH - regionHeight / 2;
+
+    region = {
+      found: true,
+      nostrils: [left, right],
+      centre: {
+        x: (left.x + right.x) / 2 + up.x * lift,
+        y: (left.y + right.y) / 2 + up.y * lift
+      },
+      width: regionWidth,
+      height: regionHeight,
+      angle
+    };
+  } else {
+    region = centreRegion(width, height);
+  }
+
+  return {
+    ...region,
+    polygon: rectanglePolygon(region.centre, region.width, region.height, region.angle)
+  };
+}
+
+/**
+ * The region covering a whole canonical crop. Records store this for images
+ * that were cropped at capture, so re-extraction doesn't crop them again;
+ * `found` keeps whether nostrils were located in the original photo.
+ */
+export function canonicalROI(found) {
+  const region = {
+    found,
+    nostrils: [],
+    centre: { x: ROI_WIDTH / 2, y: ROI_HEIGHT / 2 },
+    width: ROI_WIDTH,
+    height: ROI_HEIGHT,
+    angle: 0
+  };
+  return { ...region, polygon: rectanglePolygon(region.centre, region.width, region.height, 0) };
+}
+
+/**
+ * Whether a value looks like a region from detectMuzzleROI or canonicalROI
+ */
+export function isMuzzleROI(roi) {
+  return Boolean(roi) && typeof roi === 'object' && Boolean(roi.centre) &&
+    [roi.centre.x, roi.centre.y, roi.width, roi.height, roi.angle].every(Number.isFinite) &&
+    roi.width > 0 && roi.height > 0;
+}
+
+/**
+ * Resample the region from detectMuzzleROI into an upright
+ * outputWidth x outputHeight image (bilinear; pixels beyond the photo
+ * repeat its edge)
+ */
+export function cropToROI(imageData, roi, outputWidth = ROI_WIDTH, outputHeight = ROI_HEIGHT) {
+  const { data, width, height } = imageData;
+  const output = new Uint8ClampedArray(outputWidth * outputHeight * 4);
+  const cos = Math.cos(roi.angle);
+  const sin = Math.sin(roi.angle);
+  const stepX = roi.width / outputWidth;
+  const stepY = roi.height / outputHeight;
+
+  for (let v = 0; v < outputHeight; v++) {
+    const ry = (v + 0.5) * stepY - roi.height / 2;
+    for (let u = 0; u < outputWidth; u++) {
+      const rx = (u + 0.5) * stepX - roi.width / 2;
+      const sx = Math.min(width - 1, Math.max(0, roi.centre.x + rx * cos - ry * sin - 0.5));
+      const sy = Math.min(height - 1, Math.max(0, roi.centre.y + rx * sin + ry * cos - 0.5));
+
+      const x0 = Math.floor(sx);
+      const y0 = Math.floor(sy);
+      const x1 = Math.min(width - 1, x0 + 1);
+      const y1 = Math.min(height - 1, y0 + 1);
+      const fx = sx - x0;
+      const fy = sy - y0;
+
+      const o = (v * outputWidth + u) * 4;
+      for (let c = 0; c < 4; c++) {
+        output[o + c] =
+          data[(y0 * width + x0) * 4 + c] * (1 - fx) * (1 - fy) +
+          data[(y0 * width + x1) * 4 + c] * fx * (1 - fy) +
+          data[(y1 * width + x0) * 4 + c] * (1 - fx) * fy +
+          data[(y1 * width + x1) * 4 + c] * fx * fy;
+      }
+    }
+  }
+
+  return { data: output, width: outputWidth, height: outputHeight };
+}
+
+/**
+ * Detect the muzzle region and return it cropped and deskewed, with the
+ * region description for overlays: { imageData, roi }
+ */
+export function extractMuzzleROI(imageData) {
+  const roi = detectMuzzleROI(imageData);
+  return { imageData: cropToROI(imageData, roi), roi };
+}
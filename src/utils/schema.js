@@ -0,0 +1,537 @@
+/**
+ * Cattle record schema versions and migrations
+ *
+ * Version history:
+ *   1 - unversioned records (db.json samples, early builds): 16-value
+ *       featureVector, no perceptualHash, bioData, sex or color
+ *   2 - featureVector produced by the current extractFeatureVector
+ *       (FEATURE_VECTOR_LENGTH values), optional fields always present
+ *   3 - lifecycle `status` and `statusHistory`; deletes leave a tombstone
+ *       in `deletion` instead of removing the record
+ *   4 - `ownershipHistory` (one entry per owner, with transfer details) and
+ *       `certificateRevisions` (reissued on every ownership transfer)
+ *   5 - `perceptualHash` is { phash, dhash } (64-bit hex each) instead of a
+ *       4096-character bit string
+ *   6 - `keypointTemplate`: encoded ORB-style keypoints for rotation- and
+ *       scale-tolerant matching (null when no muzzle image is available)
+ *   7 - `ridgeTemplate`: ridge and bead segmentation of the muzzle
+ *       (see segmentation.js; null when no muzzle image is available)
+ *   8 - `muzzleRoi`: the muzzle region of the stored image that templates
+ *       are extracted from (see roi.js); templates are re-extracted from
+ *       that region instead of the whole frame
+ *   9 - `pipelineVersion`: version of MUZZLE_PIPELINE the templates were
+ *       extracted with; templates are re-extracted from the stored image
+ *       with the shared pipeline (null when that wasn't possible)
+ *  10 - templates re-extracted after CLAHE gained bilinear blending between
+ *       tiles (pipeline version 2)
+ *  11 - `templates`: the templates of every enrollment capture (see
+ *       templates.js); older records have their single capture
+ *  12 - template ids, `retiredTemplates` and `templateRevisions`: the
+ *       history of re-enrollments and adaptive updates to the set
+ *  13 - `bioData` and `bioDataId` removed: the vector encoded attributes by
+ *       their position in the form's option lists; the Matcher now compares
+ *       the attributes themselves (see attributes.js)
+ *  14 - `reviewDecisions`: supervisor review decisions concerning the
+ *       record (see reviews.js); a `duplicateReview` approval made at
+ *       enrollment becomes the first entry
+ *  15 - `revisionHashes`: content hashes of the record's saved states,
+ *       oldest first (see importPlan.js); the current state's hash is
+ *       added whenever the record is written
+ */
+
+import {
+  FEATURE_VECTOR_LENGTH,
+  PIPELINE_VERSION,
+  isImageHash,
+  processMuzzleImageData
+} from './imageProcessing';
+import { isMuzzleROI } from './roi';
+import { isReviewDecision } from './reviews';
+import { isRidgeTemplate } from './segmentation';
+import { createTemplate, isTemplate, isTemplateRevision, startTemplateHistory } from './templates';
+
+export const CURRENT_SCHEMA_VERSION = 15;
+
+/**
+ * Lifecycle statuses. Stolen animals stay in the active registry so the
+ * Matcher can still identify them; the others are shown under Archived.
+ */
+export const RECORD_STATUSES = ['active', 'archived', 'deceased', 'sold', 'stolen'];
+
+export function isArchived(record) {
+  return Boolean(record.deletion) || !['active', 'stolen'].includes(record.status || 'active');
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isContentHash(value) {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+}
+
+/**
+ * Check that an imported record (of any schema version) is usable.
+ * Returns a list of problems; an empty list means the record is valid.
+ */
+export function validateRecord(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return ['Record is not an object'];
+  }
+
+  const errors = [];
+  if (!isNonEmptyString(record.id)) errors.push('Missing id');
+  if (!isNonEmptyString(record.cowName)) errors.push('Missing cow name');
+  if (!isNonEmptyString(record.ownerName)) errors.push('Missing owner name');
+
+  if (record.schemaVersion !== undefined &&
+      !(Number.isInteger(record.schemaVersion) && record.schemaVersion >= 1)) {
+    errors.push(`Invalid schema version "${record.schemaVersion}"`);
+  } else if (getSchemaVersion(record) > CURRENT_SCHEMA_VERSION) {
+    errors.push(`Schema version ${record.schemaVersion} is newer than this app supports`);
+  }
+
+  if (record.featureVector !== undefined && record.featureVector !== null &&
+      !(Array.isArray(record.featureVector) && record.featureVector.every(Number.isFinite))) {
+    errors.push('Feature vector must be a list of numbers');
+  }
+  if (record.perceptualHash && typeof record.perceptualHash !== 'string' && !isImageHash(record.perceptualHash)) {
+    errors.push('Perceptual hash must be { phash, dhash } hex strings');
+  }
+  if (record.ridgeTemplate && !isRidgeTemplate(record.ridgeTemplate)) {
+    errors.push('Ridge template is not in a supported format');
+  }
+  if (record.muzzleRoi && !isMuzzleROI(record.muzzleRoi)) {
+    errors.push('Muzzle region is not in a supported format');
+  }
+  if (record.pipelineVersion !== undefined && record.pipelineVersion !== null &&
+      !Number.isInteger(record.pipelineVersion)) {
+    errors.push('Pipeline version must be a whole number');
+  }
+  if (record.templates !== undefined &&
+      !(Array.isArray(record.templates) && record.templates.every(isTemplate))) {
+    errors.push('Templates must be a list of capture templates');
+  }
+  if (record.retiredTemplates !== undefined &&
+      !(Array.isArray(record.retiredTemplates) && record.retiredTemplates.every(isTemplate))) {
+    errors.push('Retired templates must be a list of capture templates');
+  }
+  if (record.templateRevisions !== undefined &&
+      !(Array.isArray(record.templateRevisions) && record.templateRevisions.every(isTemplateRevision))) {
+    errors.push('Template revisions are not in a supported format');
+  }
+  if (record.reviewDecisions !== undefined &&
+      !(Array.isArray(record.reviewDecisions) && record.reviewDecisions.every(isReviewDecision))) {
+    errors.push('Review decisions are not in a supported format');
+  }
+  if (record.revisionHashes !== undefined &&
+      !(Array.isArray(record.revisionHashes) && record.revisionHashes.every(isContentHash))) {
+    errors.push('Revision hashes must be a list of SHA-256 hashes');
+  }
+  if (record.muzzleImage && typeof record.muzzleImage !== 'string') {
+    errors.push('Muzzle image must be a data URL');
+  }
+  if (record.certificateId !== undefined && typeof record.certificateId !== 'string') {
+    errors.push('Certificate ID must be a string');
+  }
+  if (record.status !== undefined && !RECORD_STATUSES.includes(record.status)) {
+    errors.push(`Unknown status "${record.status}"`);
+  }
+
+  return errors;
+}
+
+/**
+ * Ownership and certificate fields for a freshly registered owner
+ */
+export function initialOwnership(ownerName, issuedAt) {
+  return {
+    ownershipHistory: [
+      { ownerName, ownerPhone: '', ownerIdNumber: '', from: issuedAt, to: null, transfer: null }
+    ],
+    certificateRevisions: [
+      { revision: 1, ownerName, issuedAt, supersededAt: null, supersededBy: null }
+    ]
+  };
+}
+
+/**
+ * Certificate revision in force (the latest one)
+ */
+export function getCurrentCertificate(record) {
+  const revisions = record.certificateRevisions || [];
+  return revisions[revisions.length - 1] || null;
+}
+
+/**
+ * Schema version of a record (unversioned records are version 1)
+ */
+export function getSchemaVersion(record) {
+  return record.schemaVersion || 1;
+}
+
+export function needsMigration(record) {
+  return getSchemaVersion(record) < CURRENT_SCHEMA_VERSION;
+}
+
+/**
+ * Whether a record's featureVector can be compared with freshly extracted ones
+ */
+export function hasCurrentFeatureVector(record) {
+  return Array.isArray(record.featureVector) &&
+    record.featureVector.length === FEATURE_VECTOR_LENGTH;
+}
+
+function flagForReenrollment(record, reason) {
+  return { ...record, needsReenrollment: true, upgradeIssue: reason };
+}
+
+function clearReenrollmentFlag(record) {
+  const { needsReenrollment: _needsReenrollment, upgradeIssue: _upgradeIssue, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Templates extracted from a record's stored muzzle image, or with
+ * `template` from that capture's photo, for the migrations that need them.
+ * Each image is decoded and run through the pipeline at most once per
+ * record, however many versions it is upgraded through, using its muzzle
+ * region when it has one. Resolves to null when no image is available.
+ */
+function templateExtraction(record, loadImageData) {
+  const extractions = new Map();
+
+  return (template = null) => {
+    const key = template ? `capture:${template.id}` : 'reference';
+    if (!extractions.has(key)) {
+      const source = template || record;
+      extractions.set(key, (async () => {
+        let imageData = null;
+        try {
+          imageData = await loadImageData(record, template);
+        } catch (error) {
+          console.warn(`Could not load muzzle image for ${record.id}:`, error);
+        }
+        return imageData
+          ? processMuzzleImageData(imageData, { roi: isMuzzleROI(source.muzzleRoi) ? source.muzzleRoi : null })
+          : null;
+      })());
+    }
+    return extractions.get(key);
+  };
+}
+
+/**
+ * v1 -> v2: fill in missing optional fields and re-extract the feature
+ * vector from the muzzle image when it has the wrong length.
+ * Stored images may be the enhanced capture rather than the raw photo,
+ * so re-extracted vectors are a best effort; records without a usable
+ * image are flagged for re-enrollment instead of silently never matching.
+ */
+async function migrateToV2(record, context) {
+  const upgraded = {
+    sex: null,
+    color: null,
+    notes: '',
+    perceptualHash: null,
+    ...record
+  };
+
+  if (hasCurrentFeatureVector(upgraded)) {
+    return upgraded;
+  }
+
+  const extracted = await context.extract();
+  if (extracted) {
+    const { featureVector, perceptualHash } = extracted;
+    return clearReenrollmentFlag({ ...upgraded, featureVector, perceptualHash });
+  }
+
+  const length = Array.isArray(record.featureVector) ? record.featureVector.length : 0;
+  return flagForReenrollment(
+    upgraded,
+    `Feature vector has ${length} values (expected ${FEATURE_VECTOR_LENGTH}) and no muzzle image was available to re-extract it`
+  );
+}
+
+/**
+ * v2 -> v3: every record starts out active with an empty status history
+ */
+async function migrateToV3(record) {
+  return {
+    status: 'active',
+    statusHistory: [],
+    deletion: null,
+    ...record
+  };
+}
+
+/**
+ * v3 -> v4: the enrolled owner becomes the first ownership entry and
+ * holder of certificate revision 1
+ */
+async function migrateToV4(record) {
+  const issuedAt = record.createdAt || record.registrationDate || new Date().toISOString();
+  return {
+    ...initialOwnership(record.ownerName, issuedAt),
+    ...record
+  };
+}
+
+/**
+ * v4 -> v5: recompute the perceptual hashes from the muzzle image. Without
+ * an image the old hash is dropped; it only served duplicate detection.
+ */
+async function migrateToV5(record, context) {
+  if (isImageHash(record.perceptualHash)) {
+    return record;
+  }
+
+  const extracted = await context.extract();
+  return { ...record, perceptualHash: extracted ? extracted.perceptualHash : null };
+}
+
+/**
+ * v5 -> v6: build the keypoint template from the muzzle image
+ */
+async function migrateToV6(record, context) {
+  if (typeof record.keypointTemplate === 'string') {
+    return record;
+  }
+
+  const extracted = await context.extract();
+  return { ...record, keypointTemplate: extracted ? extracted.keypointTemplate : null };
+}
+
+/**
+ * v6 -> v7: segment ridges and beads from the muzzle image
+ */
+async function migrateToV7(record, context) {
+  if (isRidgeTemplate(record.ridgeTemplate)) {
+    return record;
+  }
+
+  const extracted = await context.extract();
+  return { ...record, ridgeTemplate: extracted ? extracted.ridgeTemplate : null };
+}
+
+/**
+ * v7 -> v8: locate the muzzle in the stored image and re-extract every
+ * template from that region. Records without an image keep their
+ * templates and get no region.
+ */
+async function migrateToV8(record, context) {
+  if (isMuzzleROI(record.muzzleRoi)) {
+    return record;
+  }
+
+  const extracted = await context.extract();
+  if (!extracted) {
+    return { ...record, muzzleRoi: null };
+  }
+
+  const { featureVector, perceptualHash, keypointTemplate, ridgeTemplate, roi } = extracted;
+  return clearReenrollmentFlag({
+    ...record,
+    featureVector,
+    perceptualHash,
+    keypointTemplate,
+    ridgeTemplate,
+    muzzleRoi: roi
+  });
+}
+
+/**
+ * Each capture of a template set re-extracted from its photo, or null for
+ * captures without one
+ */
+async function reextractCaptures(templates, context) {
+  const results = [];
+  for (const template of templates) {
+    const extracted = await context.extract(template);
+    results.push(extracted
+      ? { ...template, ...createTemplate(extracted, template.capturedAt), muzzleRoi: extracted.roi }
+      : null);
+  }
+  return results;
+}
+
+/**
+ * v8 -> v9 and v9 -> v10: re-extract every template from the stored images
+ * with the current pipeline. v9 catches templates from the Muzzle Mapper's
+ * own copy of the pipeline, which ran CLAHE misconfigured; v10 those from
+ * the CLAHE without blending between tiles. Records with captured templates
+ * but no image to re-extract them from are flagged for re-enrollment.
+ */
+async function reextractTemplates(record, context) {
+  if (record.pipelineVersion === PIPELINE_VERSION) {
+    return record;
+  }
+
+  const extracted = await context.extract();
+  if (!extracted) {
+    const upgraded = { ...record, pipelineVersion: null };
+    return typeof record.keypointTemplate === 'string'
+      ? flagForReenrollment(upgraded, 'Muzzle templates came from an outdated image pipeline and no muzzle image was available to re-extract them')
+      : upgraded;
+  }
+
+  const { featureVector, perceptualHash, keypointTemplate, ridgeTemplate, roi, pipelineVersion } = extracted;
+  const upgraded = {
+    ...record,
+    featureVector,
+    perceptualHash,
+    keypointTemplate,
+    ridgeTemplate,
+    muzzleRoi: roi,
+    pipelineVersion
+  };
+  // Captures re-extracted from their own photos keep their ids, so earlier
+  // revisions can still be rolled back to. Active captures without a photo
+  // would no longer match and are dropped; sets enrolled before capture
+  // photos were kept fall back to the reference capture alone.
+  if (Array.isArray(record.templates)) {
+    const reextracted = (await reextractCaptures(record.templates, context)).filter(Boolean);
+    upgraded.templates = reextracted.length > 0
+      ? reextracted
+      : [createTemplate(upgraded, record.createdAt || '')];
+  }
+  if (Array.isArray(record.retiredTemplates)) {
+    const reextracted = await reextractCaptures(record.retiredTemplates, context);
+    upgraded.retiredTemplates = reextracted.map((t, i) => t || record.retiredTemplates[i]);
+  }
+  return clearReenrollmentFlag(upgraded);
+}
+
+/**
+ * v10 -> v11: records enrolled from a single capture get a template set
+ * holding just that capture
+ */
+async function migrateToV11(record) {
+  if (Array.isArray(record.templates)) {
+    return record;
+  }
+
+  return {
+    ...record,
+    templates: hasCurrentFeatureVector(record) ? [createTemplate(record, record.createdAt || '')] : []
+  };
+}
+
+/**
+ * v11 -> v12: the template set gets ids and starts its history with the
+ * enrollment as revision 1
+ */
+async function migrateToV12(record) {
+  if (Array.isArray(record.templateRevisions)) {
+    return record;
+  }
+
+  return { ...record, ...startTemplateHistory(record.templates || [], record.createdAt || '') };
+}
+
+/**
+ * v12 -> v13: drop the position-encoded bio-data vector
+ */
+async function migrateToV13(record) {
+  const { bioData: _bioData, bioDataId: _bioDataId, ...rest } = record;
+  return rest;
+}
+
+/**
+ * v13 -> v14: review decisions, starting from any duplicate approval
+ * recorded at enrollment
+ */
+async function migrateToV14(record) {
+  const { duplicateReview, ...rest } = record;
+  if (Array.isArray(rest.reviewDecisions)) {
+    return rest;
+  }
+
+  return {
+    ...rest,
+    reviewDecisions: duplicateReview ? [{
+      reviewId: null,
+      kind: 'duplicate',
+      decision: 'approve',
+      by: duplicateReview.reviewedBy,
+      at: duplicateReview.at,
+      reason: duplicateReview.reason,
+      relatedId: duplicateReview.candidateId || null
+    }] : []
+  };
+}
+
+/**
+ * v14 -> v15: start the revision history; the record's current state is
+ * its first entry once the upgraded record is written
+ */
+async function migrateToV15(record) {
+  if (Array.isArray(record.revisionHashes)) {
+    return record;
+  }
+
+  return { ...record, revisionHashes: [] };
+}
+
+// Ordered list; each entry upgrades a record from `version - 1` to `version`
+const MIGRATIONS = [
+  { version: 2, migrate: migrateToV2 },
+  { version: 3, migrate: migrateToV3 },
+  { version: 4, migrate: migrateToV4 },
+  { version: 5, migrate: migrateToV5 },
+  { version: 6, migrate: migrateToV6 },
+  { version: 7, migrate: migrateToV7 },
+  { version: 8, migrate: migrateToV8 },
+  { version: 9, migrate: reextractTemplates },
+  { version: 10, migrate: reextractTemplates },
+  { version: 11, migrate: migrateToV11 },
+  { version: 12, migrate: migrateToV12 },
+  { version: 13, migrate: migrateToV13 },
+  { version: 14, migrate: migrateToV14 },
+  { version: 15, migrate: migrateToV15 }
+];
+
+/**
+ * Upgrade a single record to CURRENT_SCHEMA_VERSION.
+ * context.loadImageData(record, template) resolves to ImageData of the
+ * record's muzzle image (or, given a template, of that capture's photo), or
+ * null when none is available. Migrations don't load the image
+ * themselves; they share one extraction (see templateExtraction).
+ */
+export async function migrateRecord(record, context = {}) {
+  const extract = templateExtraction(record, context.loadImageData || (async () => null));
+  let current = record;
+
+  for (const { version, migrate } of MIGRATIONS) {
+    if (getSchemaVersion(current) < version) {
+      current = { ...(await migrate(current, { extract })), schemaVersion: version };
+    }
+  }
+
+  return {
+    record: current,
+    migrated: current !== record,
+    flagged: Boolean(current.needsReenrollment)
+  };
+}
+
+/**
+ * Upgrade a list of records, returning them with migration counts.
+ * context.onProgress, if given, is told how far through the list it is.
+ */
+export async function migrateRecords(records, context = {}) {
+  const results = [];
+  for (const record of records) {
+    if (context.onProgress) {
+      context.onProgress({ label: 'Upgrading records', fraction: results.length / records.length });
+    }
+    results.push(await migrateRecord(record, context));
+  }
+
+  return {
+    records: results.map(r => r.record),
+    migrated: results.filter(r => r.migrated).length,
+    flagged: results.filter(r => r.flagged).length
+  };
+}
@@ -0,0 +1,288 @@
+/**
+ * Search index over enrolled muzzle templates
+ *
+ * Finds the records worth running full verification (keypoints, ridges) on
+ * without comparing a scan with every animal in the registry:
+ *   - a vantage-point tree over feature vectors (the mean of each animal's
+ *     enrollment captures), searched for the k nearest by the angle between
+ *     vectors (the cosine part of calculateSimilarity, as a true metric so
+ *     whole branches can be skipped)
+ *   - a multi-index hash table over the 64-bit pHash: the hash is split
+ *     into four 16-bit chunks with a table each, so every hash within
+ *     distance r shares at least one chunk within r/4 bits (pigeonhole)
+ *
+ * The index lives in memory and is kept in sync by database.js. The tree is
+ * static, so records added or removed since it was built are held aside
+ * (added ones are scanned directly) until enough changes pile up to rebuild.
+ */
+
+import { hammingDistance, isImageHash } from './imageProcessing';
+import { isArchived } from './schema';
+import { fuseFeatureVectors, matchableTemplates } from './templates';
+
+// Records per tree leaf, scanned directly
+const LEAF_SIZE = 8;
+
+// Rebuild once this share of the tree has changed (and at least MIN_REBUILD changes)
+const REBUILD_FRACTION = 0.1;
+const MIN_REBUILD = 32;
+
+const HASH_CHUNKS = 4;
+const CHUNK_BITS = 16;
+
+function normalise(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm);
+
+  const unit = new Float64Array(vector.length);
+  if (norm === 0) return unit;
+  for (let i = 0; i < vector.length; i++) {
+    unit[i] = vector[i] / norm;
+  }
+  return unit;
+}
+
+// Angle between unit vectors, in radians
+function angularDistance(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return Math.acos(Math.max(-1, Math.min(1, dot)));
+}
+
+function buildTree(entries) {
+  if (entries.length <= LEAF_SIZE) {
+    return { leaf: entries };
+  }
+
+  const [vantage, ...rest] = entries;
+  const withDistance = rest
+    .map(entry => ({ entry, distance: angularDistance(vantage.unit, entry.unit) }))
+    .sort((a, b) => a.distance - b.distance);
+  const middle = Math.floor(withDistance.length / 2);
+
+  return {
+    vantage,
+    radius: withDistance[middle].distance,
+    inside: buildTree(withDistance.slice(0, middle + 1).map(d => d.entry)),
+    outside: buildTree(withDistance.slice(middle + 1).map(d => d.entry))
+  };
+}
+
+/**
+ * Nearest-first list of at most k { id, distance }
+ */
+function createNearestList(k) {
+  const items = [];
+  return {
+    items,
+    worst: () => (items.length < k ? Infinity : items[items.length - 1].distance),
+    offer(id, distance) {
+      if (distance >= this.worst()) return;
+      let i = items.length;
+      while (i > 0 && items[i - 1].distance > distance) i--;
+      items.splice(i, 0, { id, distance });
+      if (items.length > k) items.pop();
+    }
+  };
+}
+
+function searchTree(node, unit, nearest, accept) {
+  if (!node) return;
+
+  if (node.leaf) {
+    node.leaf.forEach(entry => {
+      if (accept(entry)) nearest.offer(entry.id, angularDistance(unit, entry.unit));
+    });
+    return;
+  }
+
+  const distance = angularDistance(unit, node.vantage.unit);
+  if (accept(node.vantage)) nearest.offer(node.vantage.id, distance);
+
+  // Search the side the query falls in first; the other side can only
+  // hold closer records if the query is near the boundary
+  if (distance <= node.radius) {
+    searchTree(node.inside, unit, nearest, accept);
+    if (distance + nearest.worst() > node.radius) searchTree(node.outside, unit, nearest, accept);
+  } else {
+    searchTree(node.outside, unit, nearest, accept);
+    if (distance - nearest.worst() <= node.radius) searchTree(node.inside, unit, nearest, accept);
+  }
+}
+
+function hashChunks(phash) {
+  const chunks = [];
+  const hexPerChunk = CHUNK_BITS / 4;
+  for (let i = 0; i < HASH_CHUNKS; i++) {
+    chunks.push(parseInt(phash.slice(i * hexPerChunk, (i + 1) * hexPerChunk), 16));
+  }
+  return chunks;
+}
+
+// Every CHUNK_BITS-bit value within `radius` bits of `value`
+function chunkNeighbours(value, radius) {
+  const neighbours = [value];
+  let frontier = [{ value, lowestBit: 0 }];
+  for (let flips = 1; flips <= radius; flips++) {
+    const next = [];
+    frontier.forEach(item => {
+      for (let bit = item.lowestBit; bit < CHUNK_BITS; bit++) {
+        const flipped = item.value ^ (1 << bit);
+        neighbours.push(flipped);
+        next.push({ value: flipped, lowestBit: bit + 1 });
+      }
+    });
+    frontier = next;
+  }
+  return neighbours;
+}
+
+/**
+ * Create an empty template index. Records are added with put(record) (again
+ * after every change) and dropped with remove(id) or clear().
+ */
+export function createTemplateIndex() {
+  const entries = new Map();
+  let tree = null;
+  let treeIds = new Set();
+  // Tree entries removed or replaced since the build, and records added since
+  let staleIds = new Set();
+  let addedIds = new Set();
+  const hashTables = Array.from({ length: HASH_CHUNKS }, () => new Map());
+
+  function unhash(entry) {
+    if (!entry.chunks) return;
+    entry.chunks.forEach((chunk, i) => {
+      const ids = hashTables[i].get(chunk);
+      ids.delete(entry.id);
+      if (ids.size === 0) hashTables[i].delete(chunk);
+    });
+  }
+
+  function rebuild() {
+    const vectors = [...entries.values()].filter(entry => entry.unit);
+    tree = buildTree(vectors);
+    treeIds = new Set(vectors.map(entry => entry.id));
+    staleIds = new Set();
+    addedIds = new Set();
+  }
+
+  function checkRebuild() {
+    if (staleIds.size + addedIds.size >= Math.max(MIN_REBUILD, treeIds.size * REBUILD_FRACTION)) {
+      tree = null;
+    }
+  }
+
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) return;
+    unhash(entry);
+    entries.delete(id);
+    addedIds.delete(id);
+    if (treeIds.has(id)) staleIds.add(id);
+    checkRebuild();
+  }
+
+  function clear() {
+    entries.clear();
+    hashTables.forEach(table => table.clear());
+    tree = null;
+    treeIds = new Set();
+    staleIds = new Set();
+    addedIds = new Set();
+  }
+
+  function put(record) {
+    remove(record.id);
+
+    const fused = fuseFeatureVectors(matchableTemplates(record).map(t => t.featureVector));
+    const entry = {
+      id: record.id,
+      archived: isArchived(record),
+      unit: fused ? normalise(fused) : null,
+      phash: isImageHash(record.perceptualHash) ? record.perceptualHash.phash : null,
+      chunks: null
+    };
+    if (entry.phash) {
+      entry.chunks = hashChunks(entry.phash);
+      entry.chunks.forEach((chunk, i) => {
+        if (!hashTables[i].has(chunk)) hashTables[i].set(chunk, new Set());
+        hashTables[i].get(chunk).add(entry.id);
+      });
+    }
+    entries.set(entry.id, entry);
+    if (entry.unit) {
+      addedIds.add(entry.id);
+      checkRebuild();
+    }
+  }
+
+  /**
+   * Ids of the k records whose feature vectors are nearest `vector`,
+   * nearest first, as [{ id, distance }] (distance in radians)
+   */
+  function nearestVectors(vector, k, { includeArchived = false } = {}) {
+    if (!tree) rebuild();
+
+    const unit = normalise(vector);
+    const nearest = createNearestList(k);
+    const accept = entry => (includeArchived || !entry.archived) && !staleIds.has(entry.id);
+
+    searchTree(tree, unit, nearest, accept);
+
+    // Records added or changed since the tree was built
+    addedIds.forEach(id => {
+      const entry = entries.get(id);
+      if (includeArchived || !entry.archived) {
+        nearest.offer(id, angularDistance(unit, entry.unit));
+      }
+    });
+
+    return nearest.items;
+  }
+
+  /**
+   * Ids of records whose pHash is within `radius` bits of `phash`
+   */
+  function nearHashes(phash, radius, { includeArchived = false } = {}) {
+    const subRadius = Math.floor(radius / HASH_CHUNKS);
+    const candidates = new Set();
+    hashChunks(phash).forEach((chunk, i) => {
+      chunkNeighbours(chunk, subRadius).forEach(value => {
+        const ids = hashTables[i].get(value);
+        if (ids) ids.forEach(id => candidates.add(id));
+      });
+    });
+
+    return [...candidates].filter(id => {
+      const entry = entries.get(id);
+      return (includeArchived || !entry.archived) && hammingDistance(phash, entry.phash) <= radius;
+    });
+  }
+
+  /**
+   * Ids of records without a comparable feature vector
+   */
+  function unindexedIds({ includeArchived = false } = {}) {
+    return [...entries.values()]
+      .filter(entry => !entry.unit && (includeArchived || !entry.archived))
+      .map(entry => entry.id);
+  }
+
+  return {
+    put,
+    remove,
+    clear,
+    nearestVectors,
+    nearHashes,
+    unindexedIds,
+    get size() {
+      return entries.size;
+    }
+  };
+}
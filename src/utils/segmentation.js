@@ -0,0 +1,400 @@
+/**
+ * Ridge and bead segmentation of enhanced muzzle images
+ *
+ * A bovine muzzle print is a pattern of raised beads (dermal papillae)
+ * separated by ridges (grooves), which photograph darker than the beads.
+ * Ridges are binarised with an adaptive mean threshold and thinned to a
+ * one-pixel skeleton; the regions between them are labelled as beads and
+ * described by their area, centroid, orientation and shape. The result is a
+ * plain-object template that can be stored on a record, compared by the
+ * matcher and drawn by the Muzzle Mapper.
+ */
+
+export const RIDGE_TEMPLATE_VERSION = 1;
+
+// Adaptive threshold window (as a fraction of the shorter side) and the
+// margin below the local mean for a pixel to count as ridge
+const THRESHOLD_WINDOW = 1 / 40;
+const MIN_THRESHOLD_RADIUS = 5;
+const THRESHOLD_OFFSET = 6;
+
+// Bead areas as fractions of the image; larger regions are background
+const MIN_BEAD_AREA = 0.00004;
+const MAX_BEAD_AREA = 0.01;
+const MAX_BEADS = 400;
+const MAX_MINUTIAE = 200;
+// Skeleton endings and branches this close to the border are cut by the frame
+const MINUTIA_BORDER = 8;
+
+// Histogram bins for the rotation- and scale-independent bead signature
+const SIZE_BINS = 8;
+const SHAPE_BINS = 8;
+const ORIENTATION_BINS = 12;
+
+// Fallback alignment tolerance, in pixels, for very small beads
+const MIN_ALIGNMENT_DISTANCE = 4;
+
+function round(value, places = 1) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Binarise ridges: pixels darker than their neighbourhood mean by
+ * THRESHOLD_OFFSET. Expects grayscale RGBA image data (as from
+ * toGrayscale/applyCLAHE); returns a Uint8Array mask (1 = ridge).
+ */
+export function binariseRidges(imageData) {
+  const { data, width, height } = imageData;
+  const radius = Math.max(MIN_THRESHOLD_RADIUS, Math.round(Math.min(width, height) * THRESHOLD_WINDOW));
+  const stride = width + 1;
+
+  const integral = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += data[(y * width + x) * 4];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+    }
+  }
+
+  const mask = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - radius);
+    const y1 = Math.min(height, y + radius + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - radius);
+      const x1 = Math.min(width, x + radius + 1);
+      const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] -
+        integral[y1 * stride + x0] + integral[y0 * stride + x0];
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+      if (data[(y * width + x) * 4] < mean - THRESHOLD_OFFSET) {
+        mask[y * width + x] = 1;
+      }
+    }
+  }
+
+  return mask;
+}
+
+// Neighbours P2..P9 clockwise from north, as in Zhang-Suen
+function neighbours(mask, width, i) {
+  return [
+    mask[i - width], mask[i - width + 1], mask[i + 1], mask[i + width + 1],
+    mask[i + width], mask[i + width - 1], mask[i - 1], mask[i - width - 1]
+  ];
+}
+
+// 0 -> 1 transitions around the 8-neighbourhood
+function crossings(p) {
+  let count = 0;
+  for (let k = 0; k < 8; k++) {
+    if (!p[k] && p[(k + 1) % 8]) count++;
+  }
+  return count;
+}
+
+/**
+ * Thin a binary mask to a one-pixel skeleton (Zhang-Suen). Returns a new mask.
+ */
+export function skeletonise(mask, width, height) {
+  const skeleton = new Uint8Array(mask);
+  // The frame is left empty so every neighbourhood lookup stays in bounds
+  for (let x = 0; x < width; x++) {
+    skeleton[x] = 0;
+    skeleton[(height - 1) * width + x] = 0;
+  }
+  for (let y = 0; y < height; y++) {
+    skeleton[y * width] = 0;
+    skeleton[y * width + width - 1] = 0;
+  }
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (let pass = 0; pass < 2; pass++) {
+      const remove = [];
+      for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+          const i = y * width + x;
+          if (!skeleton[i]) continue;
+
+          const p = neighbours(skeleton, width, i);
+          const count = p.reduce((sum, v) => sum + v, 0);
+          if (count < 2 || count > 6 || crossings(p) !== 1) continue;
+
+          const [p2, , p4, , p6, , p8] = p;
+          const keep = pass === 0
+            ? p2 * p4 * p6 || p4 * p6 * p8
+            : p2 * p4 * p8 || p2 * p6 * p8;
+          if (!keep) remove.push(i);
+        }
+      }
+      remove.forEach(i => { skeleton[i] = 0; });
+      if (remove.length > 0) changed = true;
+    }
+  }
+
+  return skeleton;
+}
+
+/**
+ * Ridge endings and bifurcations of a skeleton, by crossing number
+ */
+function findMinutiae(skeleton, width, height) {
+  const ridgeEndings = [];
+  const bifurcations = [];
+
+  for (let y = MINUTIA_BORDER; y < height - MINUTIA_BORDER; y++) {
+    for (let x = MINUTIA_BORDER; x < width - MINUTIA_BORDER; x++) {
+      const i = y * width + x;
+      if (!skeleton[i]) continue;
+
+      const crossingNumber = crossings(neighbours(skeleton, width, i));
+      if (crossingNumber === 1) ridgeEndings.push([x, y]);
+      else if (crossingNumber >= 3) bifurcations.push([x, y]);
+    }
+  }
+
+  // Evenly thinned rather than cut, so the kept points cover the whole muzzle
+  const thin = points => points.length <= MAX_MINUTIAE
+    ? points
+    : Array.from({ length: MAX_MINUTIAE }, (_, k) => points[Math.floor(k * points.length / MAX_MINUTIAE)]);
+
+  return { ridgeEndings: thin(ridgeEndings), bifurcations: thin(bifurcations) };
+}
+
+/**
+ * Label the regions between ridges (4-connected, so a diagonal ridge still
+ * separates two beads) and describe the ones sized like beads
+ */
+function extractBeads(ridgeMask, width, height) {
+  const total = width * height;
+  const minArea = Math.max(6, Math.round(total * MIN_BEAD_AREA));
+  const maxArea = Math.round(total * MAX_BEAD_AREA);
+  const labels = new Int32Array(total).fill(-1);
+  const stack = new Int32Array(total);
+  const regions = [];
+
+  for (let start = 0; start < total; start++) {
+    if (ridgeMask[start] || labels[start] !== -1) continue;
+
+    const label = regions.length;
+    // perimeter counts pixel edges facing a ridge
+    const region = { area: 0, sumX: 0, sumY: 0, sumXX: 0, sumYY: 0, sumXY: 0, perimeter: 0, touchesBorder: false };
+    regions.push(region);
+
+    let top = 0;
+    stack[top++] = start;
+    labels[start] = label;
+
+    while (top > 0) {
+      const i = stack[--top];
+      const x = i % width;
+      const y = (i - x) / width;
+
+      region.area++;
+      region.sumX += x;
+      region.sumY += y;
+      region.sumXX += x * x;
+      region.sumYY += y * y;
+      region.sumXY += x * y;
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) region.touchesBorder = true;
+
+      const visit = (j, inside) => {
+        if (!inside || ridgeMask[j]) {
+          region.perimeter++;
+        } else if (labels[j] === -1) {
+          labels[j] = label;
+          stack[top++] = j;
+        }
+      };
+      visit(i - 1, x > 0);
+      visit(i + 1, x < width - 1);
+      visit(i - width, y > 0);
+      visit(i + width, y < height - 1);
+    }
+  }
+
+  const beads = regions
+    .filter(r => !r.touchesBorder && r.area >= minArea && r.area <= maxArea)
+    .map(r => {
+      const cx = r.sumX / r.area;
+      const cy = r.sumY / r.area;
+      const mu20 = r.sumXX / r.area - cx * cx;
+      const mu02 = r.sumYY / r.area - cy * cy;
+      const mu11 = r.sumXY / r.area - cx * cy;
+
+      // Ellipse with the same second moments; pixel edges overstate a
+      // smooth outline by about 4/pi
+      const perimeter = r.perimeter * Math.PI / 4;
+      const common = Math.sqrt(((mu20 - mu02) / 2) ** 2 + mu11 * mu11);
+      const lambda1 = (mu20 + mu02) / 2 + common;
+      const lambda2 = Math.max(0, (mu20 + mu02) / 2 - common);
+
+      return {
+        x: round(cx),
+        y: round(cy),
+        area: r.area,
+        orientation: round(0.5 * Math.atan2(2 * mu11, mu20 - mu02), 3),
+        major: round(2 * Math.sqrt(lambda1)),
+        minor: round(2 * Math.sqrt(lambda2)),
+        circularity: round(Math.min(1, (4 * Math.PI * r.area) / (perimeter * perimeter)), 3)
+      };
+    });
+
+  beads.sort((a, b) => b.area - a.area);
+  return beads.slice(0, MAX_BEADS);
+}
+
+/**
+ * Segment an enhanced muzzle image into ridges and beads.
+ * Returns { ridgeMask, skeleton, template }; the masks are for display and
+ * the template is what gets stored:
+ *   { version, width, height, ridgeDensity,
+ *     beads: [{ x, y, area, orientation, major, minor, circularity }],
+ *     ridgeEndings: [[x, y]], bifurcations: [[x, y]] }
+ * Orientation is the bead's major-axis angle in radians (-π/2..π/2).
+ */
+export function segmentMuzzle(imageData) {
+  const { width, height } = imageData;
+
+  const ridgeMask = binariseRidges(imageData);
+  const skeleton = skeletonise(ridgeMask, width, height);
+  const beads = extractBeads(ridgeMask, width, height);
+  const { ridgeEndings, bifurcations } = findMinutiae(skeleton, width, height);
+
+  let ridgePixels = 0;
+  for (let i = 0; i < ridgeMask.length; i++) ridgePixels += ridgeMask[i];
+
+  return {
+    ridgeMask,
+    skeleton,
+    template: {
+      version: RIDGE_TEMPLATE_VERSION,
+      width,
+      height,
+      ridgeDensity: round(ridgePixels / (width * height), 4),
+      beads,
+      ridgeEndings,
+      bifurcations
+    }
+  };
+}
+
+/**
+ * Whether a value looks like a template from segmentMuzzle
+ */
+export function isRidgeTemplate(template) {
+  return Boolean(template) && typeof template === 'object' &&
+    template.version === RIDGE_TEMPLATE_VERSION && Array.isArray(template.beads);
+}
+
+function normalise(histogram) {
+  const sum = histogram.reduce((a, b) => a + b, 0);
+  return sum > 0 ? histogram.map(v => v / sum) : histogram;
+}
+
+function intersection(h1, h2) {
+  return h1.reduce((sum, v, i) => sum + Math.min(v, h2[i]), 0);
+}
+
+// Bead size relative to the median (so image scale cancels out), shape and
+// elongation-weighted orientation histograms
+function beadSignature(template) {
+  const size = new Array(SIZE_BINS).fill(0);
+  const shape = new Array(SHAPE_BINS).fill(0);
+  const orientation = new Array(ORIENTATION_BINS).fill(0);
+
+  const areas = template.beads.map(b => b.area).sort((a, b) => a - b);
+  const median = areas[Math.floor(areas.length / 2)] || 1;
+
+  template.beads.forEach(bead => {
+    // log2 ratio -2..2 over the size bins
+    const ratio = Math.log2(bead.area / median);
+    size[Math.max(0, Math.min(SIZE_BINS - 1, Math.floor(((ratio + 2) / 4) * SIZE_BINS)))]++;
+
+    const elongation = bead.major > 0 ? bead.minor / bead.major : 1;
+    shape[Math.min(SHAPE_BINS - 1, Math.floor(elongation * SHAPE_BINS))]++;
+
+    const angle = (bead.orientation + Math.PI) % Math.PI;
+    orientation[Math.min(ORIENTATION_BINS - 1, Math.floor((angle / Math.PI) * ORIENTATION_BINS))] += 1 - elongation;
+  });
+
+  return { size: normalise(size), shape: normalise(shape), orientation: normalise(orientation) };
+}
+
+// Orientation histograms compared at every rotation, best one kept
+function orientationSimilarity(h1, h2) {
+  if (h1.every(v => v === 0) || h2.every(v => v === 0)) return 1;
+
+  let best = 0;
+  for (let shift = 0; shift < ORIENTATION_BINS; shift++) {
+    const rotated = h2.map((_, i) => h2[(i + shift) % ORIENTATION_BINS]);
+    best = Math.max(best, intersection(h1, rotated));
+  }
+  return best;
+}
+
+function projectPoint(H, x, y) {
+  const w = H[6] * x + H[7] * y + H[8];
+  return { x: (H[0] * x + H[1] * y + H[2]) / w, y: (H[3] * x + H[4] * y + H[5]) / w };
+}
+
+/**
+ * Fraction of query beads that land on a similarly sized enrolled bead once
+ * mapped through `homography` (query -> enrolled coordinates). Beads that
+ * fall outside the enrolled image are not counted either way.
+ */
+function beadAlignment(query, enrolled, homography) {
+  const areaScale = Math.abs(homography[0] * homography[4] - homography[1] * homography[3]);
+  let considered = 0;
+  let aligned = 0;
+
+  query.beads.forEach(bead => {
+    const p = projectPoint(homography, bead.x, bead.y);
+    if (p.x < 0 || p.y < 0 || p.x >= enrolled.width || p.y >= enrolled.height) return;
+    considered++;
+
+    const expectedArea = bead.area * areaScale;
+    const match = enrolled.beads.some(other => {
+      const tolerance = Math.max(MIN_ALIGNMENT_DISTANCE, Math.sqrt(other.area / Math.PI));
+      const ratio = other.area / expectedArea;
+      return Math.hypot(other.x - p.x, other.y - p.y) <= tolerance && ratio >= 0.5 && ratio <= 2;
+    });
+    if (match) aligned++;
+  });
+
+  return considered > 0 ? aligned / considered : null;
+}
+
+/**
+ * Compare two ridge templates.
+ * `similarity` (0-100) compares the bead size, shape and orientation
+ * distributions and ridge density, so it needs no alignment. When a
+ * homography from keypoint matching is given, `alignment` (0-1) is the
+ * share of query beads that coincide with an enrolled bead; otherwise null.
+ */
+export function compareRidgeTemplates(query, enrolled, homography = null) {
+  if (!isRidgeTemplate(query) || !isRidgeTemplate(enrolled) ||
+      query.beads.length === 0 || enrolled.beads.length === 0) {
+    return { similarity: null, alignment: null };
+  }
+
+  const a = beadSignature(query);
+  const b = beadSignature(enrolled);
+  const densityMax = Math.max(query.ridgeDensity, enrolled.ridgeDensity);
+  const density = densityMax > 0 ? 1 - Math.abs(query.ridgeDensity - enrolled.ridgeDensity) / densityMax : 1;
+
+  const similarity = (
+    intersection(a.size, b.size) * 0.3 +
+    intersection(a.shape, b.shape) * 0.3 +
+    orientationSimilarity(a.orientation, b.orientation) * 0.2 +
+    density * 0.2
+  ) * 100;
+
+  return {
+    similarity,
+    alignment: homography ? beadAlignment(query, enrolled, homography) : null
+  };
+}
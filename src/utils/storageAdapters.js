@@ -0,0 +1,210 @@
+/**
+ * Storage adapters behind database.js
+ *
+ * Every adapter implements the same async contract over named stores:
+ *   get(store, key)          -> value or undefined
+ *   put(store, key, value)   -> void
+ *   delete(store, key)       -> void
+ *   list(store)              -> array of values, ordered by key
+ *   clear(store)             -> void
+ *   transaction(stores, mode, callback)
+ *     -> runs callback(tx) where tx exposes get/put/delete/list/clear for
+ *        the listed stores; writes are all applied or none are
+ *
+ * IndexedDB is the default; localStorage is a fallback for browsers without
+ * it; the in-memory adapter lets the registry run headlessly (tests, Node).
+ */
+
+import { openDatabase, requestToPromise, withTransaction } from './indexedDB';
+
+function compareKeys(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function isBlob(value) {
+  return typeof Blob !== 'undefined' && value instanceof Blob;
+}
+
+// Blobs are immutable, everything else is copied like IndexedDB would
+function cloneValue(value) {
+  if (value === undefined || isBlob(value)) return value;
+  return structuredClone(value);
+}
+
+/**
+ * Adapter-agnostic transaction over plain Map snapshots.
+ * Callback writes go to copies that replace the originals only on success.
+ */
+async function runSnapshotTransaction(storeNames, readStore, commit, callback) {
+  const working = new Map(storeNames.map(name => [name, new Map(readStore(name))]));
+
+  const scoped = name => {
+    if (!working.has(name)) {
+      throw new Error(`Store "${name}" is not part of this transaction`);
+    }
+    return working.get(name);
+  };
+
+  const tx = {
+    get: async (store, key) => cloneValue(scoped(store).get(key)),
+    put: async (store, key, value) => {
+      scoped(store).set(key, cloneValue(value));
+    },
+    delete: async (store, key) => {
+      scoped(store).delete(key);
+    },
+    list: async store => [...scoped(store).entries()]
+      .sort(([a], [b]) => compareKeys(a, b))
+      .map(([, value]) => cloneValue(value)),
+    clear: async store => {
+      scoped(store).clear();
+    }
+  };
+
+  const result = await callback(tx);
+  await commit(working);
+  return result;
+}
+
+/**
+ * Build the single-operation methods from an adapter's transaction()
+ */
+function withShortcuts(adapter) {
+  return {
+    ...adapter,
+    get: (store, key) => adapter.transaction([store], 'readonly', tx => tx.get(store, key)),
+    put: (store, key, value) =>
+      adapter.transaction([store], 'readwrite', tx => tx.put(store, key, value)),
+    delete: (store, key) => adapter.transaction([store], 'readwrite', tx => tx.delete(store, key)),
+    list: store => adapter.transaction([store], 'readonly', tx => tx.list(store)),
+    clear: store => adapter.transaction([store], 'readwrite', tx => tx.clear(store))
+  };
+}
+
+/**
+ * In-memory adapter (not persisted)
+ */
+export function createMemoryAdapter(storeNames) {
+  const stores = new Map(storeNames.map(name => [name, new Map()]));
+
+  return withShortcuts({
+    name: 'memory',
+    transaction(names, _mode, callback) {
+      return runSnapshotTransaction(
+        names,
+        name => stores.get(name) || [],
+        async working => {
+          working.forEach((entries, name) => stores.set(name, entries));
+        },
+        callback
+      );
+    }
+  });
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function dataUrlToBlob(dataUrl) {
+  const [header, base64] = dataUrl.split(',');
+  const type = header.slice(5).split(';')[0];
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+}
+
+/**
+ * localStorage adapter: one JSON object per store, blobs kept as data URLs
+ */
+export function createLocalStorageAdapter(storeNames, prefix = 'ufugaji-bioid') {
+  const storageKey = name => `${prefix}:${name}`;
+
+  function readStore(name) {
+    const raw = localStorage.getItem(storageKey(name));
+    const entries = raw ? Object.entries(JSON.parse(raw)) : [];
+    return entries.map(([key, value]) => [
+      key,
+      value && value.$blob ? dataUrlToBlob(value.$blob) : value
+    ]);
+  }
+
+  async function writeStore(name, entries) {
+    const serialised = {};
+    for (const [key, value] of entries) {
+      serialised[key] = isBlob(value) ? { $blob: await blobToDataUrl(value) } : value;
+    }
+    return [storageKey(name), JSON.stringify(serialised)];
+  }
+
+  return withShortcuts({
+    name: 'localstorage',
+    transaction(names, mode, callback) {
+      names.forEach(name => {
+        if (!storeNames.includes(name)) throw new Error(`Unknown store "${name}"`);
+      });
+
+      return runSnapshotTransaction(
+        names,
+        readStore,
+        async working => {
+          if (mode !== 'readwrite') return;
+          // Serialise everything first so a quota error leaves storage untouched
+          const writes = await Promise.all(
+            [...working.entries()].map(([name, entries]) => writeStore(name, entries))
+          );
+          const previous = writes.map(([key]) => [key, localStorage.getItem(key)]);
+          try {
+            writes.forEach(([key, value]) => localStorage.setItem(key, value));
+          } catch (error) {
+            previous.forEach(([key, value]) => {
+              if (value === null) localStorage.removeItem(key);
+              else localStorage.setItem(key, value);
+            });
+            throw error;
+          }
+        },
+        callback
+      );
+    }
+  });
+}
+
+/**
+ * IndexedDB adapter
+ */
+export async function createIndexedDBAdapter(storeNames, { name, version }) {
+  let upgradedElsewhere = false;
+  const db = await openDatabase(name, version, storeNames, {
+    onVersionChange: () => {
+      upgradedElsewhere = true;
+    }
+  });
+
+  return withShortcuts({
+    name: 'indexeddb',
+    transaction(names, mode, callback) {
+      if (upgradedElsewhere) {
+        return Promise.reject(new Error('The registry was upgraded in another tab. Reload this page.'));
+      }
+      return withTransaction(db, names, mode, rawTx => callback({
+        get: (store, key) => requestToPromise(rawTx.objectStore(store).get(key)),
+        put: (store, key, value) => requestToPromise(rawTx.objectStore(store).put(value, key)),
+        delete: (store, key) => requestToPromise(rawTx.objectStore(store).delete(key)),
+        list: store => requestToPromise(rawTx.objectStore(store).getAll()),
+        clear: store => requestToPromise(rawTx.objectStore(store).clear())
+      }));
+    },
+    close() {
+      db.close();
+    }
+  });
+}
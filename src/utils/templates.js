@@ -0,0 +1,225 @@
+/**
+ * Enrolled template sets
+ *
+ * An animal is enrolled from several captures so one bad photo can't spoil
+ * its record. Each capture's templates are kept in the record's `templates`
+ * list: { id, capturedAt, featureVector, perceptualHash, keypointTemplate,
+ * ridgeTemplate, pipelineVersion }. The record's own template fields and
+ * muzzle image are those of the reference capture, the one agreeing best
+ * with the others.
+ *
+ * Captures also carry the photo they were extracted from and its muzzle
+ * region (`muzzleRoi`), so a new image pipeline can re-extract the whole
+ * set. The photo arrives inline as `image` (a data URL); database.js
+ * stores it as a blob under captureImageKey and marks the template
+ * `hasStoredImage`.
+ *
+ * Muzzles change as animals grow, so the set changes too: re-enrollment
+ * adds a capture, adaptive updates replace the oldest and supervisors can
+ * merge in captures under review. Templates taken
+ * out of the set move to `retiredTemplates` and every change is a numbered
+ * entry in `templateRevisions` ({ revision, action, at, templateIds,
+ * reason }), so the set can be rolled back to any earlier revision.
+ */
+
+import { FEATURE_VECTOR_LENGTH, PIPELINE_VERSION, isImageHash } from './imageProcessing';
+import { isMuzzleROI } from './roi';
+import { isRidgeTemplate } from './segmentation';
+
+// Captures needed to enroll an animal, and the most kept in its set
+export const MIN_CAPTURES = 3;
+export const MAX_CAPTURES = 5;
+
+// Adaptive updates only replace templates at least this old
+export const ADAPTIVE_MIN_AGE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Template of one capture (processMuzzleImageData output or a record)
+ */
+export function createTemplate(
+  { featureVector, perceptualHash = null, keypointTemplate = null, ridgeTemplate = null, pipelineVersion = null },
+  capturedAt
+) {
+  return { capturedAt, featureVector, perceptualHash, keypointTemplate, ridgeTemplate, pipelineVersion };
+}
+
+/**
+ * Storage key of a capture's photo; template ids are only unique within a record
+ */
+export function captureImageKey(cattleId, templateId) {
+  return `${cattleId}/${templateId}`;
+}
+
+export function isTemplate(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    (value.id === undefined || typeof value.id === 'string') &&
+    typeof value.capturedAt === 'string' &&
+    Array.isArray(value.featureVector) && value.featureVector.every(Number.isFinite) &&
+    (value.perceptualHash === null || isImageHash(value.perceptualHash)) &&
+    (value.keypointTemplate === null || typeof value.keypointTemplate === 'string') &&
+    (value.ridgeTemplate === null || isRidgeTemplate(value.ridgeTemplate)) &&
+    (value.pipelineVersion === null || Number.isInteger(value.pipelineVersion)) &&
+    (value.image === undefined || typeof value.image === 'string') &&
+    (value.muzzleRoi === undefined || isMuzzleROI(value.muzzleRoi));
+}
+
+/**
+ * Templates of a record that can be compared with fresh captures. Records
+ * enrolled without a template set (demo data) use their own fields.
+ */
+export function matchableTemplates(record) {
+  const templates = (record.templates || [])
+    .filter(t => Array.isArray(t.featureVector) && t.featureVector.length === FEATURE_VECTOR_LENGTH);
+  if (templates.length > 0) return templates;
+
+  return Array.isArray(record.featureVector) && record.featureVector.length === FEATURE_VECTOR_LENGTH
+    ? [createTemplate(record, record.createdAt || '')]
+    : [];
+}
+
+/**
+ * Element-wise mean of feature vectors
+ */
+export function fuseFeatureVectors(vectors) {
+  if (vectors.length === 0) return null;
+
+  const fused = new Array(vectors[0].length).fill(0);
+  vectors.forEach(vector => {
+    vector.forEach((value, i) => { fused[i] += value / vectors.length; });
+  });
+  return fused;
+}
+
+export function isTemplateRevision(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    Number.isInteger(value.revision) &&
+    typeof value.action === 'string' &&
+    typeof value.at === 'string' &&
+    Array.isArray(value.templateIds) && value.templateIds.every(id => typeof id === 'string');
+}
+
+// Template ids are only unique within a record: t1, t2, ...
+function nextTemplateNumber(record) {
+  const numbers = [...(record.templates || []), ...(record.retiredTemplates || [])]
+    .map(t => Number(String(t.id).slice(1)))
+    .filter(Number.isInteger);
+  return numbers.length ? Math.max(...numbers) + 1 : 1;
+}
+
+// Record fields for a new template set, entered as the next revision
+function reviseTemplates(record, templates, { action, at, reason = '' }) {
+  let number = nextTemplateNumber(record);
+  const withIds = templates.map(t => (t.id ? t : { ...t, id: `t${number++}` }));
+  const keptIds = new Set(withIds.map(t => t.id));
+  const retired = (record.templates || [])
+    .filter(t => !keptIds.has(t.id))
+    .map(t => ({ ...t, retiredAt: at }));
+  const revisions = record.templateRevisions || [];
+
+  return {
+    templates: withIds.map(t => {
+      const { retiredAt: _retiredAt, ...active } = t;
+      return active;
+    }),
+    retiredTemplates: [...(record.retiredTemplates || []).filter(t => !keptIds.has(t.id)), ...retired],
+    templateRevisions: [...revisions, {
+      revision: revisions.length + 1,
+      action,
+      at,
+      templateIds: withIds.map(t => t.id),
+      reason
+    }]
+  };
+}
+
+/**
+ * Template history fields for a newly enrolled set (revision 1)
+ */
+export function startTemplateHistory(templates, at) {
+  return reviseTemplates({ templates: [], retiredTemplates: [], templateRevisions: [] }, templates, {
+    action: 'enroll',
+    at
+  });
+}
+
+function oldestIndex(templates) {
+  return templates.reduce(
+    (oldest, t, i) => (t.capturedAt < templates[oldest].capturedAt ? i : oldest),
+    0
+  );
+}
+
+/**
+ * Re-enrollment: add a freshly captured template to the set. A full set
+ * retires its oldest template to make room.
+ */
+export function addTemplate(record, template, { at, reason = '' }) {
+  const templates = [...(record.templates || []), template];
+  if (templates.length > MAX_CAPTURES) {
+    templates.splice(oldestIndex(templates), 1);
+  }
+  return reviseTemplates(record, templates, { action: 're-enroll', at, reason });
+}
+
+/**
+ * Merge captures of the same animal (from a supervisor's review) into the
+ * set, keeping the MAX_CAPTURES newest
+ */
+export function mergeTemplates(record, templates, { at, reason = '' }) {
+  // Incoming ids belong to another record's numbering
+  const incoming = templates.map(t => {
+    const { id: _id, ...template } = t;
+    return template;
+  });
+  const merged = [...(record.templates || []), ...incoming]
+    .sort((a, b) => (a.capturedAt < b.capturedAt ? -1 : a.capturedAt > b.capturedAt ? 1 : 0))
+    .slice(-MAX_CAPTURES);
+  return reviseTemplates(record, merged, { action: 'merge', at, reason });
+}
+
+/**
+ * Adaptive update: replace the oldest template with one from a confident
+ * match, if it is at least ADAPTIVE_MIN_AGE_DAYS old. Returns null when
+ * there is nothing to replace.
+ */
+export function refreshOldestTemplate(record, template, { at, reason = '' }) {
+  const templates = [...(record.templates || [])];
+  if (templates.length === 0) return null;
+
+  const oldest = oldestIndex(templates);
+  if (new Date(at) - new Date(templates[oldest].capturedAt) < ADAPTIVE_MIN_AGE_DAYS * DAY_MS) {
+    return null;
+  }
+  templates[oldest] = template;
+  return reviseTemplates(record, templates, { action: 'adaptive', at, reason });
+}
+
+/**
+ * Restore the template set of an earlier revision, as a new revision.
+ * Sets whose templates came from another image pipeline can't be restored.
+ */
+export function rollbackTemplates(record, revision, { at, reason = '' }) {
+  const target = (record.templateRevisions || []).find(r => r.revision === revision);
+  if (!target) {
+    throw new Error(`Template revision ${revision} not found`);
+  }
+
+  const known = new Map(
+    [...(record.retiredTemplates || []), ...(record.templates || [])].map(t => [t.id, t])
+  );
+  const templates = target.templateIds.map(id => known.get(id));
+  if (templates.some(t => !t)) {
+    throw new Error(`Templates of revision ${revision} are no longer stored`);
+  }
+  if (templates.some(t => t.pipelineVersion !== null && t.pipelineVersion !== PIPELINE_VERSION)) {
+    throw new Error(`Templates of revision ${revision} came from an older image pipeline`);
+  }
+
+  return reviseTemplates(record, templates, {
+    action: 'rollback',
+    at,
+    reason: reason || `Rolled back to revision ${revision}`
+  });
+}
@@ -0,0 +1,181 @@
+/**
+ * Controlled vocabularies for cattle records
+ * The first entry of each list is the form placeholder.
+ */
+
+// Breed options
+export const BREEDS = [
+  'Select Breed',
+  'Boran',
+  'Zebu',
+  'Ankole',
+  'Aberdeen Angus',
+  'Hereford',
+  'Charolais',
+  'Limousin',
+  'Simmental',
+  'Sahiwal',
+  'Gyr',
+  'Ayrshire',
+  'Friesian',
+  'Jersey',
+  'Guernsey',
+  'Holstein',
+  'Dexter',
+  'Highland',
+  'Belgian Blue',
+  'Wagyu',
+  'Other'
+];
+
+// Location options (Kenyan counties + regions)
+export const LOCATIONS = [
+  'Select Location',
+  'Turkana',
+  'West Pokot',
+  'Kajiado',
+  'Narok',
+  'Samburu',
+  'Isiolo',
+  'Marsabit',
+  'Wajir',
+  'Garissa',
+  'Mandera',
+  'Baringo',
+  'Laikipia',
+  'Nakuru',
+  'Uasin Gishu',
+  'Trans Nzoia',
+  'Elgeyo Marakwet',
+  'Nandi',
+  'Bomet',
+  'Kericho',
+  'Bomet',
+  'Nandi',
+  'Kakamega',
+  'Vihiga',
+  'Bungoma',
+  'Busia',
+  'Siaya',
+  'Kisumu',
+  'Homa Bay',
+  'Migori',
+  'Kisii',
+  'Nyamira',
+  'Nairobi',
+  'Kiambu',
+  'Murang\'a',
+  'Nyeri',
+  'Kirinyaga',
+  'Embu',
+  'Tharaka Nithi',
+  'Meru',
+  'Isiolo',
+  'Machakos',
+  'Makueni',
+  'Kitui',
+  'Kilifi',
+  'Kwale',
+  'Mombasa',
+  'Taita Taveta',
+  'Lamu',
+  'Tana River',
+  'Other'
+];
+
+// Age options
+export const AGES = [
+  'Select Age',
+  'Calf (0-6 months)',
+  'Weaner (6-12 months)',
+  'Yearling (1-2 years)',
+  '2 years',
+  '3 years',
+  '4 years',
+  '5 years',
+  '6 years',
+  '7 years',
+  '8 years',
+  '9 years',
+  '10 years',
+  '11 years',
+  '12 years',
+  '13+ years'
+];
+
+// Sex options
+export const SEXES = [
+  'Select Sex',
+  'Female (Cow/Heifer)',
+  'Male (Bull/Steer)',
+  'Female (Cow)',
+  'Female (Heifer)',
+  'Male (Bull)',
+  'Male (Steer)',
+  'Calf (Unknown)'
+];
+
+// Color/Markings options (Top 10+ for cattle)
+export const COLORS = [
+  'Select Color/Markings',
+  'Solid Black',
+  'Solid Brown',
+  'Solid Red',
+  'Solid White',
+  'Black and White (Piebald)',
+  'Brown and White',
+  'Red and White',
+  'Black with White Face',
+  'Brown with White Face',
+  'Spotted/Speckled',
+  'Brindle',
+  'Roan (Red)',
+  'Roan (Blue)',
+  'Dun',
+  'Gray',
+  'Yellow/Tan',
+  'Belted (Dutch Belt)',
+  'Lineback',
+  'Other'
+];
+
+// Plain values that fit several entries, and the entry they mean: the
+// group entry for a sex, the solid coat for a colour
+const PLAIN_VALUES = {
+  female: 'Female (Cow/Heifer)',
+  male: 'Male (Bull/Steer)',
+  black: 'Solid Black',
+  brown: 'Solid Brown',
+  red: 'Solid Red',
+  white: 'Solid White',
+  grey: 'Gray'
+};
+
+function normalize(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9+]/g, '');
+}
+
+/**
+ * Map free text onto a vocabulary entry, ignoring case, spacing and
+ * punctuation. An exact match wins; plain values such as "Female" or
+ * "Black" map to the entry in PLAIN_VALUES; otherwise either part of a
+ * bracketed entry matches ("Calf" or "Piebald"). Returns null when
+ * nothing, or more than one entry, matches.
+ */
+export function matchVocabulary(list, text) {
+  const wanted = normalize(text);
+  if (!wanted) return null;
+
+  const options = list.slice(1);
+  const exact = options.find(option => normalize(option) === wanted);
+  if (exact) return exact;
+
+  const plain = PLAIN_VALUES[wanted];
+  if (plain && options.includes(plain)) return plain;
+
+  const partial = new Set(options.filter(option => {
+    const parts = option.match(/^(.*?)\s*\((.*)\)$/);
+    return parts && (normalize(parts[1]) === wanted || normalize(parts[2]) === wanted);
+  }));
+  return partial.size === 1 ? [...partial][0] : null;
+}
@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { diffRecords } from '../src/utils/auditLog';
+
+describe('diffRecords', () => {
+  it('lists changed fields with their values', () => {
+    expect(diffRecords({ cowName: 'Daisy', age: 3 }, { cowName: 'Bella', age: 3 }))
+      .toEqual({ cowName: { before: 'Daisy', after: 'Bella' } });
+    expect(diffRecords(null, { cowName: 'Daisy' })).toEqual({ cowName: { before: null, after: 'Daisy' } });
+  });
+
+  it('notices an edit to a long value that keeps its length', () => {
+    const image = 'data:image/png;base64,' + 'A'.repeat(300);
+    const edited = 'data:image/png;base64,' + 'B'.repeat(300);
+
+    expect(diffRecords({ muzzleImage: image }, { muzzleImage: edited })).toEqual({
+      muzzleImage: { before: '[322 characters]', after: '[322 characters]' }
+    });
+  });
+
+  it('ignores the order of object keys', () => {
+    expect(diffRecords({ roi: { width: 1, height: 2 } }, { roi: { height: 2, width: 1 } })).toEqual({});
+  });
+});
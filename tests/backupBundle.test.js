@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { createBackupBundle, openBackupBundle } from '../src/utils/backupBundle';
+import { captureImageKey } from '../src/utils/templates';
+import { template } from './helpers/records';
+
+const passphrase = 'correct horse battery';
+
+const png = bytes => new Blob([new Uint8Array(bytes)], { type: 'image/png' });
+
+describe('backup bundles', () => {
+  it('restores the muzzle image and every capture\'s photo', async () => {
+    const record = {
+      id: 'cow',
+      cowName: 'Daisy',
+      templates: [{ ...template(1), id: 't2' }],
+      retiredTemplates: [{ ...template(2), id: 't1' }, { ...template(3), id: 't0' }]
+    };
+    const images = new Map([
+      ['cow', png([1, 2, 3])],
+      [captureImageKey('cow', 't2'), png([4, 5])],
+      [captureImageKey('cow', 't1'), png([6])]
+    ]);
+
+    const bundle = JSON.parse(await createBackupBundle([record], images, passphrase));
+    const [restored] = await openBackupBundle(bundle, passphrase);
+
+    expect(restored.muzzleImage).toBe(`data:image/png;base64,${btoa('\x01\x02\x03')}`);
+    expect(restored.templates[0].image).toBe(`data:image/png;base64,${btoa('\x04\x05')}`);
+    expect(restored.retiredTemplates[0].image).toBe(`data:image/png;base64,${btoa('\x06')}`);
+    expect(restored.retiredTemplates[1].image).toBeUndefined();
+  });
+
+  it('refuses key derivation settings outside the supported range', async () => {
+    const bundle = JSON.parse(await createBackupBundle([{ id: 'cow' }], new Map(), passphrase));
+
+    for (const iterations of [1, 250000.5, '250000', 1e9]) {
+      await expect(openBackupBundle({ ...bundle, kdf: { ...bundle.kdf, iterations } }, passphrase))
+        .rejects.toThrow('unsupported key derivation setting');
+    }
+    await expect(openBackupBundle(bundle, passphrase)).resolves.toEqual([{ id: 'cow' }]);
+  });
+
+  it('refuses a wrong passphrase', async () => {
+    const bundle = JSON.parse(await createBackupBundle([{ id: 'cow' }], new Map(), passphrase));
+
+    await expect(openBackupBundle(bundle, 'not the passphrase')).rejects.toThrow('Wrong passphrase');
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import {
+  TARGET_FALSE_ACCEPT_RATES,
+  fitCalibration,
+  isCalibration,
+  matchProbability
+} from '../src/utils/calibration';
+
+// Park-Miller generator, so every run fits the same pairs
+function random(seed) {
+  let state = seed * 7919 + 1;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+// Roughly normal noise (sum of uniforms)
+function noise(next, spread) {
+  return (next() + next() + next() + next() - 2) * spread;
+}
+
+// Genuine pairs score higher on every field but the hash, which carries no
+// information; some captures have no ridge signature
+function pairs(count, genuine, next) {
+  return Array.from({ length: count }, (_, i) => ({
+    genuine,
+    fields: {
+      vector: (genuine ? 0.95 : 0.9) + noise(next, 0.02),
+      ridges: i % 5 === 0 ? null : (genuine ? 0.88 : 0.78) + noise(next, 0.04),
+      keypoints: Math.log1p(Math.max(0, Math.round((genuine ? 14 : 3) + noise(next, 4)))),
+      hash: 0.5 + noise(next, 0.06)
+    }
+  }));
+}
+
+describe('fitCalibration', () => {
+  const next = random(7);
+  const genuine = pairs(60, true, next);
+  const impostor = pairs(600, false, next);
+  const model = fitCalibration([...genuine, ...impostor], { now: new Date('2026-05-01T00:00:00.000Z') });
+
+  it('fits a usable model on the pairs', () => {
+    expect(isCalibration(model)).toBe(true);
+    expect(model).toMatchObject({ fittedAt: '2026-05-01T00:00:00.000Z', genuinePairs: 60, impostorPairs: 600 });
+    expect(model.weights.keypoints).toBeGreaterThan(0);
+    expect(model.weights.vector).toBeGreaterThan(0);
+    expect(model.weights.ridges).toBeGreaterThan(0);
+    expect(Math.abs(model.weights.hash)).toBeLessThan(model.weights.keypoints / 4);
+  });
+
+  it('scores genuine pairs above impostors', () => {
+    const mean = list => list.reduce((sum, p) => sum + matchProbability(model, p.fields), 0) / list.length;
+
+    expect(mean(genuine)).toBeGreaterThan(0.8);
+    expect(mean(impostor)).toBeLessThan(0.2);
+  });
+
+  it('sets label thresholds that keep to their false-accept targets', () => {
+    const { excellent, good, possible } = model.thresholds;
+
+    expect(excellent).toBeGreaterThanOrEqual(Math.max(good, 0.9));
+    expect(good).toBeGreaterThanOrEqual(Math.max(possible, 0.5));
+    Object.entries(TARGET_FALSE_ACCEPT_RATES).forEach(([label, rate]) => {
+      const accepted = impostor.filter(p => matchProbability(model, p.fields) >= model.thresholds[label]);
+      expect(accepted.length / impostor.length).toBe(model.falseAcceptRates[label]);
+      expect(model.falseAcceptRates[label]).toBeLessThanOrEqual(rate);
+    });
+    expect(model.falseRejectRates.possible).toBeLessThanOrEqual(model.falseRejectRates.good);
+    expect(model.falseRejectRates.good).toBeLessThanOrEqual(model.falseRejectRates.excellent);
+    expect(model.falseRejectRates.good).toBeLessThan(0.2);
+  });
+
+  it('needs enough pairs of each kind', () => {
+    expect(() => fitCalibration([...genuine.slice(0, 4), ...impostor.slice(0, 50)]))
+      .toThrow('Calibration needs at least 5 genuine and 5 impostor pairs (got 4 and 50)');
+    expect(() => fitCalibration([...genuine, ...impostor.slice(0, 4)]))
+      .toThrow('(got 60 and 4)');
+    expect(() => fitCalibration([])).toThrow('(got 0 and 0)');
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import {
+  formatCertificateId,
+  isValidCertificateId,
+  luhnCheckDigit,
+  parseCertificateId
+} from '../src/utils/certificateId';
+
+describe('certificate IDs', () => {
+  it('issues IDs with a Luhn check digit', () => {
+    expect(luhnCheckDigit('7992739871')).toBe(3);
+    expect(formatCertificateId(2026, 1)).toBe('UFUGAJI-2026-001-4');
+    expect(formatCertificateId(2026, 1234)).toMatch(/^UFUGAJI-2026-1234-\d$/);
+  });
+
+  it('parses the IDs it issues', () => {
+    for (const sequence of [1, 42, 999, 1000, 52731]) {
+      const id = formatCertificateId(2026, sequence);
+
+      expect(parseCertificateId(id)).toEqual({ year: 2026, sequence, legacy: false, valid: true });
+      expect(isValidCertificateId(id)).toBe(true);
+    }
+    expect(parseCertificateId(' ufugaji-2026-001-4 ')).toMatchObject({ valid: true });
+  });
+
+  it('catches a mistyped digit or swapped neighbouring digits', () => {
+    const id = formatCertificateId(2026, 137);
+    const wrongCheck = id.replace(/\d$/, d => String((Number(d) + 1) % 10));
+
+    expect(parseCertificateId(wrongCheck)).toMatchObject({ year: 2026, sequence: 137, legacy: false, valid: false });
+    expect(isValidCertificateId(wrongCheck)).toBe(false);
+
+    // Every single-digit change to the year or sequence
+    const digits = '2026137';
+    for (let i = 0; i < digits.length; i++) {
+      for (let d = 0; d <= 9; d++) {
+        if (String(d) === digits[i]) continue;
+        const typo = digits.slice(0, i) + d + digits.slice(i + 1);
+        expect(isValidCertificateId(`UFUGAJI-${typo.slice(0, 4)}-${typo.slice(4)}-${id.at(-1)}`)).toBe(false);
+      }
+    }
+    expect(isValidCertificateId('UFUGAJI-2026-173-' + id.at(-1))).toBe(false);
+  });
+
+  it('recognises legacy IDs without a check digit', () => {
+    expect(parseCertificateId('UFUGAJI-2024-007')).toEqual({ year: 2024, sequence: 7, legacy: true, valid: true });
+    expect(isValidCertificateId('UFUGAJI-2024-007')).toBe(true);
+  });
+
+  it('rejects anything else', () => {
+    for (const value of [null, undefined, '', 'UFUGAJI-2026', 'UFUGAJI-26-001-4', 'UFUGAJI-2026-01-4', 'COW-2026-001-4', 'UFUGAJI-2026-001-44']) {
+      expect(parseCertificateId(value)).toBeNull();
+      expect(isValidCertificateId(value)).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,82 @@
+import { fileURLToPath } from 'node:url';
+import { describe, expect, it } from 'vitest';
+import { applyCLAHE } from '../src/utils/imageProcessing';
+import { pixel, readPGM } from './helpers/images';
+
+// muzzle-ridges: a ridge texture lit unevenly from the left, 203x149 so the
+// 8x8 tile grid doesn't divide it evenly. smooth-gradient: a gentle
+// gradient, where any step between tile mappings shows as a seam.
+const fixture = name => readPGM(fileURLToPath(new URL(`./fixtures/${name}.pgm`, import.meta.url)));
+
+const TILES = 8;
+
+function columnMean(image, x) {
+  let sum = 0;
+  for (let y = 0; y < image.height; y++) sum += pixel(image, x, y);
+  return sum / image.height;
+}
+
+function rowMean(image, y) {
+  let sum = 0;
+  for (let x = 0; x < image.width; x++) sum += pixel(image, x, y);
+  return sum / image.width;
+}
+
+describe('applyCLAHE', () => {
+  it('maps every pixel, leaving no black border where the tiles end', () => {
+    const input = fixture('muzzle-ridges');
+    const output = applyCLAHE(input, { clipLimit: 2, tileSize: TILES });
+
+    const { width, height } = output;
+    const lastColumn = columnMean(output, width - 1);
+    const lastRow = rowMean(output, height - 1);
+    expect(lastColumn).toBeGreaterThan(0.5 * columnMean(output, width - 8));
+    expect(lastRow).toBeGreaterThan(0.5 * rowMean(output, height - 8));
+
+    let black = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (pixel(output, x, y) === 0 && pixel(input, x, y) > 0) black++;
+      }
+    }
+    expect(black).toBe(0);
+  });
+
+  it('leaves no seams at tile edges', () => {
+    const input = fixture('smooth-gradient');
+    const output = applyCLAHE(input, { clipLimit: 2, tileSize: TILES });
+    const { width, height } = output;
+
+    // Steps between neighbouring pixels that straddle a tile edge should be
+    // no larger than those inside the tiles
+    const edgeColumns = new Set(Array.from({ length: TILES - 1 }, (_, k) => Math.floor(((k + 1) * width) / TILES)));
+    let edgeStep = 0;
+    let innerStep = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 1; x < width; x++) {
+        const step = Math.abs(pixel(output, x, y) - pixel(output, x - 1, y));
+        if (edgeColumns.has(x)) {
+          edgeStep = Math.max(edgeStep, step);
+        } else {
+          innerStep = Math.max(innerStep, step);
+        }
+      }
+    }
+    expect(edgeStep).toBeLessThanOrEqual(innerStep + 1);
+
+    const edgeRows = new Set(Array.from({ length: TILES - 1 }, (_, k) => Math.floor(((k + 1) * height) / TILES)));
+    edgeStep = 0;
+    innerStep = 0;
+    for (let y = 1; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const step = Math.abs(pixel(output, x, y) - pixel(output, x, y - 1));
+        if (edgeRows.has(y)) {
+          edgeStep = Math.max(edgeStep, step);
+        } else {
+          innerStep = Math.max(innerStep, step);
+        }
+      }
+    }
+    expect(edgeStep).toBeLessThanOrEqual(innerStep + 1);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { mapCSVRecords, parseCSV, toCSV } from '../src/utils/csv';
+
+const HEADER = 'Certificate ID,Cow Name,Owner Name,Breed,Age,Sex,Color/Markings,Location';
+
+const csv = (...lines) => [HEADER, ...lines].join('\r\n');
+
+describe('parseCSV', () => {
+  it('reads quoted fields with commas, quotes and line breaks', () => {
+    expect(parseCSV('﻿a,"b, c","say ""hi"""\r\n"two\nlines",,x\n\n')).toEqual([
+      ['a', 'b, c', 'say "hi"'],
+      ['two\nlines', '', 'x']
+    ]);
+  });
+
+  it('reads back what toCSV writes, formulas escaped', () => {
+    const columns = [{ key: 'name', label: 'Name' }, { key: 'note', label: 'Note' }];
+    const text = toCSV([{ name: '=HYPERLINK("x")', note: 'line one\nline "two"' }, { name: null, note: '-3' }], columns);
+
+    expect(text).toBe('Name,Note\r\n"\'=HYPERLINK(""x"")","line one\nline ""two"""\r\n,\'-3\r\n');
+    expect(parseCSV(text)).toEqual([
+      ['Name', 'Note'],
+      ['\'=HYPERLINK("x")', 'line one\nline "two"'],
+      ['', '\'-3']
+    ]);
+  });
+});
+
+describe('mapCSVRecords', () => {
+  it('maps plain spreadsheet values onto the form\'s vocabularies', () => {
+    const { rows, problems } = mapCSVRecords(csv(
+      ',Daisy,Jane Wanjiru,friesian,3,Female,black,kiambu',
+      ',Kamau,John Otieno,Boran,15,male,Brown,Nakuru',
+      ',Tiny,Jane Wanjiru,Friesian,1,Calf,Solid Red,Kiambu',
+      ',Newborn,Jane Wanjiru,Friesian,0,,,Kiambu'
+    ));
+
+    expect(problems).toEqual([]);
+    expect(rows.map(r => r.fields)).toEqual([
+      { certificateId: null, cowName: 'Daisy', ownerName: 'Jane Wanjiru', breed: 'Friesian', location: 'Kiambu', age: '3 years', sex: 'Female (Cow/Heifer)', color: 'Solid Black' },
+      { certificateId: null, cowName: 'Kamau', ownerName: 'John Otieno', breed: 'Boran', location: 'Nakuru', age: '13+ years', sex: 'Male (Bull/Steer)', color: 'Solid Brown' },
+      { certificateId: null, cowName: 'Tiny', ownerName: 'Jane Wanjiru', breed: 'Friesian', location: 'Kiambu', age: 'Yearling (1-2 years)', sex: 'Calf (Unknown)', color: 'Solid Red' },
+      { certificateId: null, cowName: 'Newborn', ownerName: 'Jane Wanjiru', breed: 'Friesian', location: 'Kiambu', age: 'Calf (0-6 months)', sex: null, color: null }
+    ]);
+  });
+
+  it('undoes the formula escaping of an exported cell', () => {
+    const { rows } = mapCSVRecords(csv(',\'=Daisy,\'+Jane,Friesian,,,,Kiambu'));
+
+    expect(rows[0].fields).toMatchObject({ cowName: '=Daisy', ownerName: '+Jane' });
+  });
+
+  it('reports rows it can\'t map, numbered as in the spreadsheet', () => {
+    const { rows, problems } = mapCSVRecords(csv(
+      ',Daisy,Jane Wanjiru,Friesian,3,,,Kiambu',
+      ',,Jane Wanjiru,Unicorn,,,,',
+      '"UFUGAJI-2026-001-4","Multi\nline",Jane,Friesian,,,,Kiambu'
+    ));
+
+    expect(rows.map(r => r.row)).toEqual([2, 4]);
+    expect(problems).toEqual([{ row: 3, errors: ['Missing cow name', 'Unrecognised breed "Unicorn"', 'Missing location'] }]);
+  });
+
+  it('refuses a file with one certificate ID on two rows', () => {
+    const { rows, problems } = mapCSVRecords(csv(
+      'UFUGAJI-2026-001-4,Daisy,Jane Wanjiru,Friesian,,,,Kiambu',
+      'UFUGAJI-2026-002-2,Kamau,John Otieno,Boran,,,,Nakuru',
+      'ufugaji-2026-001-4,Daisy,Jane Wanjiru,Friesian,4,,,Kiambu'
+    ));
+
+    expect(rows).toEqual([]);
+    expect(problems).toEqual([
+      { row: 2, errors: ['Certificate ID UFUGAJI-2026-001-4 is on rows 2, 4'] },
+      { row: 4, errors: ['Certificate ID UFUGAJI-2026-001-4 is on rows 2, 4'] }
+    ]);
+  });
+
+  it('names missing required columns', () => {
+    expect(mapCSVRecords('Cow Name,Owner Name\r\nDaisy,Jane').problems)
+      .toEqual([{ row: 1, errors: ['Missing column(s): Breed, Location'] }]);
+    expect(mapCSVRecords('').problems).toEqual([{ row: 1, errors: ['File is empty'] }]);
+  });
+});
@@ -0,0 +1,392 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  addCattle,
+  createStorageAdapter,
+  decideReview,
+  deleteCattle,
+  getAllCattle,
+  getAuditTrail,
+  getCattleById,
+  getReviews,
+  importDatabase,
+  initializeDB,
+  purgeCattle,
+  reenrollCattle,
+  rollbackCattleTemplates,
+  setCattleStatus,
+  submitReview,
+  transferOwnership,
+  updateCattle,
+  verifyAuditLog
+} from '../src/utils/database';
+import { IMAGE_JOBS } from '../src/utils/imageJobs';
+import { CURRENT_SCHEMA_VERSION } from '../src/utils/schema';
+import { captureImageKey } from '../src/utils/templates';
+import { enrollment, template } from './helpers/records';
+
+const actions = entries => entries.map(e => e.action);
+
+// verifyIdentity result for a passing scan of `record`
+function verifiedScan(record, matchPercentage = 97.5) {
+  return { verified: true, reason: null, cattleId: record.id, probability: matchPercentage / 100, matchPercentage };
+}
+
+// Stored form of a fetched record, as an export would write it
+function exported(record) {
+  const { hasStoredImage: _hasStoredImage, ...rest } = record;
+  return rest;
+}
+
+beforeEach(async () => {
+  await initializeDB({ adapter: 'memory', seed: false });
+});
+
+describe('transferOwnership', () => {
+  const buyer = { name: 'New Owner', phone: '0700 000000' };
+
+  it('requires a verified scan', async () => {
+    const cow = await addCattle(enrollment(1), { actor: 'clerk' });
+
+    await expect(transferOwnership(cow.id, { buyer, verification: { verified: false } }))
+      .rejects.toThrow('verified muzzle scan');
+    expect((await getCattleById(cow.id)).ownerName).toBe('Owner 1');
+  });
+
+  it('closes the seller\'s ownership and reissues the certificate', async () => {
+    const cow = await addCattle(enrollment(1), { actor: 'clerk' });
+    const verification = verifiedScan(cow);
+
+    const sold = await transferOwnership(cow.id, { buyer, market: 'Kiambu', price: 60000, verification }, { actor: 'clerk' });
+
+    expect(sold.ownerName).toBe('New Owner');
+    expect(sold.ownershipHistory).toHaveLength(2);
+    expect(sold.ownershipHistory[0].to).not.toBeNull();
+    expect(sold.ownershipHistory[1].transfer).toMatchObject({
+      seller: { name: 'Owner 1' },
+      market: 'Kiambu',
+      price: 60000,
+      matchPercentage: 97.5,
+      certificateRevision: 2
+    });
+    expect(sold.certificateRevisions.map(r => [r.revision, r.supersededBy])).toEqual([[1, 2], [2, null]]);
+    expect(actions(await getAuditTrail(cow.id))).toEqual(['create', 'transfer']);
+  });
+
+  it('refuses a verification of another animal or below the registry\'s threshold', async () => {
+    const cow = await addCattle(enrollment(1));
+    const other = await addCattle(enrollment(2));
+
+    await expect(transferOwnership(cow.id, { buyer, verification: verifiedScan(other) }))
+      .rejects.toThrow('of a different animal');
+    await expect(transferOwnership(cow.id, { buyer, verification: verifiedScan(cow, 20) }))
+      .rejects.toThrow('below the 50.0% required');
+    await expect(transferOwnership(cow.id, { buyer, verification: { verified: true, matchPercentage: 99 } }))
+      .rejects.toThrow('of a different animal');
+    expect((await getCattleById(cow.id)).ownerName).toBe('Owner 1');
+  });
+
+  it('refuses archived animals and the current owner as buyer', async () => {
+    const cow = await addCattle(enrollment(1));
+    const verification = verifiedScan(cow);
+
+    await expect(transferOwnership(cow.id, { buyer: { name: 'Owner 1' }, verification }))
+      .rejects.toThrow('already the registered owner');
+
+    await deleteCattle(cow.id, { reason: 'Entered twice', actor: 'clerk' });
+    await expect(transferOwnership(cow.id, { buyer, verification }))
+      .rejects.toThrow('recorded as archived');
+  });
+});
+
+describe('concurrent changes', () => {
+  it('applies each change to the record the one before it wrote', async () => {
+    const cow = await addCattle(enrollment(1));
+
+    await Promise.all([
+      updateCattle(cow.id, { cowName: 'Daisy' }),
+      updateCattle(cow.id, { location: 'Nyeri' }),
+      setCattleStatus(cow.id, 'stolen', { reason: 'Taken from the boma' }),
+      setCattleStatus(cow.id, 'active', { reason: 'Found' })
+    ]);
+
+    const stored = await getCattleById(cow.id);
+    expect(stored).toMatchObject({ cowName: 'Daisy', location: 'Nyeri', status: 'active' });
+    expect(stored.statusHistory.map(e => e.status)).toEqual(['stolen', 'active']);
+
+    const trail = await getAuditTrail(cow.id);
+    expect(trail.find(e => e.action === 'update' && e.changes.location).changes.cowName).toBeUndefined();
+    expect((await verifyAuditLog()).valid).toBe(true);
+  });
+});
+
+describe('template revisions', () => {
+  it('enrolls the captures as revision 1', async () => {
+    const cow = await addCattle(enrollment(1));
+
+    expect(cow.templates.map(t => t.id)).toEqual(['t1', 't2', 't3']);
+    expect(cow.templateRevisions).toMatchObject([{ revision: 1, action: 'enroll', templateIds: ['t1', 't2', 't3'] }]);
+  });
+
+  it('adds re-enrollment captures and rolls back to an earlier set', async () => {
+    const cow = await addCattle(enrollment(1));
+
+    await expect(reenrollCattle(cow.id, template(14), { verification: { verified: false } }))
+      .rejects.toThrow('verified muzzle scan');
+
+    const reenrolled = await reenrollCattle(cow.id, template(14), { verification: verifiedScan(cow, 96.2), actor: 'vet' });
+    expect(reenrolled.templates.map(t => t.id)).toEqual(['t1', 't2', 't3', 't4']);
+    expect(reenrolled.templateRevisions[1]).toMatchObject({ revision: 2, action: 're-enroll' });
+
+    const rolledBack = await rollbackCattleTemplates(cow.id, 1, { actor: 'vet' });
+    expect(rolledBack.templates.map(t => t.id)).toEqual(['t1', 't2', 't3']);
+    expect(rolledBack.retiredTemplates.map(t => t.id)).toEqual(['t4']);
+    expect(rolledBack.templateRevisions.map(r => r.action)).toEqual(['enroll', 're-enroll', 'rollback']);
+    expect(actions(await getAuditTrail(cow.id))).toEqual(['create', 'reenroll', 'template-rollback']);
+  });
+
+  it('refuses a verification of another animal or below the registry\'s threshold', async () => {
+    const cow = await addCattle(enrollment(1));
+    const other = await addCattle(enrollment(2));
+
+    await expect(reenrollCattle(cow.id, template(14), { verification: verifiedScan(other) }))
+      .rejects.toThrow('of a different animal');
+    await expect(reenrollCattle(cow.id, template(14), { verification: verifiedScan(cow, 45) }))
+      .rejects.toThrow('below the 50.0% required');
+    expect((await getCattleById(cow.id)).templates).toHaveLength(3);
+  });
+
+  it('stores every capture\'s photo apart from the record until it is purged', async () => {
+    const adapter = await createStorageAdapter('memory');
+    await initializeDB({ adapter, seed: false });
+    const photo = 'data:image/png;base64,iVBORw0KGgo=';
+    const fields = enrollment(1);
+    const cow = await addCattle({ ...fields, templates: fields.templates.map(t => ({ ...t, image: photo })) });
+
+    expect(cow.templates.every(t => t.hasStoredImage && t.image === undefined)).toBe(true);
+    const reenrolled = await reenrollCattle(cow.id, { ...template(14), image: photo }, { verification: verifiedScan(cow) });
+    const keys = reenrolled.templates.map(t => captureImageKey(cow.id, t.id));
+    for (const key of keys) {
+      expect(await adapter.get('captures', key)).toBeInstanceOf(Blob);
+    }
+
+    await deleteCattle(cow.id, { reason: 'Sold abroad' });
+    await purgeCattle(cow.id, { now: new Date(Date.now() + 400 * 24 * 60 * 60 * 1000) });
+    for (const key of keys) {
+      expect(await adapter.get('captures', key)).toBeUndefined();
+    }
+  });
+
+  it('refuses unknown revisions', async () => {
+    const cow = await addCattle(enrollment(1));
+
+    await expect(rollbackCattleTemplates(cow.id, 5)).rejects.toThrow('revision 5 not found');
+  });
+});
+
+describe('review queue', () => {
+  async function duplicateReview() {
+    const onRecord = await addCattle(enrollment(1));
+    const review = await submitReview({
+      kind: 'duplicate',
+      note: 'Good Match with Cow 1',
+      enrollment: enrollment(2),
+      candidates: [{ ...onRecord, matchPercentage: 91.4 }]
+    }, { actor: 'clerk' });
+    return { onRecord, review };
+  }
+
+  it('keeps submitted reviews pending', async () => {
+    const { review } = await duplicateReview();
+
+    expect(review).toMatchObject({ status: 'pending', submittedBy: 'clerk', decision: null });
+    expect((await getReviews()).map(r => r.id)).toEqual([review.id]);
+  });
+
+  it('enrolls an approved enrollment and records the decision on both animals', async () => {
+    const { onRecord, review } = await duplicateReview();
+
+    const decided = await decideReview(review.id, { decision: 'approve', reason: 'Checked in person' }, { actor: 'supervisor' });
+
+    expect(decided.status).toBe('approved');
+    const created = await getCattleById(decided.decision.cattleId);
+    expect(created.cowName).toBe('Cow 2');
+    expect(created.reviewDecisions).toMatchObject([{ reviewId: review.id, decision: 'approve', relatedId: onRecord.id }]);
+    expect((await getCattleById(onRecord.id)).reviewDecisions)
+      .toMatchObject([{ reviewId: review.id, relatedId: created.id }]);
+    expect(await getReviews()).toEqual([]);
+  });
+
+  it('merges the captures into the chosen animal', async () => {
+    const { onRecord, review } = await duplicateReview();
+
+    await decideReview(review.id, { decision: 'merge', targetId: onRecord.id, reason: 'Same animal' }, { actor: 'supervisor' });
+
+    const merged = await getCattleById(onRecord.id);
+    expect(merged.templates).toHaveLength(5);
+    expect(merged.templateRevisions.at(-1).action).toBe('merge');
+    expect(await getAllCattle()).toHaveLength(1);
+  });
+
+  it('refuses a decision by whoever submitted the review', async () => {
+    const { review } = await duplicateReview();
+
+    await expect(decideReview(review.id, { decision: 'approve', reason: 'Looks fine' }, { actor: ' Clerk ' }))
+      .rejects.toThrow('someone other than who submitted it');
+    expect((await getReviews()).map(r => r.id)).toEqual([review.id]);
+    expect(await getAllCattle()).toHaveLength(1);
+  });
+
+  it('rejects decisions without a reason and decisions on settled reviews', async () => {
+    const { review } = await duplicateReview();
+
+    await expect(decideReview(review.id, { decision: 'reject', reason: ' ' }, { actor: 'supervisor' }))
+      .rejects.toThrow('reason');
+    await decideReview(review.id, { decision: 'reject', reason: 'Not a cow' }, { actor: 'supervisor' });
+    await expect(decideReview(review.id, { decision: 'approve', reason: 'Changed my mind' }, { actor: 'supervisor' }))
+      .rejects.toThrow('already rejected');
+    expect(await getAllCattle()).toHaveLength(1);
+  });
+
+  it('settles a review once when two decisions arrive together', async () => {
+    const { review } = await duplicateReview();
+
+    const results = await Promise.allSettled([
+      decideReview(review.id, { decision: 'approve', reason: 'Checked in person' }, { actor: 'supervisor' }),
+      decideReview(review.id, { decision: 'approve', reason: 'Looks fine' }, { actor: 'vet' })
+    ]);
+
+    expect(results.map(r => r.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason.message).toMatch('already approved');
+    expect(await getAllCattle()).toHaveLength(2);
+  });
+});
+
+describe('importDatabase', () => {
+  it('previews a dry run without writing', async () => {
+    const cow = await addCattle(enrollment(1));
+    const file = JSON.stringify([exported(cow), { ...exported(await addCattle(enrollment(2))), id: 'other' }]);
+
+    const result = await importDatabase(file, { mode: 'merge', dryRun: true });
+
+    expect(result).toMatchObject({ success: true, dryRun: true });
+    expect(result.added.map(r => r.id)).toEqual(['other']);
+    expect(await getCattleById('other')).toBeUndefined();
+  });
+
+  it('merges new and updated records and keeps the audit chain intact', async () => {
+    const cow = await addCattle(enrollment(1));
+    const newer = { ...exported(cow), cowName: 'Renamed', updatedAt: new Date(Date.now() + 1000).toISOString() };
+    const added = { ...exported(cow), id: 'imported', certificateId: 'UFUGAJI-2020-001', cowName: 'Imported' };
+
+    const result = await importDatabase(JSON.stringify([newer, added]), { mode: 'merge', actor: 'clerk' });
+
+    expect(result.success).toBe(true);
+    expect((await getCattleById(cow.id)).cowName).toBe('Renamed');
+    expect((await getCattleById('imported')).cowName).toBe('Imported');
+    expect((await verifyAuditLog()).valid).toBe(true);
+
+    const [updated] = (await getAuditTrail(cow.id)).filter(e => e.action === 'import');
+    expect(updated).toMatchObject({ cattleId: cow.id, operator: 'clerk', reason: 'Backup import (merge)' });
+    expect(updated.changes.cowName).toEqual({ before: 'Cow 1', after: 'Renamed' });
+    const [created] = await getAuditTrail('imported');
+    expect(created).toMatchObject({ action: 'import', cattleId: 'imported' });
+    expect(created.changes.cowName).toEqual({ before: null, after: 'Imported' });
+  });
+
+  it('writes nothing to the audit log when nothing changes', async () => {
+    const cow = await addCattle(enrollment(1));
+    const before = (await getAuditTrail()).length;
+
+    await importDatabase(JSON.stringify([exported(cow)]), { mode: 'merge' });
+
+    expect(await getAuditTrail()).toHaveLength(before);
+  });
+
+  it('refuses to overwrite a record edited on both sides, whatever the clocks say', async () => {
+    const cow = await addCattle(enrollment(1));
+    const otherDevice = { ...exported(cow), location: 'Nakuru', updatedAt: new Date(Date.now() + 60000).toISOString() };
+    await updateCattle(cow.id, { location: 'Thika' }, { actor: 'clerk' });
+
+    const preview = await importDatabase(JSON.stringify([otherDevice]), { mode: 'merge', dryRun: true });
+    expect(preview.conflicts).toMatchObject([{ type: 'edit', id: cow.id, changes: { location: { before: 'Thika', after: 'Nakuru' } } }]);
+
+    await importDatabase(JSON.stringify([otherDevice]), { mode: 'merge' });
+    expect((await getCattleById(cow.id)).location).toBe('Thika');
+
+    await importDatabase(JSON.stringify([otherDevice]), { mode: 'merge', resolutions: { [cow.id]: 'incoming' } });
+    expect((await getCattleById(cow.id)).location).toBe('Nakuru');
+  });
+
+  it('deletes records missing from a replacing backup with a tombstone', async () => {
+    const kept = await addCattle(enrollment(1));
+    const left = await addCattle(enrollment(2));
+
+    const result = await importDatabase(JSON.stringify([exported(kept)]), { mode: 'replace', actor: 'clerk' });
+
+    expect(result.removed.map(r => r.id)).toEqual([left.id]);
+    expect((await getAllCattle()).map(c => c.id)).toEqual([kept.id]);
+    const tombstone = await getCattleById(left.id);
+    expect(tombstone).toMatchObject({
+      status: 'archived',
+      deletion: { reason: 'Not in the restored backup', deletedBy: 'clerk' }
+    });
+    const [deleted] = (await getAuditTrail(left.id)).filter(e => e.action === 'delete');
+    expect(deleted.changes.status).toEqual({ before: 'active', after: 'archived' });
+    expect((await verifyAuditLog()).valid).toBe(true);
+
+    // A later replace leaves the tombstone alone
+    const again = await importDatabase(JSON.stringify([exported(kept)]), { mode: 'replace', dryRun: true });
+    expect(again.removed).toEqual([]);
+  });
+
+  it('upgrades records from older builds', async () => {
+    const legacy = {
+      id: 'legacy',
+      cowName: 'Old Cow',
+      ownerName: 'Old Owner',
+      createdAt: '2023-05-01T00:00:00.000Z',
+      featureVector: [1, 2, 3],
+      bioData: [0, 1]
+    };
+
+    const result = await importDatabase(JSON.stringify([legacy]), { mode: 'merge' });
+
+    expect(result).toMatchObject({ success: true, migrated: 1, flagged: 1 });
+    const stored = await getCattleById('legacy');
+    expect(stored.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(stored.needsReenrollment).toBe(true);
+    expect(stored.bioData).toBeUndefined();
+  });
+
+  it('upgrades records in the image worker', async () => {
+    const jobs = [];
+    // Runs jobs in this thread but through the worker protocol
+    class InlineWorker {
+      postMessage({ id, job, payload }) {
+        jobs.push(job);
+        Promise.resolve(IMAGE_JOBS[job](payload, () => {}))
+          .then(result => this.onmessage({ data: { id, type: 'result', result } }));
+      }
+
+      terminate() {}
+    }
+    vi.stubGlobal('Worker', InlineWorker);
+
+    try {
+      const current = exported(await addCattle(enrollment(1)));
+      const legacy = { id: 'legacy', cowName: 'Old Cow', ownerName: 'Old Owner', featureVector: [1, 2, 3] };
+      const result = await importDatabase(JSON.stringify([current, legacy]), { mode: 'merge' });
+
+      expect(result).toMatchObject({ success: true, migrated: 1 });
+      expect(jobs).toEqual(['migrate']);
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+
+  it('reports invalid records', async () => {
+    const result = await importDatabase(JSON.stringify([{ id: 'x' }]), { mode: 'merge' });
+
+    expect(result.invalid).toMatchObject([{ id: 'x', errors: ['Missing cow name', 'Missing owner name'] }]);
+  });
+});
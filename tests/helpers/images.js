@@ -0,0 +1,46 @@
+/**
+ * Image helpers for tests
+ */
+
+import { readFileSync } from 'node:fs';
+
+/**
+ * Read a binary (P5) PGM fixture as RGBA ImageData-like { data, width, height }
+ */
+export function readPGM(path) {
+  const file = readFileSync(path);
+  const fields = [];
+  let offset = 0;
+  while (fields.length < 4) {
+    if (file[offset] === 0x23) {
+      // Comment line
+      while (file[offset] !== 0x0a) offset++;
+    } else if (file[offset] <= 0x20) {
+      offset++;
+    } else {
+      let end = offset;
+      while (file[end] > 0x20) end++;
+      fields.push(file.toString('latin1', offset, end));
+      offset = end;
+    }
+  }
+  const [magic, width, height] = [fields[0], Number(fields[1]), Number(fields[2])];
+  if (magic !== 'P5' || fields[3] !== '255') {
+    throw new Error(`${path} is not an 8-bit binary PGM`);
+  }
+  offset++;
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const value = file[offset + i];
+    data.set([value, value, value, 255], i * 4);
+  }
+  return { data, width, height };
+}
+
+/**
+ * Grey level of pixel (x, y)
+ */
+export function pixel(image, x, y) {
+  return image.data[(y * image.width + x) * 4];
+}
@@ -0,0 +1,47 @@
+/**
+ * Record and template builders for registry tests
+ */
+
+import { FEATURE_VECTOR_LENGTH, PIPELINE_VERSION } from '../../src/utils/imageProcessing';
+import { createTemplate } from '../../src/utils/templates';
+
+/**
+ * Deterministic feature vector; different seeds give unrelated vectors
+ */
+export function featureVector(seed) {
+  let state = seed * 7919 + 1;
+  return Array.from({ length: FEATURE_VECTOR_LENGTH }, () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647 * 2 - 1;
+  });
+}
+
+export function template(seed, capturedAt = new Date().toISOString()) {
+  return createTemplate({ featureVector: featureVector(seed), pipelineVersion: PIPELINE_VERSION }, capturedAt);
+}
+
+/**
+ * Fields addCattle expects from the enrollment form, enrolled from three
+ * captures of the animal `seed`
+ */
+export function enrollment(seed, fields = {}) {
+  const templates = [1, 2, 3].map(k => template(seed * 10 + k, `2024-0${k}-01T00:00:00.000Z`));
+  return {
+    cowName: `Cow ${seed}`,
+    ownerName: `Owner ${seed}`,
+    breed: 'Friesian',
+    age: 3,
+    sex: 'Female (Cow/Heifer)',
+    color: 'Black & White',
+    location: 'Kiambu',
+    notes: '',
+    muzzleImage: null,
+    featureVector: templates[0].featureVector,
+    perceptualHash: null,
+    keypointTemplate: null,
+    ridgeTemplate: null,
+    pipelineVersion: PIPELINE_VERSION,
+    templates,
+    ...fields
+  };
+}
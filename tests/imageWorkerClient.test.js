@@ -0,0 +1,100 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Stand-in for the image worker: records what is posted and answers on demand
+class FakeWorker {
+  static started = [];
+
+  constructor() {
+    this.posted = [];
+    this.terminated = false;
+    FakeWorker.started.push(this);
+  }
+
+  postMessage(message) {
+    this.posted.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  finish(result) {
+    const { id } = this.posted[this.posted.length - 1];
+    this.onmessage({ data: { id, type: 'result', result } });
+  }
+}
+
+let runImageJob;
+
+beforeEach(async () => {
+  FakeWorker.started = [];
+  vi.stubGlobal('Worker', FakeWorker);
+  vi.resetModules();
+  ({ runImageJob } = await import('../src/utils/imageWorkerClient'));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+const payload = () => ({ query: null, cattle: [] });
+
+describe('runImageJob', () => {
+  it('hands the worker one job at a time, in order', async () => {
+    const first = runImageJob('score', payload());
+    const second = runImageJob('score', payload());
+    const [worker] = FakeWorker.started;
+
+    expect(worker.posted).toHaveLength(1);
+    worker.finish('first');
+    await expect(first).resolves.toBe('first');
+
+    expect(worker.posted).toHaveLength(2);
+    worker.finish('second');
+    await expect(second).resolves.toBe('second');
+  });
+
+  it('drops an aborted job that is still queued without touching the others', async () => {
+    const controller = new AbortController();
+    const running = runImageJob('score', payload());
+    const cancelled = runImageJob('score', payload(), { signal: controller.signal });
+    const after = runImageJob('score', payload());
+    const [worker] = FakeWorker.started;
+
+    controller.abort();
+    await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+    expect(worker.terminated).toBe(false);
+
+    worker.finish('running');
+    await expect(running).resolves.toBe('running');
+    expect(worker.posted.map(m => m.id)).toEqual([1, 3]);
+    worker.finish('after');
+    await expect(after).resolves.toBe('after');
+  });
+
+  it('moves the queue to a fresh worker when the running job is aborted', async () => {
+    const controller = new AbortController();
+    const cancelled = runImageJob('score', payload(), { signal: controller.signal });
+    const queued = runImageJob('score', payload());
+
+    controller.abort();
+    await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+
+    const [stopped, fresh] = FakeWorker.started;
+    expect(stopped.terminated).toBe(true);
+    expect(fresh.posted).toHaveLength(1);
+    fresh.finish('queued');
+    await expect(queued).resolves.toBe('queued');
+  });
+
+  it('fails only the running job when the worker crashes', async () => {
+    const crashed = runImageJob('score', payload());
+    const queued = runImageJob('score', payload());
+
+    FakeWorker.started[0].onerror({ message: 'Out of memory', preventDefault() {} });
+    await expect(crashed).rejects.toThrow('Out of memory');
+
+    FakeWorker.started[1].finish('queued');
+    await expect(queued).resolves.toBe('queued');
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, expect, it } from 'vitest';
+import { planImport, stampRevision } from '../src/utils/importPlan';
+import { featureVector } from './helpers/records';
+
+function record(id, fields = {}) {
+  return {
+    id,
+    cowName: `Cow ${id}`,
+    ownerName: 'Owner',
+    certificateId: `UFUGAJI-2026-${id}`,
+    featureVector: featureVector(Number(id)),
+    perceptualHash: null,
+    createdAt: '2026-01-01T00:00:00.000Z',
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    ...fields
+  };
+}
+
+const ids = list => list.map(r => r.id);
+
+describe('planImport', () => {
+  it('replaces the registry with the file in replace mode', () => {
+    const plan = planImport([record('001'), record('002')], [record('002'), record('003')]);
+
+    expect(ids(plan.put)).toEqual(['002', '003']);
+    expect(ids(plan.added)).toEqual(['003']);
+    expect(ids(plan.updated)).toEqual(['002']);
+    expect(ids(plan.removed)).toEqual(['001']);
+  });
+
+  it('does not delete records again in replace mode', () => {
+    const deleted = record('001', { status: 'archived', deletion: { reason: 'Sold', deletedAt: '2026-01-02', deletedBy: 'clerk' } });
+
+    expect(planImport([deleted], []).removed).toEqual([]);
+  });
+
+  it('adds new ids and leaves identical records alone when merging', () => {
+    const plan = planImport([record('001')], [record('001'), record('002')], { mode: 'merge' });
+
+    expect(ids(plan.put)).toEqual(['002']);
+    expect(ids(plan.unchanged)).toEqual(['001']);
+    expect(plan.removed).toEqual([]);
+  });
+
+  it('compares captures without their photos, stored or inline', async () => {
+    const capture = { id: 't1', capturedAt: '2026-01-01T00:00:00.000Z', featureVector: featureVector(1) };
+    const stored = await stampRevision(record('001', { templates: [{ ...capture, hasStoredImage: true }] }));
+    const restored = await stampRevision(record('001', { templates: [{ ...capture, image: 'data:image/png;base64,' }] }));
+    const plan = planImport([stored], [restored], { mode: 'merge' });
+
+    expect(stored.revisionHashes).toEqual(restored.revisionHashes);
+    expect(ids(plan.unchanged)).toEqual(['001']);
+  });
+
+  it('takes a copy edited after ours as an update, whatever its timestamps', async () => {
+    const base = await stampRevision(record('001'));
+    const incoming = await stampRevision({ ...base, cowName: 'Renamed', updatedAt: '2025-12-01T00:00:00.000Z' });
+    const plan = planImport([base], [incoming], { mode: 'merge' });
+
+    expect(plan.put).toEqual([incoming]);
+    expect(plan.conflicts).toEqual([]);
+  });
+
+  it('skips a copy our record was edited from', async () => {
+    const base = await stampRevision(record('001'));
+    const edited = await stampRevision({ ...base, cowName: 'Renamed' });
+    const plan = planImport([edited], [base], { mode: 'merge' });
+
+    expect(plan.put).toEqual([]);
+    expect(ids(plan.skipped)).toEqual(['001']);
+    expect(plan.conflicts).toEqual([]);
+  });
+
+  it('holds back a record edited on both sides as an edit conflict until resolved', async () => {
+    const base = await stampRevision(record('001'));
+    const existing = [await stampRevision({ ...base, cowName: 'Local', updatedAt: '2026-02-01T00:00:00.000Z' })];
+    const incoming = [await stampRevision({ ...base, cowName: 'Remote', updatedAt: '2026-03-01T00:00:00.000Z' })];
+
+    const plan = planImport(existing, incoming, { mode: 'merge' });
+    expect(plan.put).toEqual([]);
+    expect(plan.conflicts).toMatchObject([{ type: 'edit', id: '001', resolution: 'existing' }]);
+    expect(plan.conflicts[0].changes.cowName).toEqual({ before: 'Local', after: 'Remote' });
+
+    const resolved = planImport(existing, incoming, { mode: 'merge', resolutions: { '001': 'incoming' } });
+    expect(resolved.put).toMatchObject([{ cowName: 'Remote' }]);
+    // The local edit is now in the history, so importing it again is an old copy
+    expect(resolved.put[0].revisionHashes).toEqual(expect.arrayContaining(existing[0].revisionHashes));
+    expect(planImport(resolved.put, existing, { mode: 'merge' }).skipped).toHaveLength(1);
+  });
+
+  it('treats copies without a shared history as conflicts', () => {
+    const plan = planImport([record('001')], [record('001', { cowName: 'Other', updatedAt: '2027-01-01T00:00:00.000Z' })], { mode: 'merge' });
+
+    expect(plan.conflicts).toMatchObject([{ type: 'edit', id: '001' }]);
+  });
+
+  it('holds back biometric duplicates in dedupe mode', () => {
+    const existing = [record('001')];
+    const incoming = [record('002', { featureVector: featureVector(1) })];
+
+    const plan = planImport(existing, incoming, { mode: 'dedupe' });
+    expect(plan.put).toEqual([]);
+    expect(plan.conflicts).toMatchObject([{ type: 'duplicate', id: '002', resolution: 'skip' }]);
+
+    const added = planImport(existing, incoming, { mode: 'dedupe', resolutions: { '002': 'add' } });
+    expect(ids(added.put)).toEqual(['002']);
+  });
+
+  it('reissues certificate IDs already held by another animal', () => {
+    const plan = planImport([record('001')], [record('002', { certificateId: 'UFUGAJI-2026-001' })], { mode: 'merge' });
+
+    expect(ids(plan.reissue)).toEqual(['002']);
+  });
+
+  it('reissues certificate IDs held by records a replacing file deletes', () => {
+    const deleted = record('001', { status: 'archived', deletion: { reason: 'Sold', deletedAt: '2026-01-02', deletedBy: 'clerk' } });
+    const plan = planImport([deleted, record('002')], [
+      record('003', { certificateId: 'UFUGAJI-2026-001' }),
+      record('004', { certificateId: 'UFUGAJI-2026-002' }),
+      record('005')
+    ]);
+
+    expect(ids(plan.reissue)).toEqual(['003', '004']);
+    expect(ids(plan.removed)).toEqual(['002']);
+  });
+
+  it('stamps each saved state once', async () => {
+    const stamped = await stampRevision(record('001'));
+
+    expect(stamped.revisionHashes).toHaveLength(1);
+    expect(await stampRevision(stamped)).toBe(stamped);
+    expect(await stampRevision({ ...stamped, muzzleImage: 'data:image/jpeg;base64,AA' })).toMatchObject({
+      revisionHashes: stamped.revisionHashes
+    });
+    expect((await stampRevision({ ...stamped, age: 4 })).revisionHashes).toHaveLength(2);
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => planImport([], [], { mode: 'overwrite' })).toThrow('Unknown import mode');
+  });
+});
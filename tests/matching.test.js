@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import { processMuzzleImageData } from '../src/utils/imageProcessing';
+import { analyzeQueryImage, collectCalibrationPairs, verifyIdentity } from '../src/utils/matching';
+import { ROI_HEIGHT, ROI_WIDTH, canonicalROI } from '../src/utils/roi';
+import { createTemplate } from '../src/utils/templates';
+import { readPGM } from './helpers/images';
+
+const muzzle = readPGM(new URL('./fixtures/muzzle-ridges.pgm', import.meta.url));
+
+// The fixture mirrored left to right: the same kind of pattern, another animal
+function mirrored(image) {
+  const data = new Uint8ClampedArray(image.data.length);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      const from = (y * image.width + image.width - 1 - x) * 4;
+      data.set(image.data.subarray(from, from + 4), (y * image.width + x) * 4);
+    }
+  }
+  return { ...image, data };
+}
+
+function enrolled(id, imageData) {
+  const extracted = processMuzzleImageData(imageData);
+  return {
+    id,
+    cowName: id,
+    certificateId: `UFUGAJI-2026-${id}`,
+    ...extracted,
+    templates: [{ ...createTemplate(extracted, '2024-01-01T00:00:00.000Z'), id: 't1' }]
+  };
+}
+
+describe('verifyIdentity', () => {
+  const herd = [enrolled('daisy', muzzle), enrolled('bella', mirrored(muzzle))];
+  // The fixture is smaller than a real capture, so skip the photo quality check
+  const scan = { ...analyzeQueryImage(muzzle), quality: null };
+
+  it('names the animal it verified and its match probability', () => {
+    const result = verifyIdentity(scan, herd, 'daisy');
+
+    expect(result).toMatchObject({ verified: true, reason: null, cattleId: 'daisy' });
+    expect(result.probability).toBeCloseTo(result.matchPercentage / 100);
+  });
+
+  it('refuses a scan that matches another animal better', () => {
+    const result = verifyIdentity(scan, herd, 'bella');
+
+    expect(result).toMatchObject({ verified: false, cattleId: 'bella' });
+    expect(result.reason).toMatch('better than this animal');
+  });
+});
+
+describe('analyzeQueryImage', () => {
+  it('returns the muzzle crop, which re-extracts to the same templates', () => {
+    const query = analyzeQueryImage(muzzle);
+
+    expect([query.muzzle.width, query.muzzle.height]).toEqual([ROI_WIDTH, ROI_HEIGHT]);
+    const again = processMuzzleImageData(query.muzzle, { roi: canonicalROI(query.roi.found) });
+    expect(again.featureVector).toEqual(query.template.featureVector);
+    expect(again.perceptualHash).toEqual(query.template.perceptualHash);
+    expect(again.keypointTemplate).toBe(query.template.keypointTemplate);
+  });
+});
+
+describe('collectCalibrationPairs', () => {
+  it('pairs real captures of an animal and simulates recaptures of single photos', () => {
+    const daisy = enrolled('daisy', muzzle);
+    const captures = ['t1', 't2', 't3'].map(id => ({ ...daisy.templates[0], id }));
+    const bella = enrolled('bella', mirrored(muzzle));
+    const samples = [
+      { ...daisy, imageData: null, templates: captures },
+      { ...bella, imageData: mirrored(muzzle), templates: bella.templates }
+    ];
+
+    const pairs = collectCalibrationPairs(samples);
+    const genuine = pairs.filter(p => p.genuine);
+
+    // Each of Daisy's 3 captures against the other 2, then Bella's 2
+    // simulated recaptures against her templates
+    expect(genuine).toHaveLength(8);
+    expect(pairs.some(p => !p.genuine)).toBe(true);
+    expect(genuine.slice(0, 6).every(p => p.fields.vector > 0.999)).toBe(true);
+    expect(genuine.slice(6).every(p => p.fields.vector < 0.999)).toBe(true);
+  });
+});
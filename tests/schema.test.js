@@ -0,0 +1,154 @@
+import { describe, expect, it } from 'vitest';
+import { FEATURE_VECTOR_LENGTH, PIPELINE_VERSION, isImageHash } from '../src/utils/imageProcessing';
+import { isMuzzleROI } from '../src/utils/roi';
+import { CURRENT_SCHEMA_VERSION, migrateRecord, migrateRecords, validateRecord } from '../src/utils/schema';
+import { isRidgeTemplate } from '../src/utils/segmentation';
+import { readPGM } from './helpers/images';
+import { template } from './helpers/records';
+
+const muzzle = readPGM(new URL('./fixtures/muzzle-ridges.pgm', import.meta.url));
+
+// db.json sample record as the first builds stored it
+const v1Record = {
+  id: 'legacy',
+  cowName: 'Old Cow',
+  ownerName: 'Old Owner',
+  createdAt: '2023-05-01T00:00:00.000Z',
+  muzzleImage: '/samples/legacy.jpg',
+  featureVector: Array.from({ length: 16 }, (_, i) => i / 16),
+  bioData: [0, 2, 1],
+  bioDataId: 'bio-1'
+};
+
+describe('migrateRecord', () => {
+  it('re-extracts every template of a v1 record from its muzzle image', async () => {
+    const { record, migrated, flagged } = await migrateRecord(v1Record, { loadImageData: async () => muzzle });
+
+    expect(migrated).toBe(true);
+    expect(flagged).toBe(false);
+    expect(record.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(record.featureVector).toHaveLength(FEATURE_VECTOR_LENGTH);
+    expect(isImageHash(record.perceptualHash)).toBe(true);
+    expect(typeof record.keypointTemplate).toBe('string');
+    expect(isRidgeTemplate(record.ridgeTemplate)).toBe(true);
+    expect(isMuzzleROI(record.muzzleRoi)).toBe(true);
+    expect(record.pipelineVersion).toBe(PIPELINE_VERSION);
+    expect(record.templates.map(t => t.id)).toEqual(['t1']);
+    expect(record.templates[0].featureVector).toEqual(record.featureVector);
+    expect(record.bioData).toBeUndefined();
+    expect(record.bioDataId).toBeUndefined();
+    expect(validateRecord(record)).toEqual([]);
+  });
+
+  it('decodes the image once however many versions need it', async () => {
+    let loads = 0;
+    const loadImageData = async (record, capture) => {
+      if (capture) return null;
+      loads++;
+      return muzzle;
+    };
+
+    const { record } = await migrateRecord(v1Record, { loadImageData });
+    expect(loads).toBe(1);
+
+    // Upgrading from the pipeline bump re-extracts within the stored region
+    await migrateRecord({ ...record, schemaVersion: 9, pipelineVersion: 1 }, { loadImageData });
+    expect(loads).toBe(2);
+  });
+
+  it('re-extracts every capture that has a photo, keeping its id', async () => {
+    const outdated = { ...template(1, '2024-01-01T00:00:00.000Z'), pipelineVersion: 1 };
+    const v8 = {
+      ...v1Record,
+      schemaVersion: 8,
+      ...outdated,
+      muzzleRoi: null,
+      templates: [
+        { ...outdated, id: 't2', image: 'data:image/png;base64,' },
+        { ...outdated, id: 't3' }
+      ],
+      retiredTemplates: [
+        { ...outdated, id: 't1', image: 'data:image/png;base64,', retiredAt: '2024-02-01T00:00:00.000Z' }
+      ],
+      templateRevisions: []
+    };
+    const loaded = [];
+    const loadImageData = async (record, capture) => {
+      loaded.push(capture ? capture.id : 'reference');
+      return capture && !capture.image ? null : muzzle;
+    };
+
+    const { record, flagged } = await migrateRecord(v8, { loadImageData });
+
+    expect(flagged).toBe(false);
+    expect(loaded).toEqual(['reference', 't2', 't3', 't1']);
+    // t3 had no photo, so it can't be brought up to date
+    expect(record.templates.map(t => t.id)).toEqual(['t2']);
+    expect(record.retiredTemplates.map(t => t.id)).toEqual(['t1']);
+    for (const capture of [...record.templates, ...record.retiredTemplates]) {
+      expect(capture.pipelineVersion).toBe(PIPELINE_VERSION);
+      expect(capture.featureVector).toEqual(record.featureVector);
+      expect(isMuzzleROI(capture.muzzleRoi)).toBe(true);
+    }
+    expect(record.retiredTemplates[0].retiredAt).toBe('2024-02-01T00:00:00.000Z');
+    expect(validateRecord(record)).toEqual([]);
+  });
+
+  it('fills in lifecycle and ownership fields', async () => {
+    const { record } = await migrateRecord(v1Record);
+
+    expect(record).toMatchObject({ status: 'active', statusHistory: [], deletion: null, reviewDecisions: [] });
+    expect(record.ownershipHistory).toMatchObject([{ ownerName: 'Old Owner', from: v1Record.createdAt, to: null }]);
+    expect(record.certificateRevisions).toMatchObject([{ revision: 1, ownerName: 'Old Owner' }]);
+  });
+
+  it('flags records it has no image to re-extract from', async () => {
+    const { record, flagged } = await migrateRecord(v1Record);
+
+    expect(flagged).toBe(true);
+    expect(record.needsReenrollment).toBe(true);
+    expect(record.upgradeIssue).toMatch('16 values');
+    expect(record.templates).toEqual([]);
+  });
+
+  it('turns an enrollment duplicate approval into the first review decision', async () => {
+    const v13 = {
+      ...v1Record,
+      schemaVersion: 13,
+      templates: [],
+      templateRevisions: [],
+      duplicateReview: { reviewedBy: 'vet', at: '2025-01-01T00:00:00.000Z', reason: 'Twins', candidateId: 'twin' }
+    };
+
+    const { record } = await migrateRecord(v13);
+
+    expect(record.duplicateReview).toBeUndefined();
+    expect(record.reviewDecisions).toEqual([{
+      reviewId: null,
+      kind: 'duplicate',
+      decision: 'approve',
+      by: 'vet',
+      at: '2025-01-01T00:00:00.000Z',
+      reason: 'Twins',
+      relatedId: 'twin'
+    }]);
+  });
+
+  it('starts the template history of single-capture records', async () => {
+    const capture = template(1, '2024-01-01T00:00:00.000Z');
+    const v10 = { ...v1Record, schemaVersion: 10, ...capture, pipelineVersion: PIPELINE_VERSION };
+
+    const { record } = await migrateRecord(v10);
+
+    expect(record.templates).toMatchObject([{ id: 't1', featureVector: capture.featureVector }]);
+    expect(record.templateRevisions).toMatchObject([{ revision: 1, action: 'enroll', templateIds: ['t1'] }]);
+  });
+
+  it('leaves current records alone', async () => {
+    const { record } = await migrateRecord(v1Record);
+    const result = await migrateRecords([record]);
+
+    expect(result.migrated).toBe(0);
+    expect(result.records[0]).toBe(record);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, expect, it } from 'vitest';
+import { hammingDistance } from '../src/utils/imageProcessing';
+import { createTemplateIndex } from '../src/utils/searchIndex';
+import { featureVector } from './helpers/records';
+
+// Park-Miller generator, so every run indexes the same records
+function random(seed) {
+  let state = seed * 7919 + 1;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+// Animals in groups of related muzzles, so nearest neighbours are meaningful
+function clusteredVector(seed) {
+  const base = featureVector(1000 + (seed % 12));
+  return featureVector(seed).map((noise, i) => base[i] + 0.4 * noise);
+}
+
+function randomHash(next) {
+  return Array.from({ length: 16 }, () => Math.floor(next() * 16).toString(16)).join('');
+}
+
+// `hash` with `bits` distinct bits flipped
+function flipBits(hash, bits, next) {
+  const digits = hash.split('').map(d => parseInt(d, 16));
+  const flipped = new Set();
+  while (flipped.size < bits) {
+    flipped.add(Math.floor(next() * 64));
+  }
+  flipped.forEach(bit => {
+    digits[bit >> 2] ^= 1 << (bit & 3);
+  });
+  return digits.map(d => d.toString(16)).join('');
+}
+
+function record(seed, fields = {}) {
+  return { id: `cow-${seed}`, featureVector: clusteredVector(seed), perceptualHash: null, status: 'active', ...fields };
+}
+
+function angle(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((value, i) => {
+    dot += value * b[i];
+    normA += value * value;
+    normB += b[i] * b[i];
+  });
+  return Math.acos(Math.max(-1, Math.min(1, dot / Math.sqrt(normA * normB))));
+}
+
+function bruteNearest(records, vector, k) {
+  return records
+    .map(r => ({ id: r.id, distance: angle(vector, r.featureVector) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, k);
+}
+
+function expectSameNearest(found, expected) {
+  expect(found.map(n => n.id)).toEqual(expected.map(n => n.id));
+  found.forEach((n, i) => expect(n.distance).toBeCloseTo(expected[i].distance, 9));
+}
+
+describe('createTemplateIndex', () => {
+  const records = Array.from({ length: 300 }, (_, i) => record(i + 1));
+
+  it('finds the same nearest feature vectors as a full scan', () => {
+    const index = createTemplateIndex();
+    records.forEach(r => index.put(r));
+
+    for (let seed = 5001; seed <= 5040; seed++) {
+      const query = clusteredVector(seed);
+      for (const k of [1, 5, 20]) {
+        expectSameNearest(index.nearestVectors(query, k), bruteNearest(records, query, k));
+      }
+    }
+  });
+
+  it('keeps nearest-neighbour results exact as records change after the build', () => {
+    const index = createTemplateIndex();
+    records.forEach(r => index.put(r));
+    index.nearestVectors(clusteredVector(1), 1);
+
+    // Fewer changes than trigger a rebuild: some records gone, some moved, some new
+    const removed = new Set(records.slice(0, 10).map(r => r.id));
+    removed.forEach(id => index.remove(id));
+    const moved = records.slice(10, 20).map(r => ({ ...r, featureVector: clusteredVector(Number(r.id.slice(4)) + 700) }));
+    moved.forEach(r => index.put(r));
+    const added = [301, 302, 303, 304, 305].map(seed => record(seed));
+    added.forEach(r => index.put(r));
+
+    const current = [...moved, ...records.slice(20), ...added];
+    for (let seed = 6001; seed <= 6020; seed++) {
+      const query = clusteredVector(seed);
+      expectSameNearest(index.nearestVectors(query, 10), bruteNearest(current, query, 10));
+    }
+  });
+
+  it('leaves archived records out unless asked for', () => {
+    const withArchived = records.map((r, i) => (i % 3 === 0 ? { ...r, status: 'archived' } : r));
+    const index = createTemplateIndex();
+    withArchived.forEach(r => index.put(r));
+    const active = withArchived.filter(r => r.status === 'active');
+
+    for (let seed = 7001; seed <= 7010; seed++) {
+      const query = clusteredVector(seed);
+      expectSameNearest(index.nearestVectors(query, 8), bruteNearest(active, query, 8));
+      expectSameNearest(index.nearestVectors(query, 8, { includeArchived: true }), bruteNearest(withArchived, query, 8));
+    }
+  });
+
+  it('finds every pHash within the radius that a full scan finds', () => {
+    const next = random(42);
+    const centres = Array.from({ length: 10 }, () => randomHash(next));
+    // Hashes scattered at every distance from a few centres, plus unrelated ones
+    const hashed = Array.from({ length: 400 }, (_, i) => {
+      const phash = i % 4 === 3 ? randomHash(next) : flipBits(centres[i % 10], Math.floor(next() * 24), next);
+      return { id: `cow-${i}`, perceptualHash: { phash, dhash: phash }, status: 'active' };
+    });
+    const index = createTemplateIndex();
+    hashed.forEach(r => index.put(r));
+
+    centres.forEach(centre => {
+      for (const [query, radius] of [[centre, 4], [centre, 10], [flipBits(centre, 3, next), 12], [centre, 15]]) {
+        const expected = hashed
+          .filter(r => hammingDistance(query, r.perceptualHash.phash) <= radius)
+          .map(r => r.id);
+
+        expect(index.nearHashes(query, radius).sort()).toEqual(expected.sort());
+      }
+    });
+  });
+});
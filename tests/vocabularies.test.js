@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { BREEDS, COLORS, SEXES, matchVocabulary } from '../src/utils/vocabularies';
+
+describe('matchVocabulary', () => {
+  it('matches entries ignoring case, spacing and punctuation', () => {
+    expect(matchVocabulary(BREEDS, ' friesian ')).toBe('Friesian');
+    expect(matchVocabulary(SEXES, 'female (cow)')).toBe('Female (Cow)');
+    expect(matchVocabulary(COLORS, 'Black and White (Piebald)')).toBe('Black and White (Piebald)');
+  });
+
+  it('maps plain sexes to the group entry and plain colours to the solid coat', () => {
+    expect(matchVocabulary(SEXES, 'Female')).toBe('Female (Cow/Heifer)');
+    expect(matchVocabulary(SEXES, 'MALE')).toBe('Male (Bull/Steer)');
+    expect(matchVocabulary(COLORS, 'Black')).toBe('Solid Black');
+    expect(matchVocabulary(COLORS, 'white')).toBe('Solid White');
+    expect(matchVocabulary(COLORS, 'Grey')).toBe('Gray');
+  });
+
+  it('matches either part of a bracketed entry when only one entry fits', () => {
+    expect(matchVocabulary(SEXES, 'Heifer')).toBe('Female (Heifer)');
+    expect(matchVocabulary(COLORS, 'Piebald')).toBe('Black and White (Piebald)');
+    expect(matchVocabulary(COLORS, 'Roan')).toBeNull();
+    expect(matchVocabulary(BREEDS, 'Unicorn')).toBeNull();
+  });
+});